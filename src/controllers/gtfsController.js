@@ -0,0 +1,88 @@
+// src/controllers/gtfsController.js
+const { importGtfs } = require('../services/gtfsImporter');
+const { getStaticFeed } = require('../services/gtfsExporter');
+const { buildVehiclePositionsFeed, buildTripUpdatesFeed, buildAlertsFeed, encodeFeed, feedToJson } = require('../services/gtfsRealtime');
+const { notifyNetworkChanged } = require('../services/networkCache');
+
+// POST /api/admin/gtfs/import?dryRun=true&namespace=cheria - Body is the raw GTFS zip (namespace: see importGtfs)
+const importGtfsFeed = async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ success: false, message: 'Request body must be a GTFS zip file (Content-Type: application/zip).' });
+    }
+
+    const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+    const result = await importGtfs(req.body, { dryRun, namespace: req.query.namespace || null });
+    if (!dryRun) {
+      // The import already succeeded: a failed reload is retried by the network cache's periodic check
+      notifyNetworkChanged('GTFS import').catch(error => console.error('Error reloading the network cache after a GTFS import:', error));
+    }
+
+    res.status(200).json({
+      success: true,
+      dryRun: result.dryRun,
+      summary: result.summary,
+      diff: result.diff,
+    });
+  } catch (error) {
+    console.error('Error importing GTFS feed:', error);
+    // Problems with the submitted feed are reported to the caller; anything else is a server error
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// GET /api/gtfs/static.zip - GTFS static export of the network (cached until the network changes)
+const getStaticFeedZip = async (req, res) => {
+  try {
+    const feed = await getStaticFeed();
+    const etag = `"${feed.fingerprint}"`;
+
+    res.set('ETag', etag);
+    res.set('Last-Modified', feed.generatedAt.toUTCString());
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', 'attachment; filename="static.zip"');
+    res.status(200).send(feed.buffer);
+  } catch (error) {
+    console.error('Error building GTFS static feed:', error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// Sends a GTFS-Realtime feed as protobuf, or as JSON when called with ?format=json (debug view)
+const sendRealtimeFeed = (buildFeed, feedName) => (req, res) => {
+  try {
+    const feed = buildFeed();
+    if (req.query.format === 'json') {
+      return res.status(200).json(feedToJson(feed));
+    }
+    res.set('Content-Type', 'application/x-protobuf');
+    res.status(200).send(encodeFeed(feed));
+  } catch (error) {
+    console.error(`Error building GTFS-Realtime ${feedName} feed:`, error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// GET /api/gtfs/realtime/vehicle-positions[?format=json]
+const getVehiclePositionsFeed = sendRealtimeFeed(buildVehiclePositionsFeed, 'VehiclePositions');
+
+// GET /api/gtfs/realtime/trip-updates[?format=json]
+const getTripUpdatesFeed = sendRealtimeFeed(buildTripUpdatesFeed, 'TripUpdates');
+
+// GET /api/gtfs/realtime/alerts[?format=json]
+const getAlertsFeed = sendRealtimeFeed(buildAlertsFeed, 'Alerts');
+
+module.exports = {
+  importGtfsFeed,
+  getStaticFeedZip,
+  getVehiclePositionsFeed,
+  getTripUpdatesFeed,
+  getAlertsFeed,
+};
@@ -0,0 +1,11 @@
+// src/controllers/ingestionController.js
+const { getIngestionMetrics } = require('../services/ingestionQueue');
+
+// GET /api/admin/ingestion - Driver location ingestion counters (accepted, rejected, reordered, dropped) and queue depths
+const getIngestionStats = (req, res) => {
+  res.status(200).json({ success: true, data: getIngestionMetrics() });
+};
+
+module.exports = {
+  getIngestionStats,
+};
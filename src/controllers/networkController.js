@@ -0,0 +1,27 @@
+// src/controllers/networkController.js
+const { notifyNetworkChanged, getNetworkSummary } = require('../services/networkCache');
+
+// GET /api/admin/network - Version and size of the network cache used by the realtime processing
+const getNetworkCacheStatus = (req, res) => {
+  const summary = getNetworkSummary();
+  if (!summary) {
+    return res.status(503).json({ success: false, message: 'The network cache has not been loaded yet.' });
+  }
+  res.status(200).json({ success: true, data: summary });
+};
+
+// POST /api/admin/network/refresh - Reloads the network cache on every instance (e.g. after editing the tables by hand)
+const refreshNetworkCacheNow = async (req, res) => {
+  try {
+    const summary = await notifyNetworkChanged('admin refresh');
+    res.status(200).json({ success: true, data: summary });
+  } catch (error) {
+    console.error('Error refreshing the network cache:', error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+module.exports = {
+  getNetworkCacheStatus,
+  refreshNetworkCacheNow,
+};
@@ -0,0 +1,107 @@
+// src/controllers/realtimeController.js
+const { subscribe, removeClient, getReplay, buildSnapshot } = require('../services/subscriptionService');
+
+// --- Configuration ---
+const SSE_HEARTBEAT_INTERVAL_MS = 15 * 1000; // Comment lines that keep proxies from closing an idle stream
+const SSE_RETRY_MS = 3000; // Reconnection delay suggested to EventSource clients
+const STREAM_TOPIC_PARAMS = ['line', 'subline', 'stop', 'bus']; // Query parameters mapped to topics (see subscriptionService)
+
+// --- In-Memory State ---
+const openStreams = new Set(); // Responses of the open streams, ended on shutdown
+
+// --- Helper Functions ---
+
+/**
+ * Reads the topics of a stream request: ?line=101&stop=40036, with repeated or comma-separated values.
+ * @param {object} query - req.query
+ * @returns {Array<string>} 'type:id' topics (not validated yet).
+ */
+function getStreamTopics(query) {
+  const topics = [];
+  STREAM_TOPIC_PARAMS.forEach(type => {
+    const values = Array.isArray(query[type]) ? query[type] : [query[type]];
+    values
+      .filter(value => typeof value === 'string')
+      .flatMap(value => value.split(','))
+      .map(id => id.trim())
+      .filter(id => id !== '')
+      .forEach(id => topics.push(`${type}:${id}`));
+  });
+  return topics;
+}
+
+/**
+ * Creates the subscription client of an SSE response. The broadcaster hands it message objects (sendMessage)
+ * instead of strings, and each one is written as an event named after the message type, with its event_id as the id
+ * (valid on every instance, see subscriptionService.stampEventId).
+ * @param {object} res - Express response (headers already sent).
+ * @returns {{sendMessage: function(object): void}}
+ */
+function createSseClient(res) {
+  return {
+    sendMessage(message) {
+      const id = message.event_id ? `id: ${message.event_id}\n` : '';
+      res.write(`${id}event: ${message.type}\ndata: ${JSON.stringify(message)}\n\n`);
+    },
+  };
+}
+
+// GET /api/realtime/stream?line=101&stop=40036 - Server-Sent Events with the same messages as the passenger WebSocket
+// ('position', 'esta-info', 'close', ...). A reconnecting client sending Last-Event-ID gets the messages it missed,
+// even if the load balancer sends it to another instance, or a 'snapshot' event if they are no longer buffered.
+const streamRealtime = async (req, res) => {
+  const requestedTopics = getStreamTopics(req.query);
+  if (requestedTopics.length === 0) {
+    return res.status(400).json({ success: false, message: `Specify at least one of: ${STREAM_TOPIC_PARAMS.join(', ')}.` });
+  }
+
+  const client = createSseClient(res);
+  const { subscribed, invalid } = subscribe(client, requestedTopics);
+  if (invalid.length > 0) {
+    removeClient(client);
+    return res.status(400).json({ success: false, message: `Invalid or too many topics: ${invalid.join(', ')}.` });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // Keep nginx from buffering the stream
+  });
+  res.flushHeaders();
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_INTERVAL_MS);
+  openStreams.add(res);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    openStreams.delete(res);
+    removeClient(client);
+    console.log(`[SSE] Stream closed (${subscribed.join(', ')})`);
+  });
+  console.log(`[SSE] Stream opened (${subscribed.join(', ')})`);
+
+  try {
+    const lastEventId = req.headers['last-event-id'];
+    const replay = lastEventId ? getReplay(subscribed, lastEventId) : null;
+    if (replay) {
+      replay.forEach(message => client.sendMessage(message));
+    } else {
+      client.sendMessage(await buildSnapshot(subscribed));
+    }
+  } catch (error) {
+    console.error('[SSE] Error sending the initial state of a stream:', error);
+  }
+};
+
+/**
+ * Ends every open stream (open streams would keep server.close() from ever completing).
+ */
+function closeStreams() {
+  openStreams.forEach(res => res.end());
+}
+
+module.exports = {
+  streamRealtime,
+  closeStreams,
+};
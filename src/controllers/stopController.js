@@ -1,6 +1,7 @@
 // src/controllers/stopController.js
 const { pool } = require('../config/database');
 const { getSublinesWithBusesToStation } = require('../services/realtimeProcessor'); // Import the new function
+const { getCurrentServiceDate, getStopSchedule, getScheduledDepartures, mergeDepartures } = require('../services/scheduleService');
 
 const getAllStops = async (req, res) => {
   try {
@@ -235,8 +236,11 @@ const getDeparturesForStation = async (req, res) => {
 
     const targetStation = stationResult.rows[0]; // Get the station object
     console.log("stationCOde= " + targetStation);
-    // Now, call the new function to find active buses heading to this station
-    const departures = await getSublinesWithBusesToStation(targetStation, numberOfDepartures);
+    // Now, call the new function to find active buses heading to this station,
+    // and merge them with the timetable (buses matched to a trip replace its scheduled entry)
+    const realtimeDepartures = await getSublinesWithBusesToStation(targetStation, numberOfDepartures);
+    const scheduledDepartures = await getScheduledDepartures(targetStation.id);
+    const departures = mergeDepartures(realtimeDepartures, scheduledDepartures, numberOfDepartures);
 
     // Format the response similarly to your original API example if needed
     // This is a basic example, adjust the structure as required by your frontend
@@ -252,9 +256,19 @@ const getDeparturesForStation = async (req, res) => {
       route_name: dep.route_name,
       bus_id: dep.bus_id, // The bus identifier
       last_bus_coordinates: dep.last_bus_coordinates,
-      estimated_arrival_time: dep.estimated_arrival_at_station, // ISO string or null
-      estimated_minutes: dep.estimated_time_seconds === Infinity ? null : Math.round(dep.estimated_time_seconds / 60), // Convert seconds to minutes and round, or null
-      distance_to_stop: dep.distance_to_station_meters, // In meters
+      trip_id: dep.trip_id, // Scheduled trip, or null for a bus not matched to the timetable
+      trip_code: dep.trip_code,
+      scheduled_time: dep.scheduled_time, // From the timetable, or null
+      predicted_time: dep.predicted_time, // From the live bus, or the scheduled time when no bus is running the trip yet
+      delay_seconds: dep.delay_seconds, // predicted - scheduled (positive = late), null if either is unknown
+      is_realtime: dep.is_realtime,
+      estimated_arrival_time: dep.predicted_time, // ISO string or null
+      estimated_minutes: dep.predicted_time ? Math.max(0, Math.round((dep.predicted_time - Date.now()) / 60000)) : null, // Minutes from now, or null
+      distance_to_stop: dep.distance_to_station_meters, // In meters (null for scheduled-only departures)
+      stale: Boolean(dep.stale), // The bus has not reported for a while, its prediction may be outdated
+      passengers: dep.occupancy ? dep.occupancy.pas : null, // Passengers on board, null if unknown
+      capacity: dep.occupancy ? dep.occupancy.cap : null,
+      occupancy_status: dep.occupancy ? dep.occupancy.occ : null, // GTFS-Realtime OccupancyStatus name (e.g. 'FEW_SEATS_AVAILABLE'), null if unknown
       // Add other fields as needed, potentially fetching subline code/name from the DB if required
       // subline_code: ... (fetch if needed)
       // subline_name: ... (fetch if needed)
@@ -272,9 +286,44 @@ const getDeparturesForStation = async (req, res) => {
     res.status(500).json({ success: false, message: 'Server Error' });
   }
 };
+// GET the timetable of a stop for a service day (?date=YYYY-MM-DD, defaults to today)
+const getStopScheduleByCod = async (req, res) => {
+  try {
+    const { cod } = req.params;
+    const { date } = req.query;
+
+    if (date !== undefined && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date)))) {
+      return res.status(400).json({ success: false, message: 'date must be formatted as YYYY-MM-DD.' });
+    }
+
+    const stopResult = await pool.query('SELECT id, cod, nam FROM "Stop" WHERE cod = $1', [cod]);
+    if (stopResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Stop not found' });
+    }
+    const stop = stopResult.rows[0];
+
+    const serviceDate = date || getCurrentServiceDate();
+    const schedule = await getStopSchedule(stop.id, serviceDate);
+
+    res.status(200).json({
+      success: true,
+      count: schedule.length,
+      data: {
+        stop,
+        date: serviceDate,
+        departures: schedule,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching stop schedule:', error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
 module.exports = {
   getAllStops,
   getStopByCod,
   getStopById,
-  getDeparturesForStation
+  getDeparturesForStation,
+  getStopScheduleByCod
 };
\ No newline at end of file
@@ -1,5 +1,6 @@
 // src/controllers/lineController.js
 const { pool } = require('../config/database');
+const { getShapeForSubline, shapeToGeoJson, shapeToEncodedPolyline } = require('../services/shapeService');
 
 const getAllSubLines = async (req, res) => {
   try {
@@ -188,9 +189,43 @@ const getSubLineByLineCode = async (req, res) => {
   }
 };
 
+const getSubLineShape = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format = 'geojson', tolerance } = req.query;
+
+    if (format !== 'geojson' && format !== 'polyline') {
+      return res.status(400).json({ success: false, message: "Format must be 'geojson' or 'polyline'." });
+    }
+
+    // Optional Douglas-Peucker tolerance in meters for server-side simplification
+    let toleranceMeters = null;
+    if (tolerance !== undefined) {
+      toleranceMeters = parseFloat(tolerance);
+      if (isNaN(toleranceMeters) || toleranceMeters < 0) {
+        return res.status(400).json({ success: false, message: 'Tolerance must be a non-negative number of meters.' });
+      }
+    }
+
+    const shape = await getShapeForSubline(id);
+    if (!shape) {
+      return res.status(404).json({ success: false, message: 'Shape not found for this subline' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: format === 'polyline' ? shapeToEncodedPolyline(shape, toleranceMeters) : shapeToGeoJson(shape, toleranceMeters),
+    });
+  } catch (error) {
+    console.error('Error fetching subline shape:', error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
 module.exports = {
   getAllSubLines,
   getSubLineByCod,
   getSubLineById,
   getSubLineByLineCode,
+  getSubLineShape,
 };
\ No newline at end of file
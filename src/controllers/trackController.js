@@ -0,0 +1,82 @@
+// src/controllers/trackController.js
+const { getTrack, trackToGeoJson, trackToGpx, trackToKml } = require('../services/positionHistoryService');
+
+// --- Configuration ---
+const TRACK_DEFAULT_WINDOW_MS = 60 * 60 * 1000; // Without ?from, the last hour before ?to
+const TRACK_MAX_WINDOW_MS = 24 * 60 * 60 * 1000; // One request reads at most two daily partitions of the history
+const TRACK_FORMATS = ['geojson', 'gpx', 'kml'];
+
+// --- Helper Functions ---
+
+/**
+ * Parses a from/to query parameter: ms since the epoch or ISO 8601.
+ * @param {string} value
+ * @returns {Date|null} null if it is not a date.
+ */
+function parseTrackDate(value) {
+  const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// GET /api/buses/:id/track?from=&to=&format=geojson|gpx|kml&maxPoints=&tolerance= - Positions recorded for a bus
+// (see positionHistoryService). Long windows are downsampled to maxPoints; tolerance (meters) simplifies the line.
+const getBusTrack = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format = 'geojson', maxPoints, tolerance } = req.query;
+
+    if (!TRACK_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, message: `Format must be one of: ${TRACK_FORMATS.join(', ')}.` });
+    }
+    const to = req.query.to !== undefined ? parseTrackDate(req.query.to) : new Date();
+    const from = req.query.from !== undefined ? parseTrackDate(req.query.from) : to && new Date(to.getTime() - TRACK_DEFAULT_WINDOW_MS);
+    if (!from || !to) {
+      return res.status(400).json({ success: false, message: 'from and to must be dates (ISO 8601 or ms since the epoch).' });
+    }
+    if (from >= to) {
+      return res.status(400).json({ success: false, message: 'from must be before to.' });
+    }
+    if (to - from > TRACK_MAX_WINDOW_MS) {
+      return res.status(400).json({ success: false, message: `The period can be at most ${TRACK_MAX_WINDOW_MS / 3600000} hours long.` });
+    }
+
+    let maxPointsValue;
+    if (maxPoints !== undefined) {
+      maxPointsValue = parseInt(maxPoints);
+      if (isNaN(maxPointsValue) || maxPointsValue < 2) {
+        return res.status(400).json({ success: false, message: 'maxPoints must be an integer of at least 2.' });
+      }
+    }
+    // Optional Douglas-Peucker tolerance in meters for server-side simplification
+    let toleranceMeters = null;
+    if (tolerance !== undefined) {
+      toleranceMeters = parseFloat(tolerance);
+      if (isNaN(toleranceMeters) || toleranceMeters < 0) {
+        return res.status(400).json({ success: false, message: 'Tolerance must be a non-negative number of meters.' });
+      }
+    }
+
+    const track = await getTrack(id, from, to, maxPointsValue);
+    if (track.points.length === 0) {
+      return res.status(404).json({ success: false, message: 'No positions recorded for this bus in this period.' });
+    }
+
+    if (format === 'geojson') {
+      return res.status(200).json({ success: true, data: trackToGeoJson(track, toleranceMeters) });
+    }
+    const fileName = `bus_${track.busId}_track.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    if (format === 'gpx') {
+      res.type('application/gpx+xml').send(trackToGpx(track, toleranceMeters));
+    } else {
+      res.type('application/vnd.google-earth.kml+xml').send(trackToKml(track, toleranceMeters));
+    }
+  } catch (error) {
+    console.error('Error fetching bus track:', error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+module.exports = {
+  getBusTrack,
+};
@@ -3,13 +3,14 @@ const jwt = require('jsonwebtoken');
 const { pool } = require('../config/database');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your_default_secret_key';
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY; // Shared key for admin/maintenance endpoints
 
-const authenticateToken = async (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
-
+// Verifies a driver JWT (issued by /api/auth/login) and loads the driver it belongs to.
+// Returns { driver } on success, or { status, message } describing why the token was refused.
+// Shared by authenticateToken and the driver WebSocket upgrade in server.js.
+const verifyDriverToken = async (token) => {
   if (!token) {
-    return res.status(401).json({ success: false, message: 'Access token required.' });
+    return { status: 401, message: 'Access token required.' };
   }
 
   try {
@@ -19,21 +20,60 @@ const authenticateToken = async (req, res, next) => {
     const driverResult = await pool.query(driverQuery, [decoded.driverId]);
 
     if (driverResult.rows.length === 0) {
-      return res.status(401).json({ success: false, message: 'Token is valid but user not found.' });
+      return { status: 401, message: 'Token is valid but user not found.' };
     }
 
-    req.driver = driverResult.rows[0]; // Attach driver info to the request object
-    next();
+    return { driver: driverResult.rows[0], expiresAt: decoded.exp ? decoded.exp * 1000 : null };
   } catch (error) {
     if (error instanceof jwt.TokenExpiredError) {
-      return res.status(401).json({ success: false, message: 'Token has expired.' });
+      return { status: 401, message: 'Token has expired.' };
     } else if (error instanceof jwt.JsonWebTokenError) {
-      return res.status(403).json({ success: false, message: 'Invalid token.' });
-    } else {
-      console.error('Auth middleware error:', error);
-      return res.status(500).json({ success: false, message: 'Server Error' });
+      return { status: 403, message: 'Invalid token.' };
     }
+    console.error('Auth middleware error:', error);
+    return { status: 500, message: 'Server Error' };
+  }
+};
+
+const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+  const result = await verifyDriverToken(token);
+  if (!result.driver) {
+    return res.status(result.status).json({ success: false, message: result.message });
   }
+
+  req.driver = result.driver; // Attach driver info to the request object
+  next();
+};
+
+// Checks a key against ADMIN_API_KEY. Returns 'disabled', 'missing', 'invalid' or 'ok'.
+// Shared by requireAdmin and the dispatcher WebSocket upgrade in server.js.
+const checkAdminKey = (providedKey) => {
+  if (!ADMIN_API_KEY) {
+    return 'disabled';
+  }
+  if (!providedKey) {
+    return 'missing';
+  }
+  return providedKey === ADMIN_API_KEY ? 'ok' : 'invalid';
+};
+
+// Guards admin endpoints with the shared key from ADMIN_API_KEY, sent as the 'x-admin-key' header.
+const requireAdmin = (req, res, next) => {
+  const keyStatus = checkAdminKey(req.headers['x-admin-key']);
+  if (keyStatus === 'disabled') {
+    return res.status(503).json({ success: false, message: 'Admin endpoints are disabled (ADMIN_API_KEY not set).' });
+  }
+  if (keyStatus === 'missing') {
+    return res.status(401).json({ success: false, message: 'Admin key required.' });
+  }
+  if (keyStatus === 'invalid') {
+    return res.status(403).json({ success: false, message: 'Invalid admin key.' });
+  }
+
+  next();
 };
 
-module.exports = { authenticateToken };
\ No newline at end of file
+module.exports = { authenticateToken, verifyDriverToken, requireAdmin, checkAdminKey };
\ No newline at end of file
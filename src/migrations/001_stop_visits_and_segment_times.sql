@@ -0,0 +1,29 @@
+-- Stop visits detected by the realtime processor, and the stop-to-stop travel times learned from them.
+
+CREATE TABLE IF NOT EXISTS "StopVisit" (
+  id BIGSERIAL PRIMARY KEY,
+  bus_id TEXT NOT NULL,             -- busId as sent by the driver app
+  sublineid INTEGER NOT NULL,       -- "SubLine".id (the rt_id)
+  stopid INTEGER NOT NULL,          -- "Stop".id
+  stoporder INTEGER NOT NULL,       -- "SubLineStop".stoporder of the stop on that subline
+  arrived_at TIMESTAMPTZ NOT NULL,  -- Entered the stop radius
+  departed_at TIMESTAMPTZ,          -- Left the stop radius (NULL while the bus is still there)
+  stopped BOOLEAN NOT NULL DEFAULT false -- false for a drive-through
+);
+
+CREATE INDEX IF NOT EXISTS "StopVisit_sublineid_arrived_at_idx" ON "StopVisit" (sublineid, arrived_at);
+CREATE INDEX IF NOT EXISTS "StopVisit_bus_id_arrived_at_idx" ON "StopVisit" (bus_id, arrived_at);
+
+-- Median arrival-to-arrival time between two consecutive stops of a subline, per day type and local hour.
+-- Rebuilt from "StopVisit" by segmentTimeService.refreshSegmentTravelTimes().
+CREATE TABLE IF NOT EXISTS "SegmentTravelTime" (
+  sublineid INTEGER NOT NULL,
+  from_stoporder INTEGER NOT NULL,
+  to_stoporder INTEGER NOT NULL,
+  day_type TEXT NOT NULL,           -- 'weekday', 'saturday' or 'sunday'
+  hour SMALLINT NOT NULL,           -- Local hour (0-23) of the arrival at the from stop
+  samples INTEGER NOT NULL,
+  median_seconds REAL NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (sublineid, from_stoporder, to_stoporder, day_type, hour)
+);
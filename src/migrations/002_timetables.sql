@@ -0,0 +1,43 @@
+-- Timetables: service calendars, scheduled trips per subline and their per-stop times.
+-- Modelled on GTFS calendar.txt, calendar_dates.txt, trips.txt and stop_times.txt.
+
+CREATE TABLE IF NOT EXISTS "ServiceCalendar" (
+  id SERIAL PRIMARY KEY,
+  cod TEXT NOT NULL UNIQUE,         -- e.g. 'WEEKDAY', exported as the GTFS service_id
+  monday BOOLEAN NOT NULL DEFAULT false,
+  tuesday BOOLEAN NOT NULL DEFAULT false,
+  wednesday BOOLEAN NOT NULL DEFAULT false,
+  thursday BOOLEAN NOT NULL DEFAULT false,
+  friday BOOLEAN NOT NULL DEFAULT false,
+  saturday BOOLEAN NOT NULL DEFAULT false,
+  sunday BOOLEAN NOT NULL DEFAULT false,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL
+);
+
+-- Exceptions to the weekly pattern (holidays, special service days)
+CREATE TABLE IF NOT EXISTS "ServiceCalendarDate" (
+  service_id INTEGER NOT NULL REFERENCES "ServiceCalendar"(id) ON DELETE CASCADE,
+  date DATE NOT NULL,
+  exception_type SMALLINT NOT NULL CHECK (exception_type IN (1, 2)), -- 1 = service added, 2 = service removed
+  PRIMARY KEY (service_id, date)
+);
+
+CREATE TABLE IF NOT EXISTS "Trip" (
+  id SERIAL PRIMARY KEY,
+  cod TEXT NOT NULL UNIQUE,         -- Exported as the GTFS trip_id
+  sublineid INTEGER NOT NULL,       -- "SubLine".id
+  service_id INTEGER NOT NULL REFERENCES "ServiceCalendar"(id) ON DELETE CASCADE,
+  headsign TEXT
+);
+
+CREATE INDEX IF NOT EXISTS "Trip_sublineid_idx" ON "Trip" (sublineid);
+
+-- Scheduled times in seconds since the start of the service day (may exceed 86400 for trips past midnight)
+CREATE TABLE IF NOT EXISTS "TripStopTime" (
+  trip_id INTEGER NOT NULL REFERENCES "Trip"(id) ON DELETE CASCADE,
+  stoporder INTEGER NOT NULL,       -- "SubLineStop".stoporder on the trip's subline
+  arrival_seconds INTEGER NOT NULL,
+  departure_seconds INTEGER NOT NULL,
+  PRIMARY KEY (trip_id, stoporder)
+);
@@ -0,0 +1,5 @@
+-- Bus capacity, used with the passenger counts reported by drivers to publish live occupancy.
+-- Existing buses get the capacity the realtime messages used to hard-code (30 seated + 20 standing).
+
+ALTER TABLE "Bus" ADD COLUMN IF NOT EXISTS seated_capacity INTEGER NOT NULL DEFAULT 30 CHECK (seated_capacity >= 0);
+ALTER TABLE "Bus" ADD COLUMN IF NOT EXISTS standing_capacity INTEGER NOT NULL DEFAULT 20 CHECK (standing_capacity >= 0);
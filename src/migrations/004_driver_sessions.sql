@@ -0,0 +1,18 @@
+-- Driver shifts. A session is 'active' while the driver is in service, 'paused' during a break and 'ended' afterwards.
+-- While a session is open (active or paused) its bus is locked: no other driver can start a session on it.
+
+CREATE TABLE IF NOT EXISTS "DriverSession" (
+  id BIGSERIAL PRIMARY KEY,
+  driver_id INTEGER NOT NULL REFERENCES "Driver" (id),
+  bus_id INTEGER NOT NULL REFERENCES "Bus" (id),
+  route_id INTEGER NOT NULL,        -- Main "RouteLine".id, copied from "DriverConfiguration" at the start
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused', 'ended')),
+  started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  paused_at TIMESTAMPTZ,            -- Start of the current break (NULL unless paused)
+  scheduled_end_at TIMESTAMPTZ,     -- From "DriverConfiguration".schedule_end_time; the session is ended automatically after it
+  ended_at TIMESTAMPTZ,
+  end_reason TEXT                   -- 'driver' or 'schedule'
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "DriverSession_open_bus_idx" ON "DriverSession" (bus_id) WHERE status <> 'ended';
+CREATE UNIQUE INDEX IF NOT EXISTS "DriverSession_open_driver_idx" ON "DriverSession" (driver_id) WHERE status <> 'ended';
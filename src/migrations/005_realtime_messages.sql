@@ -0,0 +1,10 @@
+-- Realtime messages too large for a Postgres NOTIFY payload (8000 bytes), used by the 'postgres' pub/sub adapter
+-- (REALTIME_PUBSUB=postgres). The notification only carries the row id; rows are deleted after a few minutes.
+
+CREATE TABLE IF NOT EXISTS "RealtimeMessage" (
+  id BIGSERIAL PRIMARY KEY,
+  payload JSONB NOT NULL,           -- { origin, channel, data }, as in the notification
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS "RealtimeMessage_created_at_idx" ON "RealtimeMessage" (created_at);
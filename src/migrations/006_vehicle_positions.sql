@@ -0,0 +1,18 @@
+-- Position history: every fix accepted from the driver app, sent live or uploaded later in a batch
+-- (when the bus went through an area without coverage). Written by positionHistoryService.
+
+CREATE TABLE IF NOT EXISTS "VehiclePosition" (
+  id BIGSERIAL PRIMARY KEY,
+  bus_id TEXT NOT NULL,             -- busId as sent by the driver app
+  route_id INTEGER,                 -- "RouteLine".id the driver was configured for
+  driver_id INTEGER,                -- "Driver".id
+  lat DOUBLE PRECISION NOT NULL,
+  lng DOUBLE PRECISION NOT NULL,
+  velocity REAL,                    -- m/s, as reported by the device
+  recorded_at TIMESTAMPTZ NOT NULL, -- Timestamp of the fix on the device
+  received_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  source TEXT NOT NULL DEFAULT 'live', -- 'live' or 'batch'
+  UNIQUE (bus_id, recorded_at)      -- A batch uploaded twice is only stored once
+);
+
+CREATE INDEX IF NOT EXISTS "VehiclePosition_recorded_at_idx" ON "VehiclePosition" (recorded_at);
@@ -0,0 +1,5 @@
+-- Fix quality fields sent by the driver app, kept with the position history (see gpsFilter).
+
+ALTER TABLE "VehiclePosition" ADD COLUMN IF NOT EXISTS accuracy REAL;  -- Horizontal accuracy (m)
+ALTER TABLE "VehiclePosition" ADD COLUMN IF NOT EXISTS heading REAL;   -- Degrees clockwise from north
+ALTER TABLE "VehiclePosition" ADD COLUMN IF NOT EXISTS altitude REAL;  -- Meters above the WGS84 ellipsoid
@@ -0,0 +1,45 @@
+-- Partitions "VehiclePosition" by day (UTC) of recorded_at, so the retention (positionHistoryService) drops whole
+-- partitions instead of deleting rows. Daily partitions are created ahead by positionHistoryService; fixes outside
+-- them land in "VehiclePosition_default".
+
+ALTER TABLE "VehiclePosition" RENAME TO "VehiclePosition_unpartitioned";
+ALTER INDEX "VehiclePosition_pkey" RENAME TO "VehiclePosition_unpartitioned_pkey";
+ALTER INDEX "VehiclePosition_bus_id_recorded_at_key" RENAME TO "VehiclePosition_unpartitioned_bus_id_recorded_at_key";
+ALTER INDEX "VehiclePosition_recorded_at_idx" RENAME TO "VehiclePosition_unpartitioned_recorded_at_idx";
+
+CREATE TABLE "VehiclePosition" (
+  bus_id TEXT NOT NULL,             -- busId as sent by the driver app
+  route_id INTEGER,                 -- "RouteLine".id the driver was configured for
+  driver_id INTEGER,                -- "Driver".id
+  lat DOUBLE PRECISION NOT NULL,
+  lng DOUBLE PRECISION NOT NULL,
+  velocity REAL,                    -- m/s, as reported by the device
+  accuracy REAL,                    -- Horizontal accuracy (m)
+  heading REAL,                     -- Degrees clockwise from north
+  altitude REAL,                    -- Meters above the WGS84 ellipsoid
+  recorded_at TIMESTAMPTZ NOT NULL, -- Timestamp of the fix on the device
+  received_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  source TEXT NOT NULL DEFAULT 'live', -- 'live' or 'batch'
+  PRIMARY KEY (bus_id, recorded_at) -- Also serves the track queries; a batch uploaded twice is only stored once
+) PARTITION BY RANGE (recorded_at);
+
+CREATE TABLE "VehiclePosition_default" PARTITION OF "VehiclePosition" DEFAULT;
+
+-- One partition per day already holding positions, named like the ones positionHistoryService creates
+DO $$
+DECLARE
+  day DATE;
+BEGIN
+  FOR day IN SELECT DISTINCT (recorded_at AT TIME ZONE 'UTC')::date FROM "VehiclePosition_unpartitioned" LOOP
+    EXECUTE format(
+      'CREATE TABLE %I PARTITION OF "VehiclePosition" FOR VALUES FROM (%L) TO (%L)',
+      'VehiclePosition_' || to_char(day, 'YYYYMMDD'), day || ' 00:00:00+00', (day + 1) || ' 00:00:00+00'
+    );
+  END LOOP;
+END $$;
+
+INSERT INTO "VehiclePosition" (bus_id, route_id, driver_id, lat, lng, velocity, accuracy, heading, altitude, recorded_at, received_at, source)
+SELECT bus_id, route_id, driver_id, lat, lng, velocity, accuracy, heading, altitude, recorded_at, received_at, source
+FROM "VehiclePosition_unpartitioned";
+
+DROP TABLE "VehiclePosition_unpartitioned";
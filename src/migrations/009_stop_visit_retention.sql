@@ -0,0 +1,3 @@
+-- Stop visits older than the segment history window are deleted by segmentTimeService.refreshSegmentTravelTimes().
+
+CREATE INDEX IF NOT EXISTS "StopVisit_arrived_at_idx" ON "StopVisit" (arrived_at);
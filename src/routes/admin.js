@@ -0,0 +1,32 @@
+// src/routes/admin.js
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/authMiddleware');
+const { importGtfsFeed } = require('../controllers/gtfsController');
+const { getNetworkCacheStatus, refreshNetworkCacheNow } = require('../controllers/networkController');
+const { getIngestionStats } = require('../controllers/ingestionController');
+
+// All admin endpoints require the 'x-admin-key' header
+router.use(requireAdmin);
+
+// POST a GTFS static zip to import it into RouteLine/SubLine/Stop/SubLineStop and the timetables (add ?dryRun=true to only get the diff)
+router.post(
+  '/gtfs/import',
+  express.raw({ type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'], limit: '100mb' }),
+  importGtfsFeed
+);
+
+// GET the state of the network cache (lines, sublines, stops and shapes used by the realtime processing)
+router.get('/network', getNetworkCacheStatus);
+
+// POST to reload the network cache now, on every instance (it is otherwise reloaded after a GTFS import and when
+// the network tables or KML files change)
+router.post('/network/refresh', refreshNetworkCacheNow);
+
+// GET the driver location ingestion metrics, in total and per bus
+router.get('/ingestion', getIngestionStats);
+
+//POST http://localhost:3000/api/admin/gtfs/import?dryRun=true  (x-admin-key: <ADMIN_API_KEY>, body: feed.zip)
+//POST http://localhost:3000/api/admin/network/refresh  (x-admin-key: <ADMIN_API_KEY>)
+//GET http://localhost:3000/api/admin/ingestion  (x-admin-key: <ADMIN_API_KEY>)
+module.exports = router;
@@ -1,35 +1,22 @@
 // Example: Add this to your server (e.g., in routes/buses.js or a similar file)
 const express = require('express');
 const { pool } = require('../config/database'); // Import your DB connection pool
+const { getBusTrack } = require('../controllers/trackController');
+const { requireAdmin } = require('../middleware/authMiddleware');
 const router = express.Router();
 
-// GET /api/buses/available - Fetch buses not currently assigned to an active driver
-// This assumes you have a way to track active drivers and their assigned buses
-// If you don't have an active driver tracking system yet, you might just return all buses
-// or buses where assigned_to_driver_id is NULL.
+// GET /api/buses/available - Fetch buses not assigned to a driver and not in use by an open driver session
 router.get('/available', async (req, res) => {
   try {
-    // --- Option 1: If you simply want all buses where assigned_to_driver_id is NULL ---
+    // Unassigned buses that are not locked by an open (active or paused) driver session
     const query = `
-      SELECT id, cod, nam, plate, assigned_to_driver_id
-      FROM "Bus"
-      WHERE assigned_to_driver_id IS NULL
-      ORDER BY id; -- Order by ID for consistency
+      SELECT b.id, b.cod, b.nam, b.plate, b.assigned_to_driver_id, b.seated_capacity, b.standing_capacity
+      FROM "Bus" b
+      WHERE b.assigned_to_driver_id IS NULL
+        AND NOT EXISTS (SELECT 1 FROM "DriverSession" ds WHERE ds.bus_id = b.id AND ds.status <> 'ended')
+      ORDER BY b.id; -- Order by ID for consistency
     `;
 
-    // --- Option 2: If you want to exclude buses assigned to *currently active* drivers ---
-    // You might need a table like 'DriverSessions' or check 'active' status in the 'Driver' table
-    // Example query excluding buses assigned to drivers who have an active session:
-    // const query = `
-    //   SELECT b.id, b.cod, b.nam, b.plate, b.assigned_to_driver_id
-    //   FROM "Bus" b
-    //   LEFT JOIN "Driver" d ON b.assigned_to_driver_id = d.id -- Join with Driver table
-    //   LEFT JOIN "DriverSession" ds ON d.id = ds.driver_id -- Join with DriverSession table (if exists)
-    //   WHERE b.assigned_to_driver_id IS NULL -- Unassigned buses
-    //   OR (d.active = true AND ds.status = 'active') IS NOT TRUE; -- OR assigned but driver is not active
-    //   ORDER BY b.id;
-    // `;
-
     const result = await pool.query(query);
 
     res.status(200).json({
@@ -49,7 +36,7 @@ router.get('/available', async (req, res) => {
 // GET /api/buses - Fetch all buses (might be useful for admin views)
 router.get('/', async (req, res) => {
   try {
-    const query = 'SELECT id, cod, nam, plate, assigned_to_driver_id FROM "Bus" ORDER BY id;';
+    const query = 'SELECT id, cod, nam, plate, assigned_to_driver_id, seated_capacity, standing_capacity FROM "Bus" ORDER BY id;';
     const result = await pool.query(query);
 
     res.status(200).json({
@@ -66,4 +53,8 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/buses/:id/track?from=2026-10-19T08:00:00Z&to=2026-10-19T10:00:00Z&format=gpx - Recorded positions of a bus
+// as GeoJSON (default), GPX or KML. Drivers' movements are not public: requires the 'x-admin-key' header
+router.get('/:id/track', requireAdmin, getBusTrack);
+
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,8 @@
 const express = require('express');
 const { authenticateToken } = require('../middleware/authMiddleware'); // Import the middleware
 const { pool } = require('../config/database');
+const { getOpenSession, startSession, pauseSession, resumeSession, endSession, setSessionSharing, checkBroadcastAllowed } = require('../services/driverSessionService');
+const { enqueueBatch } = require('../services/ingestionQueue');
 
 const router = express.Router();
 
@@ -42,7 +44,16 @@ router.get('/me/configuration', authenticateToken, async (req, res) => {
 // Example: Save driver's configuration (protected route)
 router.post('/me/configuration', authenticateToken, async (req, res) => {
   const driverId = req.driver.id; // Get driver ID from the authenticated request object
-  const { busId, routeId, driverName, driverPhone, busPlate } = req.body;
+  const { busId, routeId, driverName, driverPhone, busPlate, isSharing } = req.body;
+
+  if (isSharing !== undefined && typeof isSharing !== 'boolean') {
+    return res.status(400).json({ success: false, message: 'isSharing must be a boolean.' });
+  }
+  // The bus and route are locked while a session is open
+  const openSession = getOpenSession(driverId);
+  if (openSession && (String(openSession.busId) !== String(busId) || String(openSession.routeId) !== String(routeId))) {
+    return res.status(409).json({ success: false, message: 'End the current session before changing bus or route.' });
+  }
 
   try {
     // Optional: Validate busId and routeId exist and are valid before inserting/updating
@@ -52,8 +63,8 @@ router.post('/me/configuration', authenticateToken, async (req, res) => {
 
     // Upsert the configuration (INSERT if not exists, UPDATE if exists)
     const upsertConfigQuery = `
-      INSERT INTO "DriverConfiguration" (driver_id, bus_id, route_id, driver_name, driver_phone, bus_plate)
-      VALUES ($1, $2, $3, $4, $5, $6)
+      INSERT INTO "DriverConfiguration" (driver_id, bus_id, route_id, driver_name, driver_phone, bus_plate, is_sharing)
+      VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, true))
       ON CONFLICT (driver_id) -- Assuming UNIQUE constraint on (driver_id)
       DO UPDATE SET
         bus_id = EXCLUDED.bus_id,
@@ -61,9 +72,13 @@ router.post('/me/configuration', authenticateToken, async (req, res) => {
         driver_name = EXCLUDED.driver_name,
         driver_phone = EXCLUDED.driver_phone,
         bus_plate = EXCLUDED.bus_plate,
+        is_sharing = COALESCE($7, "DriverConfiguration".is_sharing), -- Unchanged unless isSharing is sent
         updated_at = CURRENT_TIMESTAMP; -- Update timestamp on upsert
     `;
-    await pool.query(upsertConfigQuery, [driverId, busId, routeId, driverName, driverPhone, busPlate]);
+    await pool.query(upsertConfigQuery, [driverId, busId, routeId, driverName, driverPhone, busPlate, isSharing === undefined ? null : isSharing]);
+    if (isSharing !== undefined) {
+      setSessionSharing(driverId, isSharing);
+    }
 
     res.status(200).json({
       success: true,
@@ -80,4 +95,83 @@ router.post('/me/configuration', authenticateToken, async (req, res) => {
   }
 });
 
+// --- Driver Sessions (shifts) ---
+// A driver's positions are only published while their session is active and location sharing is on.
+
+// Sends the result of a driverSessionService call: { session } or { status, message }
+const sendSessionResult = (res, result, successStatus = 200) => {
+  if (!result.session) {
+    return res.status(result.status).json({ success: false, message: result.message });
+  }
+  res.status(successStatus).json({ success: true, data: result.session });
+};
+
+// GET the driver's open session (null if none)
+router.get('/me/session', authenticateToken, (req, res) => {
+  res.status(200).json({ success: true, data: getOpenSession(req.driver.id) });
+});
+
+// Start a session on the configured bus and route (locks the bus)
+router.post('/me/session/start', authenticateToken, async (req, res) => {
+  try {
+    sendSessionResult(res, await startSession(req.driver.id), 201);
+  } catch (error) {
+    console.error('Start session error:', error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+});
+
+// Pause the active session (break)
+router.post('/me/session/pause', authenticateToken, async (req, res) => {
+  try {
+    sendSessionResult(res, await pauseSession(req.driver.id));
+  } catch (error) {
+    console.error('Pause session error:', error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+});
+
+// Resume a paused session
+router.post('/me/session/resume', authenticateToken, async (req, res) => {
+  try {
+    sendSessionResult(res, await resumeSession(req.driver.id));
+  } catch (error) {
+    console.error('Resume session error:', error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+});
+
+// End the session and release the bus
+router.post('/me/session/end', authenticateToken, async (req, res) => {
+  try {
+    sendSessionResult(res, await endSession(req.driver.id));
+  } catch (error) {
+    console.error('End session error:', error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+});
+
+// --- Buffered Positions ---
+
+// Upload the locations buffered by the app while it had no coverage: { positions: [{ lat, lng, timestamp, velocity, accuracy, heading, altitude }, ...] }.
+// Same as the 'batch' message of /api/driver-location-ws, for apps that reconnect over HTTP first.
+router.post('/me/positions', authenticateToken, (req, res) => {
+  const session = getOpenSession(req.driver.id);
+  const sessionCheck = checkBroadcastAllowed(req.driver.id, session ? session.busId : null);
+  if (!sessionCheck.allowed) {
+    return res.status(409).json({ success: false, message: sessionCheck.message });
+  }
+
+  try {
+    const result = enqueueBatch({ busId: session.busId, routeId: session.routeId, driverId: req.driver.id }, req.body && req.body.positions);
+    if (result.error) {
+      return res.status(result.code === 'shutting-down' ? 503 : 400).json({ success: false, message: result.error });
+    }
+    res.status(202).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Upload positions error:', error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,17 @@
+// src/routes/gtfs.js
+const express = require('express');
+const router = express.Router();
+const { getStaticFeedZip, getVehiclePositionsFeed, getTripUpdatesFeed, getAlertsFeed } = require('../controllers/gtfsController');
+
+// GET the GTFS static feed (agency, routes, calendar, trips, stops, stop_times, shapes)
+router.get('/static.zip', getStaticFeedZip);
+
+// GET GTFS-Realtime feeds built from the live bus states (protobuf by default, ?format=json for a debug view)
+router.get('/realtime/vehicle-positions', getVehiclePositionsFeed);
+router.get('/realtime/trip-updates', getTripUpdatesFeed);
+router.get('/realtime/alerts', getAlertsFeed);
+
+//GET http://localhost:3000/api/gtfs/static.zip
+//GET http://localhost:3000/api/gtfs/realtime/vehicle-positions
+//GET http://localhost:3000/api/gtfs/realtime/trip-updates?format=json
+module.exports = router;
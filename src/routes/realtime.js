@@ -0,0 +1,12 @@
+// src/routes/realtime.js
+const express = require('express');
+const router = express.Router();
+const { streamRealtime } = require('../controllers/realtimeController');
+
+// GET live bus messages as Server-Sent Events, for clients that cannot open a WebSocket
+router.get('/stream', streamRealtime);
+
+//GET http://localhost:3000/api/realtime/stream?line=101
+//GET http://localhost:3000/api/realtime/stream?line=101&stop=40036
+//GET http://localhost:3000/api/realtime/stream?subline=1011,1012&bus=12
+module.exports = router;
@@ -1,7 +1,7 @@
 // src/routes/stops.js
 const express = require('express');
 const router = express.Router();
-const { getAllStops, getStopByCod, getStopById, getDeparturesForStation } = require('../controllers/stopController');
+const { getAllStops, getStopByCod, getStopById, getDeparturesForStation, getStopScheduleByCod } = require('../controllers/stopController');
 
 // GET all stops with optional filtering and pagination
 router.get('/', getAllStops);
@@ -13,8 +13,13 @@ router.get('/cod/:cod', getStopByCod);
 router.get('/id/:id', getStopById);
 
 router.get('/:stationCode/departures/ctmr4', getDeparturesForStation); // Use the new controller function
+router.get('/:stationCode/departures', getDeparturesForStation); // Realtime and scheduled departures merged
+
+// GET the timetable of a stop for a service day (?date=YYYY-MM-DD, defaults to today)
+router.get('/:cod/schedule', getStopScheduleByCod);
 
 //GET http://localhost:3000/api/stops
 //GET http://localhost:3000/api/stops?page=2
 //GET http://localhost:3000/api/stops?limit=-1
+//GET http://localhost:3000/api/stops/1234/schedule?date=2025-06-02
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,7 @@
 // src/routes/stops.js
 const express = require('express');
 const router = express.Router();
-const { getAllSubLines, getSubLineByCod, getSubLineById, getSubLineByLineCode } = require('../controllers/sublineController');
+const { getAllSubLines, getSubLineByCod, getSubLineById, getSubLineByLineCode, getSubLineShape } = require('../controllers/sublineController');
 
 // GET all stops with optional filtering and pagination
 router.get('/', getAllSubLines);
@@ -15,7 +15,11 @@ router.get('/id/:id', getSubLineById);
 // GET a single stop by its 'id' field (assuming 'id' is the primary key)
 router.get('/linecode/:linecod', getSubLineByLineCode);
 
+// GET the route shape of a subline from its KML, as GeoJSON or encoded polyline (?format=polyline&tolerance=5)
+router.get('/:id/shape', getSubLineShape);
+
 //GET http://localhost:3000/api/lines
 //GET http://localhost:3000/api/lines?page=2
 //GET http://localhost:3000/api/lines?limit=-1
+//GET http://localhost:3000/api/sublines/1189/shape?format=polyline&tolerance=5
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,33 @@
+// src/scripts/importGtfs.js
+// Usage: npm run gtfs:import -- <path/to/gtfs.zip> [--dry-run] [--namespace <name>]
+// --namespace prefixes the stop, service and trip codes of a feed whose ids overlap another network's
+// (see gtfsImporter.importGtfs).
+require('dotenv').config();
+const { importGtfs } = require('../services/gtfsImporter');
+const { pool } = require('../config/database');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const namespaceIndex = args.indexOf('--namespace');
+  const namespace = namespaceIndex !== -1 ? args[namespaceIndex + 1] : null;
+  const zipPath = args.find((arg, index) => !arg.startsWith('--') && (namespaceIndex === -1 || index !== namespaceIndex + 1));
+
+  if (!zipPath || (namespaceIndex !== -1 && !namespace)) {
+    console.error('Usage: node src/scripts/importGtfs.js <path/to/gtfs.zip> [--dry-run] [--namespace <name>]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const result = await importGtfs(zipPath, { dryRun, namespace });
+    console.log(JSON.stringify(result, null, 2));
+  } catch (error) {
+    console.error('GTFS import failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
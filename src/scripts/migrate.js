@@ -0,0 +1,53 @@
+// src/scripts/migrate.js
+// Usage: npm run db:migrate
+// Applies the SQL files in src/migrations in name order, each once, recording them in "SchemaMigration".
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('../config/database');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+async function main() {
+  const client = await pool.connect();
+  try {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS "SchemaMigration" (
+        name TEXT PRIMARY KEY,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      )
+    `);
+    const appliedResult = await client.query('SELECT name FROM "SchemaMigration"');
+    const applied = new Set(appliedResult.rows.map(row => row.name));
+
+    const files = fs.readdirSync(MIGRATIONS_DIR).filter(file => file.endsWith('.sql')).sort();
+    const pending = files.filter(file => !applied.has(file));
+    if (pending.length === 0) {
+      console.log('[Migrate] Database is up to date.');
+      return;
+    }
+
+    for (const file of pending) {
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      console.log(`[Migrate] Applying ${file}...`);
+      await client.query('BEGIN');
+      try {
+        await client.query(sql);
+        await client.query('INSERT INTO "SchemaMigration" (name) VALUES ($1)', [file]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`${file}: ${error.message}`);
+      }
+    }
+    console.log(`[Migrate] Applied ${pending.length} migration(s).`);
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+main();
@@ -0,0 +1,177 @@
+// src/scripts/simulateTrip.js
+// Usage: npm run simulate -- subline <subline id or code> [--bus SIM1] [--speed 30] [--dwell 20] [--noise 5] [--interval 5]
+//                                   [--rate 1] [--url ws://localhost:3000 --token <driver JWT>]
+//        npm run simulate -- replay <bus id> --from <ISO date> --to <ISO date> [--rate 1]
+// 'subline' drives a bus along a subline's KML shape (speed in km/h, dwell at each stop in s, GPS noise in m, one fix
+// every interval s). 'replay' plays back the positions recorded for a bus (see positionHistoryService).
+// --rate speeds up the playback (10 is ten times faster, 'max' does not wait).
+// Without --url the fixes go through the GPS filter and processLocationData in this process, against the database
+// of .env, and the messages passengers would receive are printed. Nothing reaches the running servers or is written
+// to the database (stop visits, position history). With --url the simulated fixes are sent to a running server as
+// driver messages: the driver of --token needs a bus configured and an active session.
+require('dotenv').config();
+process.env.REALTIME_PUBSUB = 'memory'; // The simulated bus states must not be published to the running instances
+const WebSocket = require('ws');
+const { pool } = require('../config/database');
+const { loadSublineForSimulation, generateSublineTrip, loadRecordedTrip, playTrip } = require('../services/tripSimulator');
+const { checkFixQuality, filterFix } = require('../services/gpsFilter');
+const { processLocationData, injectBroadcastFunction } = require('../services/realtimeProcessor');
+
+const USAGE = 'Usage: node src/scripts/simulateTrip.js subline <subline id or code> [--bus SIM1] [--speed 30] [--dwell 20] [--noise 5] [--interval 5] [--rate 1] [--url ws://host:port --token <driver JWT>]\n' +
+  '       node src/scripts/simulateTrip.js replay <bus id> --from <ISO date> --to <ISO date> [--rate 1]';
+
+/**
+ * Splits the command line into positional arguments and --name value options.
+ * @param {Array<string>} args
+ * @returns {{positional: Array<string>, options: object}}
+ */
+function parseArgs(args) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      options[args[i].substring(2)] = args[i + 1];
+      i++;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+  return { positional, options };
+}
+
+/**
+ * Reads a numeric option.
+ * @param {object} options
+ * @param {string} name
+ * @param {number|undefined} defaultValue
+ * @param {number} min - Smallest accepted value (exclusive when strict).
+ * @param {boolean} [strict=false]
+ * @returns {number|undefined}
+ */
+function readNumber(options, name, defaultValue, min, strict = false) {
+  if (options[name] === undefined) {
+    return defaultValue;
+  }
+  const value = parseFloat(options[name]);
+  if (isNaN(value) || value < min || (strict && value === min)) {
+    throw new Error(`--${name} must be a number ${strict ? 'greater than' : 'of at least'} ${min}.`);
+  }
+  return value;
+}
+
+/**
+ * Processes a fix in this process like the ingestion queue does (GPS filter, then processLocationData),
+ * without storing it in the position history or recording its stop visits.
+ * @param {object} fix - Location data with busId and routeId.
+ */
+async function processFixLocally(fix) {
+  const qualityError = checkFixQuality(fix);
+  if (qualityError) {
+    console.warn(`[Simulator] Fix at ${new Date(fix.timestamp).toISOString()} refused: ${qualityError}`);
+    return;
+  }
+  const filtered = filterFix(fix.busId, fix);
+  if (!filtered.accepted) {
+    console.warn(`[Simulator] Fix at ${new Date(fix.timestamp).toISOString()} ignored by the GPS filter: ${filtered.message}`);
+    return;
+  }
+  await processLocationData(filtered.fix, { simulation: true });
+}
+
+/**
+ * Opens a driver WebSocket on a running server.
+ * @param {string} url - e.g. ws://localhost:3000
+ * @param {string} token - Driver JWT.
+ * @returns {Promise<WebSocket>} Once the server confirmed the connection.
+ */
+function connectAsDriver(url, token) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${url.replace(/\/$/, '')}/api/driver-location-ws`, { headers: { Authorization: `Bearer ${token}` } });
+    ws.on('message', raw => {
+      const message = JSON.parse(raw);
+      if (message.type === 'connected') {
+        console.log(`[Simulator] Connected as the driver of bus ${message.bus_id} on route ${message.route_id}.`);
+        resolve(ws);
+      } else if (message.type === 'error') {
+        console.warn(`[Simulator] Server error: ${message.code}: ${message.message}`);
+      }
+    });
+    ws.on('unexpected-response', (request, response) => reject(new Error(`The server refused the connection (HTTP ${response.statusCode}).`)));
+    ws.on('error', reject);
+    ws.on('close', (code, reason) => reject(new Error(`Connection closed (${code} ${reason}).`)));
+  });
+}
+
+async function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2));
+  const [mode, ref] = positional;
+  if (!['subline', 'replay'].includes(mode) || !ref) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  let ws = null;
+  try {
+    const rate = options.rate === 'max' ? Infinity : readNumber(options, 'rate', 1, 0, true);
+    if (options.url) {
+      if (mode === 'replay') {
+        throw new Error('--url is only for simulated trips: recorded fixes are too old for a running server.');
+      }
+      if (!options.token) {
+        throw new Error('--url needs the --token of a driver.');
+      }
+      if (rate !== 1) {
+        throw new Error('--url plays in real time only: the server refuses fixes timestamped in the future.');
+      }
+    }
+    let fixes;
+    if (mode === 'subline') {
+      const { subline, shape, stops } = await loadSublineForSimulation(ref);
+      const busId = options.bus || 'SIM1';
+      fixes = generateSublineTrip(shape, stops, {
+        speedKmh: readNumber(options, 'speed', undefined, 0, true),
+        dwellSeconds: readNumber(options, 'dwell', undefined, 0),
+        noiseMeters: readNumber(options, 'noise', undefined, 0),
+        intervalSeconds: readNumber(options, 'interval', undefined, 0, true),
+      }).map(fix => ({ ...fix, busId, routeId: subline.lineId }));
+      console.log(`[Simulator] Subline ${subline.cod} (${Math.round(shape.lengthMeters)} m, ${stops.length} stops): ${fixes.length} fixes over ${Math.round((fixes[fixes.length - 1].timestamp - fixes[0].timestamp) / 1000)}s as bus ${busId}.`);
+    } else {
+      const from = new Date(options.from);
+      const to = new Date(options.to);
+      if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+        throw new Error('--from and --to must be dates, --from before --to.');
+      }
+      fixes = await loadRecordedTrip(ref, from, to);
+      if (fixes.length === 0) {
+        throw new Error(`No positions recorded for bus ${ref} between ${from.toISOString()} and ${to.toISOString()}.`);
+      }
+      console.log(`[Simulator] Replaying ${fixes.length} fixes of bus ${ref} recorded between ${from.toISOString()} and ${to.toISOString()}.`);
+    }
+
+    if (options.url) {
+      ws = await connectAsDriver(options.url, options.token);
+      await playTrip(fixes, ({ lat, lng, timestamp, velocity, heading, accuracy }) => {
+        if (ws.readyState !== WebSocket.OPEN) {
+          throw new Error('The server closed the connection.');
+        }
+        ws.send(JSON.stringify({ lat, lng, timestamp, velocity, heading, accuracy }));
+      }, { rate });
+    } else {
+      injectBroadcastFunction(message => console.log(`[Simulator] > ${JSON.stringify(message)}`));
+      await playTrip(fixes, processFixLocally, { rate });
+    }
+    console.log('[Simulator] Done.');
+  } catch (error) {
+    console.error('Simulation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (ws) {
+      ws.removeAllListeners('close');
+      ws.close();
+    }
+    await pool.end();
+  }
+}
+
+main();
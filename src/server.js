@@ -9,10 +9,22 @@ const errorHandler = require('./middleware/errorHandler');
 const stopRoutes = require('./routes/stops');
 const lineRoutes = require('./routes/lines');
 const sublineRoutes = require('./routes/sublines');
-const { injectBroadcastFunction, start: startRealtimeProcessor, stop: stopRealtimeProcessor, processLocationData } = require('./services/realtimeProcessor'); // Import processor functions
+const { injectBroadcastFunction, start: startRealtimeProcessor, stop: stopRealtimeProcessor, processOccupancyData, getAllBusStates } = require('./services/realtimeProcessor'); // Import processor functions
 const authRoutes = require('./routes/auth'); // Import the auth routes
 const driverRoutes = require('./routes/drivers'); // Import the driver routes
 const busRoutes = require('./routes/buses'); // Import the new buses routes
+const adminRoutes = require('./routes/admin'); // Admin/maintenance routes (GTFS import, ...)
+const gtfsRoutes = require('./routes/gtfs'); // GTFS feeds
+const realtimeRoutes = require('./routes/realtime'); // Server-Sent Events stream
+const { closeStreams } = require('./controllers/realtimeController');
+const { checkAdminKey, verifyDriverToken } = require('./middleware/authMiddleware');
+const { getDriverConfiguration } = require('./services/driverService');
+const { checkBroadcastAllowed, startSessionSweeper, stopSessionSweeper } = require('./services/driverSessionService');
+const { getLineCodById, subscribe, unsubscribe, removeClient, stampEventId, routeMessage, buildSnapshot } = require('./services/subscriptionService');
+const { publish, onEvent, startPubSub, stopPubSub } = require('./services/pubsubService');
+const { startNetworkCache, stopNetworkCache } = require('./services/networkCache');
+const { enqueueLocation, enqueueBatch, stopIngestion } = require('./services/ingestionQueue');
+const { startPositionHistory, stopPositionHistory } = require('./services/positionHistoryService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -36,6 +48,9 @@ app.use('/api/auth', authRoutes);
 // Add the driver routes (these will be protected by middleware)
 app.use('/api/drivers', driverRoutes); // Mount the driver routes under /api/drivers
 app.use('/api/buses', busRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/gtfs', gtfsRoutes);
+app.use('/api/realtime', realtimeRoutes);
 
 // Use error handler middleware
 app.use(errorHandler);
@@ -50,71 +65,111 @@ const server = http.createServer(app);
 
 // --- SINGLE WebSocket Server Instance ---
 // Create one WebSocket server instance attached to the HTTP server
-const wss = new WebSocket.Server({ noServer: true }); // Create without attaching to 'server' yet
+// Drivers may send their JWT as the subprotocol pair ['bearer', <token>]: answer with 'bearer' so browsers accept the socket
+const wss = new WebSocket.Server({
+  noServer: true, // Create without attaching to 'server' yet
+  handleProtocols: (protocols) => (protocols.has('bearer') ? 'bearer' : false),
+});
+
+// --- Passenger Connections ---
+// Passenger sockets subscribe to topics (line, subline, stop, bus); see subscriptionService for the topics
+// and how each message is routed to them. SSE streams (/api/realtime/stream) subscribe the same way.
+
+// --- Dispatcher Connections ---
+// Dispatchers watch every route at once and receive operational events (e.g. 'off-route')
+const dispatcherConnections = new Set();
 
-// --- NEW: Manage Passenger Connections by Route ---
-// Key: routeId (e.g., "101"), Value: Set of WebSocket clients interested in that route
-const passengerConnectionsByRoute = new Map();
+function broadcastToDispatchers(message) {
+  if (dispatcherConnections.size === 0) {
+    return;
+  }
+  const messageStr = JSON.stringify(message);
+  dispatcherConnections.forEach(client => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(messageStr);
+    }
+  });
+  console.log(`[Broadcast] Sent '${message.type}' message to ${dispatcherConnections.size} dispatcher(s)`);
+}
 
-// --- NEW: Broadcast Function for Specific Routes ---
-// This function will be called by the realtimeProcessor
+// --- Broadcast Function for Subscribed Passengers ---
+// Called for every 'broadcast' event, published by the realtimeProcessor of this or another instance (see pubsubService),
+// so each instance delivers every bus's messages to its own clients
 function broadcastToRouteClients(message) {
   console.log(JSON.stringify(message))
+  if (message.type === 'off-route') {
+    broadcastToDispatchers(message); // Dispatchers get these for every route
+  }
   const rt_id = message.rt_id; // Access the 'rt_id' property of the 'message' object
-  // Alternative syntax: const rt_id = message['rt_id'];
 
   // --- VALIDATE rt_id ---
   if (rt_id == null) { // Check if rt_id is null or undefined
       console.warn(`[Broadcast] Message object has no 'rt_id' field or it is null/undefined. Message:`, message);
       return; // Exit the function if rt_id is missing or invalid
   }
-  // Determine the main routeId from the rt_id (e.g., if rt_id is 1011, routeId might be 101)
-  // You need to implement this helper function to map the subline ID back to the main line ID.
-  getMainRouteIdFromRtId(rt_id).then(routeId => {
-      if (routeId) {
-          const clients = passengerConnectionsByRoute.get(routeId.toString()); // Ensure routeId is a string for the map key
-          if (clients && clients.size > 0) {
-            const messageStr = JSON.stringify(message);
-            clients.forEach(client => {
-              if (client.readyState === WebSocket.OPEN) {
-                client.send(messageStr);
-              }
-            });
-            console.log(`[Broadcast] Sent message to ${clients.size} client(s) on route ${routeId} (from rt_id ${rt_id})`);
-          } else {
-            // console.log(`[Broadcast] No active clients for route ${routeId} (from rt_id ${rtId}), message not sent:`, messageStr); // Log only if needed frequently
-          }
-      } else {
-          console.warn(`[Broadcast] Could not determine main routeId for rt_id ${rt_id}, cannot broadcast.`);
+  // Route the message to the clients subscribed to its line, subline, bus or stop
+  routeMessage(message).then(deliveries => {
+      deliveries.forEach(delivery => {
+          const messageStr = JSON.stringify(delivery.message);
+          delivery.clients.forEach(client => {
+            if (client.sendMessage) { // SSE stream
+              client.sendMessage(delivery.message);
+            } else if (client.readyState === WebSocket.OPEN) {
+              client.send(messageStr);
+            }
+          });
+      });
+      const recipientCount = deliveries.reduce((count, delivery) => count + delivery.clients.size, 0);
+      if (recipientCount > 0) {
+          console.log(`[Broadcast] Sent '${message.type}' message (rt_id ${rt_id}) to ${recipientCount} subscribed client(s)`);
       }
   }).catch(error => {
-      console.error(`[Broadcast] Error getting main route ID for rt_id ${rt_id}:`, error);
+      console.error(`[Broadcast] Error routing '${message.type}' message for rt_id ${rt_id}:`, error);
   });
 }
 
-// Helper function to get main routeId from rt_id (subline_id)
-// You need to implement this, likely requiring a DB query or a cached map.
-// Example: SELECT lineid FROM "SubLine" WHERE id = $1;
-async function getMainRouteIdFromRtId(rtId) {
-    // This is a placeholder. You should implement a DB query or use a cached map.
-    // For now, let's assume rt_id itself is the routeId (which is often not the case).
-    // If rt_id is the subline ID, you need to fetch the parent line ID.
-    // Import your database pool if not already available in this scope
-    const { pool } = require('./config/database'); // Adjust path if pool is defined differently
-
-    try {
-        const query = 'SELECT lineid FROM "SubLine" WHERE id = $1'; // Assuming "SubLine" table has "lineid" column linking to main "RouteLine"
-        const result = await pool.query(query, [rtId]);
-        if (result.rows.length > 0) {
-            return result.rows[0].lineid; // Return the main route ID
-        } else {
-            console.error(`[DB Query] Could not find main route ID for subline rt_id: ${rtId}`);
-            return null;
-        }
-    } catch (error) {
-        console.error(`[DB Error] Error fetching main route ID for rt_id ${rtId}:`, error);
-        return null;
+// Refuses a WebSocket upgrade with a plain HTTP error response
+function rejectUpgrade(socket, statusCode, message) {
+  const statusLine = `${statusCode} ${http.STATUS_CODES[statusCode]}`;
+  socket.write(`HTTP/1.1 ${statusLine}\r\nConnection: close\r\nContent-Type: text/plain\r\nContent-Length: ${Buffer.byteLength(message)}\r\n\r\n${message}`);
+  socket.destroy();
+}
+
+// Returns the driver JWT of a WebSocket upgrade: 'Authorization: Bearer <token>', or the subprotocols 'bearer, <token>'
+// for clients (browsers) that cannot set headers on a WebSocket
+function getDriverTokenFromUpgrade(request) {
+  const authHeader = request.headers['authorization'];
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.split(' ')[1];
+  }
+  const protocols = (request.headers['sec-websocket-protocol'] || '').split(',').map(protocol => protocol.trim());
+  const bearerIndex = protocols.indexOf('bearer');
+  return bearerIndex !== -1 && protocols[bearerIndex + 1] ? protocols[bearerIndex + 1] : null;
+}
+
+// Authenticates a driver app upgrade and binds the socket to the bus and route of the driver's "DriverConfiguration"
+async function handleDriverUpgrade(request, socket, head) {
+  try {
+    const auth = await verifyDriverToken(getDriverTokenFromUpgrade(request));
+    if (!auth.driver) {
+      console.warn(`Driver WebSocket upgrade rejected: ${auth.message}`);
+      return rejectUpgrade(socket, auth.status, auth.message);
     }
+    const configuration = await getDriverConfiguration(auth.driver.id);
+    if (!configuration || configuration.busId === null || configuration.routeId === null) {
+      console.warn(`Driver WebSocket upgrade rejected: driver ${auth.driver.id} has no bus/route configuration.`);
+      return rejectUpgrade(socket, 403, 'No bus and route configured for this driver (POST /api/drivers/me/configuration).');
+    }
+
+    // Use the single WSS instance to handle the upgrade
+    wss.handleUpgrade(request, socket, head, (ws) => {
+      ws.driver = { ...auth.driver, ...configuration, tokenExpiresAt: auth.expiresAt };
+      wss.emit('connection', ws, request, 'driver'); // Emit connection event with a type indicator
+    });
+  } catch (error) {
+    console.error('Error authenticating driver WebSocket upgrade:', error);
+    rejectUpgrade(socket, 500, 'Server Error');
+  }
 }
 
 server.on('upgrade', (request, socket, head) => {
@@ -123,15 +178,36 @@ server.on('upgrade', (request, socket, head) => {
   // --- Handle Driver WebSocket Upgrade ---
   if (url === '/api/driver-location-ws') {
     console.log('Driver app WebSocket upgrade request received for /api/driver-location-ws');
-    // Use the single WSS instance to handle the upgrade
+    handleDriverUpgrade(request, socket, head);
+    return; // Exit after handling driver upgrade
+  }
+
+  // --- Handle Dispatcher WebSocket Upgrade ---
+  // The admin key is sent as the 'x-admin-key' header, or as ?key= for browser clients that cannot set headers
+  if (url.split('?')[0] === '/api/dispatcher-ws') {
+    const providedKey = request.headers['x-admin-key'] || new URL(url, 'http://localhost').searchParams.get('key');
+    const keyStatus = checkAdminKey(providedKey);
+    if (keyStatus !== 'ok') {
+      console.warn(`Dispatcher WebSocket upgrade rejected (admin key ${keyStatus}).`);
+      const statusCode = keyStatus === 'disabled' ? 503 : keyStatus === 'missing' ? 401 : 403;
+      rejectUpgrade(socket, statusCode, `Admin key ${keyStatus}.`);
+      return;
+    }
     wss.handleUpgrade(request, socket, head, (ws) => {
-      wss.emit('connection', ws, request, 'driver'); // Emit connection event with a type indicator
+      wss.emit('connection', ws, request, 'dispatcher');
     });
-    return; // Exit after handling driver upgrade
+    return;
   }
 
   // --- Handle Passenger WebSocket Upgrade ---
-  // Match the path: /api/passenger-realtime-ws/{routeId}
+  // /api/passenger-realtime-ws takes subscribe/unsubscribe messages; the legacy /api/passenger-realtime-ws/{routeId}
+  // starts subscribed to that route's line
+  if (url.split('?')[0] === '/api/passenger-realtime-ws') {
+    wss.handleUpgrade(request, socket, head, (ws) => {
+      wss.emit('connection', ws, request, 'passenger', null);
+    });
+    return;
+  }
   const passengerWsRegex = /^\/api\/passenger-realtime-ws\/(\d+)$/;
   const match = url.match(passengerWsRegex);
 
@@ -154,36 +230,71 @@ server.on('upgrade', (request, socket, head) => {
 // --- Handle WebSocket Connections (Driver Input & Passenger Output) ---
 wss.on('connection', (ws, request, connectionType, routeId) => {
   if (connectionType === 'driver') {
-    console.log('Driver app connected to /api/driver-location-ws');
+    const driver = ws.driver; // Set by handleDriverUpgrade: { id, username, busId, routeId, tokenExpiresAt }
+    console.log(`Driver ${driver.username} (id ${driver.id}) connected to /api/driver-location-ws with bus ${driver.busId} on route ${driver.routeId}`);
+    const sendError = (code, message) => ws.send(JSON.stringify({ type: 'error', code, message }));
+
     // Handle messages from the driver's phone app
     ws.on('message', (data) => {
       try {
-        //const messageStr = data.toString();
-        //console.log('Raw message received from driver app:', messageStr);
-        
+        if (driver.tokenExpiresAt !== null && Date.now() >= driver.tokenExpiresAt) {
+          sendError('token-expired', 'Access token has expired. Log in again and reconnect.');
+          ws.close(4001, 'Token expired');
+          return;
+        }
+
         let parsedData;
         try {
           parsedData = JSON.parse(data.toString());
         } catch (e) {
-          //console.error('Error parsing message from driver app as JSON:', e);
-          //console.log('Problematic message:', messageStr);
-          ws.send(JSON.stringify({ type: 'error', message: 'Invalid JSON received' }));
+          sendError('invalid-json', 'Invalid JSON received');
           return; // Exit if parsing fails
         }
 
         console.log('Parsed data from driver app:', parsedData);
 
-        if (parsedData && typeof parsedData === 'object' && parsedData.busId) {
-          // Process the parsed data using the function from realtimeProcessor
-          processLocationData(parsedData); // Pass the raw data object
+        if (!parsedData || typeof parsedData !== 'object') {
+          console.warn('Received message from driver app is not a valid object:', parsedData);
+          sendError('invalid-message', 'A JSON object is required');
+          return;
+        }
+        // The bus and route come from the driver's configuration; the payload may only repeat them
+        if (parsedData.busId !== undefined && String(parsedData.busId) !== String(driver.busId)) {
+          console.warn(`Driver ${driver.id} sent data for bus ${parsedData.busId} but is configured for bus ${driver.busId}, rejecting.`);
+          sendError('bus-mismatch', `This driver is configured for bus ${driver.busId}, not ${parsedData.busId}`);
+          return;
+        }
+        if (parsedData.routeId !== undefined && String(parsedData.routeId) !== String(driver.routeId)) {
+          console.warn(`Driver ${driver.id} sent data for route ${parsedData.routeId} but is configured for route ${driver.routeId}, rejecting.`);
+          sendError('route-mismatch', `This driver is configured for route ${driver.routeId}, not ${parsedData.routeId}`);
+          return;
+        }
+        // Nothing is published outside an active session with location sharing on
+        const sessionCheck = checkBroadcastAllowed(driver.id, driver.busId);
+        if (!sessionCheck.allowed) {
+          sendError(sessionCheck.code, sessionCheck.message);
+          return;
+        }
+        const boundData = { ...parsedData, busId: driver.busId, routeId: driver.routeId, driverId: driver.id };
+
+        if (parsedData.type === 'occupancy') {
+          // Passenger counts or occupancy level reported by the driver
+          const result = processOccupancyData(boundData);
+          ws.send(JSON.stringify(result.error ? { type: 'error', code: 'invalid-occupancy', message: result.error } : { type: 'occupancy-ack', bus: result.bus }));
+        } else if (parsedData.type === 'batch') {
+          // Locations buffered by the app while it had no coverage (same as POST /api/drivers/me/positions)
+          const result = enqueueBatch(boundData, parsedData.positions);
+          ws.send(JSON.stringify(result.error ? { type: 'error', code: result.code || 'invalid-batch', message: result.error } : { type: 'batch-ack', ...result }));
         } else {
-          console.warn('Received message from driver app is not a valid object with busId:', parsedData);
-          ws.send(JSON.stringify({ type: 'error', message: 'Valid object with busId required' }));
+          // Queue the location: each bus's fixes are processed by realtimeProcessor one at a time, in timestamp order
+          const result = enqueueLocation(boundData);
+          if (!result.accepted) {
+            sendError(result.code, result.message);
+          }
         }
       } catch (error) {
         console.error('Error processing message from driver app:', error);
-        // Optionally, send an error message back
-         ws.send(JSON.stringify({ type: 'error', message: 'Server error processing message' }));
+        sendError('server-error', 'Server error processing message');
       }
     });
 
@@ -196,45 +307,101 @@ wss.on('connection', (ws, request, connectionType, routeId) => {
     });
 
     // Optionally, send a welcome message to the driver app
-    ws.send(JSON.stringify({ type: 'connected', message: 'Connected to driver location service' }));
+    ws.send(JSON.stringify({ type: 'connected', message: 'Connected to driver location service', bus_id: driver.busId, route_id: driver.routeId }));
+
+  } else if (connectionType === 'dispatcher') {
+    console.log('Dispatcher connected to /api/dispatcher-ws');
+    dispatcherConnections.add(ws);
+
+    // Tell the new dispatcher which buses are currently off route
+    const offRouteBuses = [...getAllBusStates().entries()]
+      .filter(([, busState]) => busState.routeState && busState.routeState.status === 'off-route')
+      .map(([busId, busState]) => ({
+        bus_id: busId,
+        rt_id: busState.currentSublineRtId,
+        dist: Math.round(busState.routeState.offsetMeters),
+        since: busState.routeState.since,
+        lat: busState.lat,
+        lng: busState.lng,
+      }));
+    ws.send(JSON.stringify({
+      type: 'connection',
+      message: 'Connected to dispatcher feed',
+      off_route: offRouteBuses,
+      timestamp: new Date().toISOString()
+    }));
 
-  } else if (connectionType === 'passenger' && routeId) {
-    console.log(`Passenger connected to /api/passenger-realtime-ws/${routeId}`);
+    ws.on('close', () => {
+      console.log('Dispatcher disconnected from /api/dispatcher-ws');
+      dispatcherConnections.delete(ws);
+    });
 
-    // Add the client to the specific route's set
-    if (!passengerConnectionsByRoute.has(routeId)) {
-      passengerConnectionsByRoute.set(routeId, new Set());
-    }
-    passengerConnectionsByRoute.get(routeId).add(ws);
+    ws.on('error', (error) => {
+      console.error('Dispatcher connection error:', error);
+      dispatcherConnections.delete(ws);
+    });
+
+  } else if (connectionType === 'passenger') {
+    console.log(`Passenger connected to /api/passenger-realtime-ws${routeId ? `/${routeId}` : ''}`);
+    const sendSubscriptions = (result) => {
+      ws.send(JSON.stringify({ type: 'subscribed', topics: result.subscribed, invalid: result.invalid || [] }));
+      // Newly added topics get a snapshot of their active buses; live messages with a seq up to the snapshot's are already in it
+      if (result.added && result.added.length > 0) {
+        buildSnapshot(result.added).then(snapshot => {
+          if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(snapshot));
+          }
+        }).catch(error => {
+          console.error('Error building the snapshot for a passenger socket:', error);
+        });
+      }
+    };
 
     // Send welcome message
     ws.send(JSON.stringify({
       type: 'connection',
-      message: `Connected to real-time feed for route ${routeId}`,
+      message: routeId ? `Connected to real-time feed for route ${routeId}` : 'Connected to real-time feed. Send { "type": "subscribe", "topics": ["line:<cod>", "subline:<id>", "stop:<cod>", "bus:<id>"] }.',
       timestamp: new Date().toISOString()
     }));
 
-    // Handle client disconnection
-    ws.on('close', () => {
-      console.log(`Passenger disconnected from /api/passenger-realtime-ws/${routeId}`);
-      const routeClients = passengerConnectionsByRoute.get(routeId);
-      if (routeClients) {
-        routeClients.delete(ws);
-        // Optional: Clean up the route set if it becomes empty
-        if (routeClients.size === 0) {
-          passengerConnectionsByRoute.delete(routeId);
-          console.log(`No more clients for route ${routeId}, cleaned up connection set.`);
+    // Legacy per-route socket: subscribe it to the line of that RouteLine id
+    if (routeId) {
+      getLineCodById(routeId).then(lineCod => {
+        if (lineCod) {
+          sendSubscriptions(subscribe(ws, [`line:${lineCod}`]));
+        } else {
+          ws.send(JSON.stringify({ type: 'error', message: `Unknown route ${routeId}` }));
         }
+      }).catch(error => {
+        console.error(`Error resolving the line of route ${routeId} for a passenger socket:`, error);
+      });
+    }
+
+    // Subscription control messages: { type: 'subscribe' | 'unsubscribe', topics: [...] }
+    ws.on('message', (data) => {
+      let controlMessage;
+      try {
+        controlMessage = JSON.parse(data.toString());
+      } catch (e) {
+        ws.send(JSON.stringify({ type: 'error', message: 'Invalid JSON received' }));
+        return;
+      }
+      if (!controlMessage || !Array.isArray(controlMessage.topics) || !['subscribe', 'unsubscribe'].includes(controlMessage.type)) {
+        ws.send(JSON.stringify({ type: 'error', message: "Expected { type: 'subscribe' | 'unsubscribe', topics: [...] }" }));
+        return;
       }
+      sendSubscriptions(controlMessage.type === 'subscribe' ? subscribe(ws, controlMessage.topics) : unsubscribe(ws, controlMessage.topics));
+    });
+
+    // Handle client disconnection
+    ws.on('close', () => {
+      console.log('Passenger disconnected from /api/passenger-realtime-ws');
+      removeClient(ws);
     });
 
     ws.on('error', (error) => {
-      console.error(`Passenger connection error on route ${routeId}:`, error);
-      // Remove client on error
-      const routeClients = passengerConnectionsByRoute.get(routeId);
-      if (routeClients) {
-        routeClients.delete(ws);
-      }
+      console.error('Passenger connection error:', error);
+      removeClient(ws);
     });
 
   } else {
@@ -249,35 +416,55 @@ wss.on('error', (error) => {
 });
 
 // --- Inject the Broadcast Function into the Realtime Processor ---
-// This must happen *after* the broadcastToRouteClients function is defined
-injectBroadcastFunction(broadcastToRouteClients);
+// This must happen *after* the broadcastToRouteClients function is defined.
+// Messages go through the pub/sub adapter, so passengers connected to any instance receive them.
+injectBroadcastFunction(message => publish('broadcast', stampEventId(message))); // One event_id on every instance (SSE resumes)
+onEvent('broadcast', broadcastToRouteClients);
 
 server.listen(PORT, () => {
   console.log(`Main server is running on port ${PORT}`);
   console.log(`Driver endpoint: /api/driver-location-ws`);
-  console.log(`Passenger endpoint: /api/passenger-realtime-ws/{routeId}`); // Updated message
+  console.log(`Passenger endpoint: /api/passenger-realtime-ws (topic subscriptions) and /api/passenger-realtime-ws/{routeId}`);
+  console.log(`Passenger SSE endpoint: /api/realtime/stream?line=<cod>&stop=<cod>`);
+  console.log(`Dispatcher endpoint: /api/dispatcher-ws`);
 
   // Initialize the real-time processor after the server is listening
   // Pass the single WSS instance if the processor needs to interact with it directly (though it shouldn't for just broadcasting)
   console.log('Initializing real-time processor...');
+  startPubSub().catch(error => console.error('[PubSub] Error starting the realtime pub/sub adapter:', error));
+  startNetworkCache(); // Lines, sublines, stops and shapes for the realtime hot paths
   startRealtimeProcessor(); // Call the start function from the processor module
+  startSessionSweeper(); // Ends driver sessions after their scheduled end
+  startPositionHistory(); // Daily partitions and retention of the vehicle position history
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully...');
-  stopRealtimeProcessor(); // Stop the processors if you have this function
-  server.close(() => {
-    console.log('Process terminated.');
-    process.exit(0);
-  });
-});
+async function shutdown(signal) {
+  console.log(`${signal} received, shutting down gracefully...`);
+  stopRealtimeProcessor(); // Stops the stale-bus sweeper and the other processor timers
+  stopSessionSweeper();
+  stopNetworkCache();
+  // Open WebSockets would keep server.close() from ever completing
+  wss.clients.forEach(client => client.close(1001, 'Server shutting down'));
+  closeStreams();
+  const serverClosed = new Promise(resolve => server.close(resolve));
+
+  // The queued fixes are processed and their positions written before the process exits
+  try {
+    await stopIngestion();
+    await stopPositionHistory();
+  } catch (error) {
+    console.error('[PositionHistory] Error writing the last positions:', error);
+  }
+  try {
+    await stopPubSub();
+  } catch (error) {
+    console.error('[PubSub] Error stopping the realtime pub/sub adapter:', error);
+  }
+  await serverClosed;
+  console.log('Process terminated.');
+  process.exit(0);
+}
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully...');
-  stopRealtimeProcessor(); // Stop the processors if you have this function
-  server.close(() => {
-    console.log('Process terminated.');
-    process.exit(0);
-  });
-});
\ No newline at end of file
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
\ No newline at end of file
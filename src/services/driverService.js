@@ -0,0 +1,27 @@
+// src/services/driverService.js
+const { pool } = require('../config/database');
+
+/**
+ * Returns the bus and route a driver is configured to drive (saved through /api/drivers/me/configuration).
+ * @param {number} driverId - "Driver".id.
+ * @returns {Promise<{busId: number, routeId: number, isSharing: boolean, scheduleEndTime: string|null}|null>}
+ *          null if the driver has no configuration. isSharing defaults to true when not set.
+ */
+async function getDriverConfiguration(driverId) {
+  const result = await pool.query(
+    'SELECT bus_id, route_id, is_sharing, schedule_end_time FROM "DriverConfiguration" WHERE driver_id = $1',
+    [driverId]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+  const row = result.rows[0];
+  return {
+    busId: row.bus_id,
+    routeId: row.route_id,
+    isSharing: row.is_sharing !== false,
+    scheduleEndTime: row.schedule_end_time, // Local 'HH:MM:SS', or null
+  };
+}
+
+module.exports = { getDriverConfiguration };
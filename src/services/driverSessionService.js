@@ -0,0 +1,332 @@
+// src/services/driverSessionService.js
+const { pool } = require('../config/database');
+const { getDriverConfiguration } = require('./driverService');
+const { removeBus } = require('./realtimeProcessor');
+const { INSTANCE_ID, publish, onEvent } = require('./pubsubService');
+const { formatLocalDate, serviceTimeToDate, parseGtfsTime } = require('../utils/time');
+
+// --- Configuration ---
+const TIMEZONE = process.env.GTFS_AGENCY_TIMEZONE || 'Europe/Madrid'; // schedule_end_time is local time
+const SESSION_SWEEP_INTERVAL_MS = 60 * 1000; // How often sessions past their scheduled end are ended
+
+// --- In-Memory State ---
+// Key: driverId, Value: the driver's open session (see formatSession). Every change goes through this module
+// (on this or another instance, see shareSession), so the cache stays in sync with "DriverSession" and the
+// driver WebSocket can check it on every message.
+const openSessions = new Map();
+let sweepTimer = null;
+
+// --- Helper Functions ---
+
+const SESSION_COLUMNS = 'id, driver_id, bus_id, route_id, status, started_at, paused_at, scheduled_end_at, ended_at, end_reason';
+
+/**
+ * Formats a "DriverSession" row.
+ * @param {object} row
+ * @param {boolean} isSharing - The driver's is_sharing setting.
+ * @returns {object}
+ */
+function formatSession(row, isSharing) {
+  return {
+    id: Number(row.id),
+    driverId: row.driver_id,
+    busId: row.bus_id,
+    routeId: row.route_id,
+    status: row.status,
+    isSharing,
+    startedAt: row.started_at,
+    pausedAt: row.paused_at,
+    scheduledEndAt: row.scheduled_end_at,
+    endedAt: row.ended_at,
+    endReason: row.end_reason,
+  };
+}
+
+/**
+ * Computes when a session started now should end from the driver's schedule_end_time (local time).
+ * An end time earlier than the current local time is a night shift ending tomorrow.
+ * @param {string|null} scheduleEndTime - 'HH:MM[:SS]', or null for no scheduled end.
+ * @param {Date} now
+ * @returns {Date|null}
+ */
+function computeScheduledEnd(scheduleEndTime, now) {
+  if (!scheduleEndTime) {
+    return null;
+  }
+  const today = formatLocalDate(now, TIMEZONE);
+  const endToday = serviceTimeToDate(today, parseGtfsTime(String(scheduleEndTime)), TIMEZONE);
+  return endToday > now ? endToday : serviceTimeToDate(today, parseGtfsTime(String(scheduleEndTime)) + 24 * 3600, TIMEZONE);
+}
+
+/**
+ * Updates a driver's open session in the cache and tells the other instances.
+ * @param {number} driverId
+ * @param {object|null} session - The open session, or null once it has ended.
+ */
+function shareSession(driverId, session) {
+  if (session) {
+    openSessions.set(driverId, session);
+  } else {
+    openSessions.delete(driverId);
+  }
+  publish('driver-session', { driverId, session });
+}
+
+/**
+ * Applies a session change made by another instance. The instance the driver's WebSocket is connected to
+ * processes the bus, so it is the one that takes it out of service.
+ * @param {{driverId: number, session: object|null}} data
+ * @param {string} origin
+ */
+function handleRemoteSession({ driverId, session }, origin) {
+  if (origin === INSTANCE_ID) {
+    return;
+  }
+  const previousSession = openSessions.get(driverId);
+  if (session) {
+    openSessions.set(driverId, session);
+  } else {
+    openSessions.delete(driverId);
+  }
+  if (previousSession && (!session || session.status === 'paused' || !session.isSharing)) {
+    removeBus(previousSession.busId, session ? (session.status === 'paused' ? 'session paused' : 'location sharing turned off') : 'session ended');
+  }
+}
+
+/**
+ * Ends an open session and takes its bus out of service.
+ * @param {object} session - The open session.
+ * @param {string} reason - 'driver' or 'schedule'.
+ * @returns {Promise<object|null>} The ended session, or null if it had already been ended (e.g. by another instance's sweeper).
+ */
+async function closeSession(session, reason) {
+  const result = await pool.query(
+    `UPDATE "DriverSession" SET status = 'ended', ended_at = now(), paused_at = NULL, end_reason = $2 WHERE id = $1 AND status <> 'ended' RETURNING ${SESSION_COLUMNS}`,
+    [session.id, reason]
+  );
+  shareSession(session.driverId, null);
+  removeBus(session.busId, 'session ended');
+  if (result.rows.length === 0) {
+    return null;
+  }
+  console.log(`[Sessions] Session ${session.id} of driver ${session.driverId} on bus ${session.busId} ended (${reason}).`);
+  return formatSession(result.rows[0], session.isSharing);
+}
+
+// --- Session Lifecycle ---
+// Each function returns { session } on success, or { status, message } describing why the change was refused.
+
+/**
+ * Returns a driver's open (active or paused) session from the cache.
+ * @param {number} driverId
+ * @returns {object|null}
+ */
+function getOpenSession(driverId) {
+  return openSessions.get(driverId) || null;
+}
+
+/**
+ * Starts a shift on the bus and route of the driver's configuration. The bus is locked until the session ends.
+ * @param {number} driverId
+ * @returns {Promise<{session: object}|{status: number, message: string}>}
+ */
+async function startSession(driverId) {
+  if (openSessions.has(driverId)) {
+    return { status: 409, message: 'A session is already open for this driver.' };
+  }
+  const configuration = await getDriverConfiguration(driverId);
+  if (!configuration || configuration.busId === null || configuration.routeId === null) {
+    return { status: 400, message: 'Configure a bus and route before starting a session.' };
+  }
+
+  try {
+    const scheduledEndAt = computeScheduledEnd(configuration.scheduleEndTime, new Date());
+    const result = await pool.query(
+      `INSERT INTO "DriverSession" (driver_id, bus_id, route_id, scheduled_end_at) VALUES ($1, $2, $3, $4) RETURNING ${SESSION_COLUMNS}`,
+      [driverId, configuration.busId, configuration.routeId, scheduledEndAt]
+    );
+    const session = formatSession(result.rows[0], configuration.isSharing);
+    shareSession(driverId, session);
+    console.log(`[Sessions] Driver ${driverId} started session ${session.id} on bus ${session.busId}, route ${session.routeId}${scheduledEndAt ? ` (scheduled end ${scheduledEndAt.toISOString()})` : ''}.`);
+    return { session };
+  } catch (error) {
+    if (error.code === '23505') { // Unique violation: the bus (or driver) already has an open session
+      return { status: 409, message: `Bus ${configuration.busId} is in use by another driver's session.` };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Pauses an active session (break). The bus stops being published until the session is resumed.
+ * @param {number} driverId
+ * @returns {Promise<{session: object}|{status: number, message: string}>}
+ */
+async function pauseSession(driverId) {
+  const session = openSessions.get(driverId);
+  if (!session || session.status !== 'active') {
+    return { status: 409, message: 'No active session to pause.' };
+  }
+  const result = await pool.query(
+    `UPDATE "DriverSession" SET status = 'paused', paused_at = now() WHERE id = $1 AND status = 'active' RETURNING ${SESSION_COLUMNS}`,
+    [session.id]
+  );
+  if (result.rows.length === 0) { // Ended (e.g. by another instance's sweeper) since it was cached
+    return { status: 409, message: 'No active session to pause.' };
+  }
+  const pausedSession = formatSession(result.rows[0], session.isSharing);
+  shareSession(driverId, pausedSession);
+  removeBus(session.busId, 'session paused');
+  console.log(`[Sessions] Session ${session.id} of driver ${driverId} paused.`);
+  return { session: pausedSession };
+}
+
+/**
+ * Resumes a paused session.
+ * @param {number} driverId
+ * @returns {Promise<{session: object}|{status: number, message: string}>}
+ */
+async function resumeSession(driverId) {
+  const session = openSessions.get(driverId);
+  if (!session || session.status !== 'paused') {
+    return { status: 409, message: 'No paused session to resume.' };
+  }
+  const result = await pool.query(
+    `UPDATE "DriverSession" SET status = 'active', paused_at = NULL WHERE id = $1 AND status = 'paused' RETURNING ${SESSION_COLUMNS}`,
+    [session.id]
+  );
+  if (result.rows.length === 0) {
+    return { status: 409, message: 'No paused session to resume.' };
+  }
+  const resumedSession = formatSession(result.rows[0], session.isSharing);
+  shareSession(driverId, resumedSession);
+  console.log(`[Sessions] Session ${session.id} of driver ${driverId} resumed.`);
+  return { session: resumedSession };
+}
+
+/**
+ * Ends the driver's open session and releases the bus.
+ * @param {number} driverId
+ * @returns {Promise<{session: object}|{status: number, message: string}>}
+ */
+async function endSession(driverId) {
+  const session = openSessions.get(driverId);
+  if (!session) {
+    return { status: 409, message: 'No open session to end.' };
+  }
+  const endedSession = await closeSession(session, 'driver');
+  return endedSession ? { session: endedSession } : { status: 409, message: 'No open session to end.' };
+}
+
+/**
+ * Updates the sharing setting of a driver's open session (after the driver changed is_sharing in their configuration).
+ * @param {number} driverId
+ * @param {boolean} isSharing
+ */
+function setSessionSharing(driverId, isSharing) {
+  const session = openSessions.get(driverId);
+  if (!session) {
+    return;
+  }
+  shareSession(driverId, { ...session, isSharing });
+  if (!isSharing) {
+    removeBus(session.busId, 'location sharing turned off');
+  }
+}
+
+/**
+ * Tells whether a driver may publish positions right now: they need an active (not paused) session, with
+ * location sharing on, on the bus they are sending for.
+ * @param {number} driverId
+ * @param {number} busId
+ * @returns {{allowed: true}|{allowed: false, code: string, message: string}}
+ */
+function checkBroadcastAllowed(driverId, busId) {
+  const session = openSessions.get(driverId);
+  if (!session || String(session.busId) !== String(busId)) {
+    return { allowed: false, code: 'no-active-session', message: 'Start a session on this bus before sending data.' };
+  }
+  if (session.status === 'paused') {
+    return { allowed: false, code: 'session-paused', message: 'The session is paused. Resume it to send data.' };
+  }
+  if (!session.isSharing) {
+    return { allowed: false, code: 'not-sharing', message: 'Location sharing is turned off for this driver.' };
+  }
+  return { allowed: true };
+}
+
+// --- Scheduled End ---
+
+/**
+ * Ends the open sessions whose scheduled end has passed.
+ * @returns {Promise<number>} The number of sessions ended.
+ */
+async function endExpiredSessions() {
+  const now = Date.now();
+  const expired = [...openSessions.values()].filter(session => session.scheduledEndAt && new Date(session.scheduledEndAt).getTime() <= now);
+  for (const session of expired) {
+    await closeSession(session, 'schedule');
+  }
+  return expired.length;
+}
+
+/**
+ * Loads the open sessions from "DriverSession" (so they survive a restart).
+ * @returns {Promise<number>} The number of open sessions.
+ */
+async function loadOpenSessions() {
+  const result = await pool.query(`
+    SELECT ${SESSION_COLUMNS.split(', ').map(column => `ds.${column}`).join(', ')}, dc.is_sharing
+    FROM "DriverSession" ds
+    LEFT JOIN "DriverConfiguration" dc ON dc.driver_id = ds.driver_id
+    WHERE ds.status <> 'ended';
+  `);
+  openSessions.clear();
+  result.rows.forEach(row => openSessions.set(row.driver_id, formatSession(row, row.is_sharing !== false)));
+  console.log(`[Sessions] Loaded ${openSessions.size} open driver session(s).`);
+  return openSessions.size;
+}
+
+// --- Initialization and Teardown ---
+
+function sweepAndLog() {
+  endExpiredSessions().catch(error => {
+    console.error('[Sessions] Error ending sessions past their scheduled end:', error);
+  });
+}
+
+let remoteHandlerRegistered = false;
+
+function startSessionSweeper() {
+  if (sweepTimer) {
+    return;
+  }
+  if (!remoteHandlerRegistered) {
+    onEvent('driver-session', handleRemoteSession);
+    remoteHandlerRegistered = true;
+  }
+  loadOpenSessions()
+    .then(sweepAndLog)
+    .catch(error => console.error('[Sessions] Error loading open driver sessions:', error));
+  sweepTimer = setInterval(sweepAndLog, SESSION_SWEEP_INTERVAL_MS);
+}
+
+function stopSessionSweeper() {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+module.exports = {
+  getOpenSession,
+  startSession,
+  pauseSession,
+  resumeSession,
+  endSession,
+  setSessionSharing,
+  checkBroadcastAllowed,
+  endExpiredSessions,
+  startSessionSweeper,
+  stopSessionSweeper,
+};
@@ -0,0 +1,174 @@
+// src/services/gpsFilter.js
+const { haversineDistance } = require('../utils/geo');
+
+// --- Configuration ---
+const MAX_ACCURACY_METERS = parseFloat(process.env.GPS_MAX_ACCURACY_METERS) || 100; // Fixes reported less accurate than this are refused
+const MAX_SPEED_KMH = parseFloat(process.env.GPS_MAX_SPEED_KMH) || 120; // Faster implied movement between two fixes is a GPS jump
+const DEFAULT_ACCURACY_METERS = 15; // Assumed when the driver app does not report the accuracy
+const PROCESS_NOISE_MPS = 3; // How fast (m/s) the position uncertainty grows between fixes (bus acceleration, turns)
+const MAX_CONSECUTIVE_JUMPS = 3; // After this many refused jumps in a row the filter restarts from the new position
+const FILTER_RESET_SECONDS = 120; // After a longer gap between fixes nothing is predicted from the previous one
+const SPEED_SMOOTHING = 0.5; // Weight of the new speed reading in the smoothed speed
+const MIN_MOVING_SPEED_MPS = 1; // Below this the bus is considered stopped (its heading is meaningless)
+const METERS_PER_DEGREE_LAT = 111320;
+
+// --- In-Memory State ---
+// Key: busId, Value: { lat, lng, latRate, lngRate (degrees/s), variance (m²), timestampMs, rawLat, rawLng, speed (m/s, smoothed), consecutiveJumps }
+const filterStates = new Map();
+
+// --- Helper Functions ---
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Starts (or restarts) the filter of a bus from a fix.
+ * @param {string|number} busId
+ * @param {object} data - Location data.
+ * @param {number} accuracy - Meters.
+ * @returns {object} The new filter state.
+ */
+function resetFilter(busId, data, accuracy) {
+  // Start moving along the device's heading at its speed, when it reports both
+  const moving = isNumber(data.velocity) && data.velocity >= MIN_MOVING_SPEED_MPS && isNumber(data.heading);
+  const headingRadians = moving ? data.heading * Math.PI / 180 : 0;
+  const state = {
+    lat: data.lat,
+    lng: data.lng,
+    latRate: moving ? data.velocity * Math.cos(headingRadians) / METERS_PER_DEGREE_LAT : 0,
+    lngRate: moving ? data.velocity * Math.sin(headingRadians) / (METERS_PER_DEGREE_LAT * Math.cos(data.lat * Math.PI / 180)) : 0,
+    variance: accuracy * accuracy,
+    timestampMs: data.timestamp,
+    rawLat: data.lat,
+    rawLng: data.lng,
+    speed: isNumber(data.velocity) && data.velocity >= 0 ? data.velocity : null,
+    consecutiveJumps: 0,
+  };
+  filterStates.set(busId, state);
+  return state;
+}
+
+/**
+ * Builds the location data handed to the processor: the filtered position and speed, with the device readings kept as raw*.
+ * @param {object} data
+ * @param {object} state
+ * @param {number} accuracy
+ * @returns {object}
+ */
+function buildFilteredFix(data, state, accuracy) {
+  const moving = state.speed !== null && state.speed >= MIN_MOVING_SPEED_MPS;
+  return {
+    ...data,
+    lat: state.lat,
+    lng: state.lng,
+    velocity: state.speed,
+    heading: moving && isNumber(data.heading) ? data.heading : null,
+    accuracy,
+    rawLat: data.lat,
+    rawLng: data.lng,
+    rawVelocity: isNumber(data.velocity) ? data.velocity : null,
+  };
+}
+
+// --- Public API ---
+
+/**
+ * Checks the optional quality fields of a fix sent by the driver app.
+ * @param {object} data - Location data ({ accuracy, heading, altitude, velocity }, all optional).
+ * @returns {string|null} Why the fix is refused, or null if it is fine.
+ */
+function checkFixQuality(data) {
+  const fields = { accuracy: [0, Infinity], heading: [0, 360], altitude: [-Infinity, Infinity], velocity: [-Infinity, Infinity] };
+  for (const [field, [min, max]] of Object.entries(fields)) {
+    const value = data[field];
+    if (value !== undefined && value !== null && (!isNumber(value) || value < min || value > max)) {
+      return `${field} must be a number${Number.isFinite(min) ? ` between ${min} and ${max}` : ''}.`;
+    }
+  }
+  if (isNumber(data.accuracy) && data.accuracy > MAX_ACCURACY_METERS) {
+    return `The location is too inaccurate (${Math.round(data.accuracy)} m, at most ${MAX_ACCURACY_METERS} m).`;
+  }
+  return null;
+}
+
+/**
+ * Filters a fix of a bus before it is processed. Fixes must come in timestamp order (see ingestionQueue).
+ * - A fix implying a movement faster than MAX_SPEED_KMH since the last one (beyond both fixes' accuracy) is refused,
+ *   unless MAX_CONSECUTIVE_JUMPS were refused in a row: then the earlier position was the wrong one and the filter restarts.
+ * - The position is smoothed with a constant-velocity Kalman-style (alpha-beta) filter weighing each fix by its accuracy.
+ * - The speed is the device's, or is computed from successive positions when the device reports none (or reports
+ *   0 while the bus clearly moved), then smoothed.
+ * @param {string|number} busId
+ * @param {object} data - Location data with its timestamp in ms ({ lat, lng, timestamp, velocity, accuracy, heading, altitude }).
+ * @returns {{accepted: true, fix: object}|{accepted: false, code: string, message: string}}
+ */
+function filterFix(busId, data) {
+  const accuracy = isNumber(data.accuracy) && data.accuracy > 0 ? data.accuracy : DEFAULT_ACCURACY_METERS;
+  let state = filterStates.get(busId);
+  const elapsedSeconds = state ? (data.timestamp - state.timestampMs) / 1000 : null;
+  if (!state || elapsedSeconds <= 0 || elapsedSeconds > FILTER_RESET_SECONDS) {
+    state = resetFilter(busId, data, accuracy);
+    return { accepted: true, fix: buildFilteredFix(data, state, accuracy) };
+  }
+
+  // --- Reject Impossible Jumps (measured from where the bus was expected to be) ---
+  const predictedLat = state.lat + state.latRate * elapsedSeconds;
+  const predictedLng = state.lng + state.lngRate * elapsedSeconds;
+  const distance = haversineDistance(predictedLat, predictedLng, data.lat, data.lng);
+  const impliedSpeed = Math.max(0, distance - accuracy - Math.sqrt(state.variance)) / elapsedSeconds;
+  if (impliedSpeed > MAX_SPEED_KMH / 3.6) {
+    state.consecutiveJumps++;
+    if (state.consecutiveJumps < MAX_CONSECUTIVE_JUMPS) {
+      return {
+        accepted: false,
+        code: 'impossible-jump',
+        message: `Jump of ${Math.round(distance)} m in ${Math.round(elapsedSeconds)}s (${Math.round(impliedSpeed * 3.6)} km/h).`,
+      };
+    }
+    console.log(`[GpsFilter] Bus ${busId}: ${state.consecutiveJumps} jumps in a row, restarting the filter from the new position.`);
+    state = resetFilter(busId, data, accuracy);
+    return { accepted: true, fix: buildFilteredFix(data, state, accuracy) };
+  }
+  state.consecutiveJumps = 0;
+
+  // --- Smooth the Position (one variance for both axes; the rate gain follows from the position gain) ---
+  const previousLat = state.lat;
+  const previousLng = state.lng;
+  state.variance += elapsedSeconds * PROCESS_NOISE_MPS * PROCESS_NOISE_MPS;
+  const gain = state.variance / (state.variance + accuracy * accuracy);
+  const rateGain = gain * gain / (2 - gain);
+  const latResidual = data.lat - predictedLat;
+  const lngResidual = data.lng - predictedLng;
+  state.lat = predictedLat + gain * latResidual;
+  state.lng = predictedLng + gain * lngResidual;
+  state.latRate += rateGain * latResidual / elapsedSeconds;
+  state.lngRate += rateGain * lngResidual / elapsedSeconds;
+  state.variance *= 1 - gain;
+
+  // --- Speed ---
+  const computedSpeed = haversineDistance(previousLat, previousLng, state.lat, state.lng) / elapsedSeconds;
+  const rawMovedMeters = haversineDistance(state.rawLat, state.rawLng, data.lat, data.lng);
+  let measuredSpeed = isNumber(data.velocity) && data.velocity >= 0 ? data.velocity : computedSpeed;
+  if (measuredSpeed === 0 && computedSpeed >= MIN_MOVING_SPEED_MPS && rawMovedMeters > accuracy) {
+    measuredSpeed = computedSpeed; // Zero reading while the bus moved more than the fix's uncertainty
+  }
+  state.speed = state.speed === null ? measuredSpeed : state.speed + SPEED_SMOOTHING * (measuredSpeed - state.speed);
+  state.timestampMs = data.timestamp;
+  state.rawLat = data.lat;
+  state.rawLng = data.lng;
+
+  return { accepted: true, fix: buildFilteredFix(data, state, accuracy) };
+}
+
+/**
+ * Forgets the filter of a bus taken out of service: its next fix starts a new filter.
+ * @param {string|number} busId
+ */
+function forgetBus(busId) {
+  filterStates.delete(busId);
+}
+
+module.exports = {
+  checkFixQuality,
+  filterFix,
+  forgetBus,
+};
@@ -0,0 +1,279 @@
+// src/services/gtfsExporter.js
+const AdmZip = require('adm-zip');
+const { pool } = require('../config/database');
+const { toCsv } = require('../utils/csv');
+const { haversineDistance } = require('../utils/geo');
+const { formatGtfsTime, parseGtfsTime } = require('../utils/time');
+const { getShapeBySublineCod } = require('./shapeService');
+const { getNetworkFingerprint } = require('./networkCache');
+
+// --- Configuration ---
+const AGENCY_ID = process.env.GTFS_AGENCY_ID || '1';
+const AGENCY_NAME = process.env.GTFS_AGENCY_NAME || 'My Transit';
+const AGENCY_URL = process.env.GTFS_AGENCY_URL || 'http://localhost:3000';
+const AGENCY_TIMEZONE = process.env.GTFS_AGENCY_TIMEZONE || 'Europe/Madrid';
+const SERVICE_ID = 'DAILY'; // Sublines without a timetable get one template trip running every day
+const TEMPLATE_TRIP_START = process.env.GTFS_TEMPLATE_TRIP_START || '06:00:00'; // First departure of the template trip
+const TEMPLATE_AVG_SPEED_KMH = parseFloat(process.env.GTFS_TEMPLATE_AVG_SPEED_KMH) || 20; // Used to estimate stop times
+
+// --- Cached Feed ---
+// The zip is rebuilt only when the network fingerprint or the day changes: the template calendar starts on the day
+// the feed is built. The fingerprint is the network cache's (see networkCache.getNetworkFingerprint), which follows
+// imports and network changes without querying the database on every request.
+let cachedFeed = null; // { fingerprint, buffer, generatedAt }
+let pendingBuild = null; // Promise of a build in progress, shared by concurrent requests
+
+// --- Helper Functions ---
+
+/**
+ * Formats a date as a GTFS date (YYYYMMDD).
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatGtfsDate(date) {
+  return `${date.getUTCFullYear()}${String(date.getUTCMonth() + 1).padStart(2, '0')}${String(date.getUTCDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Builds the GTFS files from the same tables lineController and stopController query.
+ * Trips and stop times come from the timetable (scheduleService tables); sublines without scheduled trips get
+ * a template trip whose times are estimated from the distance between stops.
+ * @param {Date} today - Start of the template calendar (valid for a year).
+ * @returns {Promise<Buffer>} The zip archive contents.
+ */
+async function buildStaticFeed(today) {
+  const linesResult = await pool.query('SELECT id, act, cod, nam, color, typ FROM "RouteLine" ORDER BY id');
+  const sublinesResult = await pool.query('SELECT id, lineid, vis, cod, nam, way, main FROM "SubLine" ORDER BY id');
+  const stopsResult = await pool.query('SELECT id, cod, lat, lon, nam, ref FROM "Stop" ORDER BY id');
+  const sublineStopsResult = await pool.query(`
+    SELECT sls.sublineid, sls.stoporder, s.cod AS stop_cod, s.lat AS stop_lat, s.lon AS stop_lon
+    FROM "SubLineStop" sls
+    JOIN "Stop" s ON sls.stopid = s.id
+    ORDER BY sls.sublineid, sls.stoporder ASC
+  `);
+  const calendarsResult = await pool.query(`
+    SELECT cod, monday, tuesday, wednesday, thursday, friday, saturday, sunday,
+           start_date::text AS start_date, end_date::text AS end_date -- As text: DATE columns must not go through the process time zone
+    FROM "ServiceCalendar"
+    ORDER BY id
+  `);
+  const calendarDatesResult = await pool.query(`
+    SELECT sc.cod AS service_cod, scd.date::text AS date, scd.exception_type
+    FROM "ServiceCalendarDate" scd
+    JOIN "ServiceCalendar" sc ON sc.id = scd.service_id
+    ORDER BY sc.cod, scd.date
+  `);
+  const tripsResult = await pool.query(`
+    SELECT t.id, t.cod, t.sublineid, t.headsign, sc.cod AS service_cod
+    FROM "Trip" t
+    JOIN "ServiceCalendar" sc ON sc.id = t.service_id
+    ORDER BY t.sublineid, t.id
+  `);
+  const tripStopTimesResult = await pool.query('SELECT trip_id, stoporder, arrival_seconds, departure_seconds FROM "TripStopTime" ORDER BY trip_id, stoporder');
+
+  const groupBy = (rows, key) => {
+    const groups = new Map();
+    rows.forEach(row => {
+      if (!groups.has(row[key])) {
+        groups.set(row[key], []);
+      }
+      groups.get(row[key]).push(row);
+    });
+    return groups;
+  };
+  const stopsBySubline = groupBy(sublineStopsResult.rows, 'sublineid');
+  const tripsBySubline = groupBy(tripsResult.rows, 'sublineid');
+  const stopTimesByTrip = groupBy(tripStopTimesResult.rows, 'trip_id');
+
+  const nextYear = new Date(today.getTime() + 365 * 24 * 3600 * 1000);
+  const speedMps = TEMPLATE_AVG_SPEED_KMH / 3.6;
+
+  const agency = [{
+    agency_id: AGENCY_ID,
+    agency_name: AGENCY_NAME,
+    agency_url: AGENCY_URL,
+    agency_timezone: AGENCY_TIMEZONE,
+  }];
+
+  const routes = linesResult.rows
+    .filter(line => line.act !== false)
+    .map(line => ({
+      route_id: line.id,
+      agency_id: AGENCY_ID,
+      route_short_name: line.cod,
+      route_long_name: line.nam,
+      route_type: line.typ ?? 3, // Default to bus
+      route_color: line.color ? String(line.color).replace('#', '') : '',
+    }));
+  const exportedRouteIds = new Set(routes.map(route => route.route_id));
+
+  const calendar = calendarsResult.rows.map(service => ({
+    service_id: service.cod,
+    monday: service.monday ? 1 : 0,
+    tuesday: service.tuesday ? 1 : 0,
+    wednesday: service.wednesday ? 1 : 0,
+    thursday: service.thursday ? 1 : 0,
+    friday: service.friday ? 1 : 0,
+    saturday: service.saturday ? 1 : 0,
+    sunday: service.sunday ? 1 : 0,
+    start_date: service.start_date.replace(/-/g, ''),
+    end_date: service.end_date.replace(/-/g, ''),
+  }));
+  const calendarDates = calendarDatesResult.rows.map(row => ({
+    service_id: row.service_cod,
+    date: row.date.replace(/-/g, ''),
+    exception_type: row.exception_type,
+  }));
+  let usesTemplateService = false;
+
+  const trips = [];
+  const stopTimes = [];
+  const shapes = [];
+  sublinesResult.rows.forEach(subline => {
+    const sublineStops = stopsBySubline.get(subline.id) || [];
+    if (subline.vis === false || !exportedRouteIds.has(subline.lineid) || sublineStops.length < 2) {
+      return;
+    }
+
+    let shapeId = '';
+    const shape = getShapeBySublineCod(subline.cod);
+    if (shape) {
+      shapeId = `SH${subline.id}`;
+      shape.points.forEach((point, index) => {
+        shapes.push({
+          shape_id: shapeId,
+          shape_pt_lat: point.lat,
+          shape_pt_lon: point.lng,
+          shape_pt_sequence: index + 1,
+          shape_dist_traveled: shape.distances[index].toFixed(1),
+        });
+      });
+    }
+
+    const directionId = Number(subline.way) === 1 ? 1 : 0;
+    const stopCodByOrder = new Map(sublineStops.map(stop => [stop.stoporder, stop.stop_cod]));
+
+    // Scheduled trips from the timetable
+    const scheduledTrips = tripsBySubline.get(subline.id) || [];
+    if (scheduledTrips.length > 0) {
+      scheduledTrips.forEach(trip => {
+        trips.push({
+          route_id: subline.lineid,
+          service_id: trip.service_cod,
+          trip_id: trip.cod,
+          trip_headsign: trip.headsign || subline.nam,
+          direction_id: directionId,
+          shape_id: shapeId,
+        });
+        (stopTimesByTrip.get(trip.id) || [])
+          .filter(stopTime => stopCodByOrder.has(stopTime.stoporder))
+          .forEach(stopTime => {
+            stopTimes.push({
+              trip_id: trip.cod,
+              arrival_time: formatGtfsTime(stopTime.arrival_seconds),
+              departure_time: formatGtfsTime(stopTime.departure_seconds),
+              stop_id: stopCodByOrder.get(stopTime.stoporder),
+              stop_sequence: stopTime.stoporder,
+              timepoint: 1, // Exact scheduled times
+            });
+          });
+      });
+      return;
+    }
+
+    const tripId = `SL${subline.id}`;
+    usesTemplateService = true;
+    trips.push({
+      route_id: subline.lineid,
+      service_id: SERVICE_ID,
+      trip_id: tripId,
+      trip_headsign: subline.nam,
+      direction_id: directionId,
+      shape_id: shapeId,
+    });
+
+    // Template times: straight-line distance between consecutive stops at the average speed
+    let seconds = parseGtfsTime(TEMPLATE_TRIP_START);
+    sublineStops.forEach((stop, index) => {
+      if (index > 0) {
+        const previous = sublineStops[index - 1];
+        seconds += haversineDistance(previous.stop_lat, previous.stop_lon, stop.stop_lat, stop.stop_lon) / speedMps;
+      }
+      const time = formatGtfsTime(seconds);
+      stopTimes.push({
+        trip_id: tripId,
+        arrival_time: time,
+        departure_time: time,
+        stop_id: stop.stop_cod,
+        stop_sequence: stop.stoporder,
+        timepoint: 0, // Times are approximate
+      });
+    });
+  });
+
+  if (usesTemplateService) {
+    calendar.push({
+      service_id: SERVICE_ID,
+      monday: 1, tuesday: 1, wednesday: 1, thursday: 1, friday: 1, saturday: 1, sunday: 1,
+      start_date: formatGtfsDate(today),
+      end_date: formatGtfsDate(nextYear),
+    });
+  }
+
+  const stops = stopsResult.rows.map(stop => ({
+    stop_id: stop.cod,
+    stop_code: stop.cod,
+    stop_name: stop.nam,
+    stop_desc: stop.ref,
+    stop_lat: stop.lat,
+    stop_lon: stop.lon,
+  }));
+
+  const zip = new AdmZip();
+  const addFile = (fileName, rows, columns) => zip.addFile(fileName, Buffer.from(toCsv(rows, columns), 'utf8'));
+  addFile('agency.txt', agency, ['agency_id', 'agency_name', 'agency_url', 'agency_timezone']);
+  addFile('routes.txt', routes, ['route_id', 'agency_id', 'route_short_name', 'route_long_name', 'route_type', 'route_color']);
+  addFile('calendar.txt', calendar, ['service_id', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'start_date', 'end_date']);
+  if (calendarDates.length > 0) {
+    addFile('calendar_dates.txt', calendarDates, ['service_id', 'date', 'exception_type']);
+  }
+  addFile('trips.txt', trips, ['route_id', 'service_id', 'trip_id', 'trip_headsign', 'direction_id', 'shape_id']);
+  addFile('stops.txt', stops, ['stop_id', 'stop_code', 'stop_name', 'stop_desc', 'stop_lat', 'stop_lon']);
+  addFile('stop_times.txt', stopTimes, ['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence', 'timepoint']);
+  if (shapes.length > 0) {
+    addFile('shapes.txt', shapes, ['shape_id', 'shape_pt_lat', 'shape_pt_lon', 'shape_pt_sequence', 'shape_dist_traveled']);
+  }
+
+  console.log(`[GTFS Export] Built feed: ${routes.length} route(s), ${trips.length} trip(s), ${stops.length} stop(s), ${new Set(shapes.map(s => s.shape_id)).size} shape(s).`);
+  return zip.toBuffer();
+}
+
+// --- Main Entry Point ---
+
+/**
+ * Returns the GTFS static zip, rebuilding it only if the network changed since the last build, or on the first
+ * request of a day.
+ * @returns {Promise<{fingerprint: string, buffer: Buffer, generatedAt: Date}>}
+ */
+async function getStaticFeed() {
+  const today = new Date();
+  const fingerprint = `${await getNetworkFingerprint()}-${formatGtfsDate(today)}`;
+  if (cachedFeed && cachedFeed.fingerprint === fingerprint) {
+    return cachedFeed;
+  }
+
+  if (!pendingBuild) {
+    console.log('[GTFS Export] Network or day changed (or first request), rebuilding static feed...');
+    pendingBuild = buildStaticFeed(today)
+      .then(buffer => {
+        cachedFeed = { fingerprint, buffer, generatedAt: new Date() };
+        return cachedFeed;
+      })
+      .finally(() => {
+        pendingBuild = null;
+      });
+  }
+  return pendingBuild;
+}
+
+module.exports = { getStaticFeed };
@@ -0,0 +1,897 @@
+// src/services/gtfsImporter.js
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { pool } = require('../config/database');
+const { parseCsv } = require('../utils/csv');
+const { buildLineStringKml } = require('../utils/kml');
+const { parseGtfsTime } = require('../utils/time');
+
+// --- Configuration ---
+const ROUTE_PATHS_DIR = path.join(__dirname, '..', 'routePaths'); // Shapes are written next to the existing KML files
+const REQUIRED_GTFS_FILES = ['routes.txt', 'trips.txt', 'stops.txt', 'stop_times.txt'];
+const COORDINATE_TOLERANCE = 1e-6; // Degrees; smaller differences are not reported as a change
+const NAMESPACE_PATTERN = /^[A-Za-z0-9_-]+$/; // Namespaces prefix codes ("<namespace>:<id>") of feeds sharing the database
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// --- Helper Functions ---
+
+/**
+ * Makes a code safe to use as a directory or file name under routePaths.
+ * @param {string} value
+ * @returns {string}
+ */
+function toSafeFileName(value) {
+  return String(value).replace(/[^A-Za-z0-9_.-]/g, '_');
+}
+
+/**
+ * Creates an error describing a problem with the submitted feed (reported to API callers as 400).
+ * @param {string} message
+ * @returns {Error}
+ */
+function feedError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Returns the most frequent key of a counter Map, or null if it is empty.
+ * @param {Map<string, number>} counter
+ * @returns {string|null}
+ */
+function mostFrequent(counter) {
+  let bestKey = null;
+  let bestCount = -1;
+  for (const [key, count] of counter.entries()) {
+    if (count > bestCount) {
+      bestKey = key;
+      bestCount = count;
+    }
+  }
+  return bestKey;
+}
+
+/**
+ * Converts a GTFS date (YYYYMMDD) to 'YYYY-MM-DD'.
+ * @param {string} value
+ * @returns {string}
+ */
+function parseGtfsDate(value) {
+  return `${value.substring(0, 4)}-${value.substring(4, 6)}-${value.substring(6, 8)}`;
+}
+
+/**
+ * Reads the scheduled times of a trip's stops. A stop with neither arrival_time nor departure_time (allowed by GTFS
+ * between timepoints) gets a time interpolated between its neighbours.
+ * @param {Array<{arrival: string, departure: string}>} stopTimes - The trip's stop_times rows in stop_sequence order.
+ * @returns {Array<{arrival: number, departure: number}>|null} Seconds since the start of the service day, or null if
+ *   the first or last stop has no time.
+ */
+function parseTripTimes(stopTimes) {
+  const times = stopTimes.map(({ arrival, departure }) => {
+    if (!arrival && !departure) {
+      return null;
+    }
+    return { arrival: parseGtfsTime(arrival || departure), departure: parseGtfsTime(departure || arrival) };
+  });
+  if (times.length === 0 || !times[0] || !times[times.length - 1]) {
+    return null;
+  }
+  let previous = 0;
+  times.forEach((time, index) => {
+    if (time) {
+      previous = index;
+      return;
+    }
+    let next = index + 1;
+    while (!times[next]) {
+      next++;
+    }
+    const from = times[previous].departure;
+    const seconds = Math.round(from + (times[next].arrival - from) * (index - previous) / (next - previous));
+    times[index] = { arrival: seconds, departure: seconds };
+    previous = index;
+  });
+  return times;
+}
+
+/**
+ * Reads the GTFS text files out of a zip archive.
+ * @param {Buffer|string} zipInput - The zip file contents or a path to the zip file.
+ * @returns {object} An object keyed by file name without extension (routes, trips, stops, stopTimes, shapes, calendar,
+ *   calendarDates) holding parsed rows, and hasCalendar.
+ * @throws {Error} If the archive cannot be read or a required file is missing (error.status = 400).
+ */
+function readGtfsZip(zipInput) {
+  let zip;
+  try {
+    zip = new AdmZip(zipInput);
+  } catch (error) {
+    throw feedError(`GTFS archive could not be read: ${error.message}`);
+  }
+  const entriesByName = new Map();
+  zip.getEntries().forEach(entry => {
+    // Accept feeds zipped with or without a top-level folder
+    entriesByName.set(path.basename(entry.entryName), entry);
+  });
+
+  const missing = REQUIRED_GTFS_FILES.filter(fileName => !entriesByName.has(fileName));
+  if (missing.length > 0) {
+    throw feedError(`GTFS archive is missing required file(s): ${missing.join(', ')}`);
+  }
+
+  const read = (fileName) => {
+    const entry = entriesByName.get(fileName);
+    return entry ? parseCsv(entry.getData().toString('utf8')) : [];
+  };
+
+  return {
+    routes: read('routes.txt'),
+    trips: read('trips.txt'),
+    stops: read('stops.txt'),
+    stopTimes: read('stop_times.txt'),
+    shapes: read('shapes.txt'), // Optional; sublines without a shape keep their current KML
+    // Optional too; without either file the timetables are left as they are
+    calendar: read('calendar.txt'),
+    calendarDates: read('calendar_dates.txt'),
+    hasCalendar: entriesByName.has('calendar.txt') || entriesByName.has('calendar_dates.txt'),
+  };
+}
+
+/**
+ * Converts parsed GTFS rows into the structure of our network tables.
+ * A SubLine is created for every distinct stop pattern (ordered list of stops) of a route and direction;
+ * the most frequent pattern of each direction is flagged as 'main'. The sublines have no cod yet: it depends on the
+ * sublines already in the database (see assignSublineCodes). Each subline lists the trips of its pattern, with their
+ * times at its stops, and the service calendars are read from calendar.txt and calendar_dates.txt (services is null
+ * if the feed has neither).
+ * @param {object} feed - The output of readGtfsZip.
+ * @param {object} [options]
+ * @param {string|null} [options.namespace=null] - Prefixes the stop, service and trip codes ("<namespace>:<id>"),
+ *   for a feed whose ids overlap those of another network in the database.
+ * @returns {{lines: Array<object>, stops: Array<object>, sublines: Array<object>, services: Array<object>|null,
+ *   skippedTrips: number}}
+ */
+function buildNetworkFromFeed(feed, { namespace = null } = {}) {
+  const scoped = id => (namespace ? `${namespace}:${id}` : id);
+
+  // --- Stops (only boarding locations, not stations/entrances) ---
+  const stopCodById = new Map();
+  const stops = [];
+  feed.stops.forEach(row => {
+    if (row.location_type && row.location_type !== '0') {
+      return;
+    }
+    const cod = scoped(row.stop_code || row.stop_id);
+    stopCodById.set(row.stop_id, cod);
+    stops.push({
+      cod,
+      nam: row.stop_name,
+      lat: parseFloat(row.stop_lat),
+      lon: parseFloat(row.stop_lon),
+      ref: row.stop_desc || null,
+    });
+  });
+
+  // --- Route lines ---
+  const lineCodByRouteId = new Map();
+  const lines = feed.routes.map(row => {
+    const cod = row.route_short_name || row.route_id;
+    lineCodByRouteId.set(row.route_id, cod);
+    return {
+      cod,
+      nam: row.route_long_name || row.route_short_name || row.route_id,
+      color: row.route_color || null,
+      typ: row.route_type !== '' ? parseInt(row.route_type) : null,
+      act: true,
+    };
+  });
+
+  // --- Ordered stops per trip, derived from stop_sequence ---
+  const stopTimesByTrip = new Map();
+  feed.stopTimes.forEach(row => {
+    if (!stopTimesByTrip.has(row.trip_id)) {
+      stopTimesByTrip.set(row.trip_id, []);
+    }
+    stopTimesByTrip.get(row.trip_id).push({
+      stopId: row.stop_id,
+      sequence: parseInt(row.stop_sequence),
+      arrival: row.arrival_time,
+      departure: row.departure_time,
+    });
+  });
+
+  // --- Group trips into stop patterns (these become SubLines) ---
+  const patterns = new Map();
+  let skippedTrips = 0;
+  feed.trips.forEach(trip => {
+    const tripStops = stopTimesByTrip.get(trip.trip_id);
+    if (!tripStops || tripStops.length < 2 || !lineCodByRouteId.has(trip.route_id)) {
+      return;
+    }
+    const patternStops = tripStops.sort((a, b) => a.sequence - b.sequence);
+    // A stop missing from stops.txt keeps its stop_id: importGtfs refuses the feed unless it is already in the database
+    const stopCods = patternStops.map(stopTime => stopCodById.get(stopTime.stopId) ?? scoped(stopTime.stopId));
+    const directionId = trip.direction_id === '1' ? 1 : 0;
+    const key = `${trip.route_id}|${directionId}|${stopCods.join(',')}`;
+
+    if (!patterns.has(key)) {
+      patterns.set(key, {
+        routeId: trip.route_id,
+        directionId,
+        stopCods,
+        tripCount: 0,
+        headsigns: new Map(),
+        shapeIds: new Map(),
+        trips: [],
+      });
+    }
+    const pattern = patterns.get(key);
+    pattern.tripCount++;
+    if (feed.hasCalendar) {
+      const times = parseTripTimes(patternStops);
+      if (times) {
+        pattern.trips.push({ cod: scoped(trip.trip_id), serviceCod: scoped(trip.service_id), headsign: trip.trip_headsign || null, times });
+      } else {
+        skippedTrips++;
+      }
+    }
+    if (trip.trip_headsign) {
+      pattern.headsigns.set(trip.trip_headsign, (pattern.headsigns.get(trip.trip_headsign) || 0) + 1);
+    }
+    if (trip.shape_id) {
+      pattern.shapeIds.set(trip.shape_id, (pattern.shapeIds.get(trip.shape_id) || 0) + 1);
+    }
+  });
+
+  // --- Shapes ---
+  const shapePoints = new Map();
+  feed.shapes.forEach(row => {
+    if (!shapePoints.has(row.shape_id)) {
+      shapePoints.set(row.shape_id, []);
+    }
+    shapePoints.get(row.shape_id).push({
+      lat: parseFloat(row.shape_pt_lat),
+      lng: parseFloat(row.shape_pt_lon),
+      sequence: parseInt(row.shape_pt_sequence),
+    });
+  });
+  shapePoints.forEach(points => points.sort((a, b) => a.sequence - b.sequence));
+
+  // --- Order the patterns of each route: main patterns first, direction 0 before 1 ---
+  const patternsByRoute = new Map();
+  patterns.forEach(pattern => {
+    if (!patternsByRoute.has(pattern.routeId)) {
+      patternsByRoute.set(pattern.routeId, []);
+    }
+    patternsByRoute.get(pattern.routeId).push(pattern);
+  });
+
+  const sublines = [];
+  const routeById = new Map(feed.routes.map(row => [row.route_id, row]));
+  patternsByRoute.forEach((routePatterns, routeId) => {
+    const lineCod = lineCodByRouteId.get(routeId);
+    const mainByDirection = new Map();
+    routePatterns.forEach(pattern => {
+      const currentMain = mainByDirection.get(pattern.directionId);
+      if (!currentMain || pattern.tripCount > currentMain.tripCount) {
+        mainByDirection.set(pattern.directionId, pattern);
+      }
+    });
+
+    routePatterns
+      .sort((a, b) => {
+        const aMain = mainByDirection.get(a.directionId) === a ? 0 : 1;
+        const bMain = mainByDirection.get(b.directionId) === b ? 0 : 1;
+        return aMain - bMain || a.directionId - b.directionId || b.tripCount - a.tripCount || a.stopCods.join(',').localeCompare(b.stopCods.join(','));
+      })
+      .forEach(pattern => {
+        const shapeId = mostFrequent(pattern.shapeIds);
+        const route = routeById.get(routeId);
+        sublines.push({
+          lineCod,
+          cod: null, // See assignSublineCodes
+          nam: mostFrequent(pattern.headsigns) || route.route_long_name || lineCod,
+          way: pattern.directionId,
+          main: mainByDirection.get(pattern.directionId) === pattern,
+          vis: true,
+          stopCods: pattern.stopCods,
+          shapeId,
+          shape: shapeId && shapePoints.has(shapeId) ? shapePoints.get(shapeId) : null,
+          trips: pattern.trips, // Times in stoporder order
+        });
+      });
+  });
+
+  // --- Service calendars (a service only in calendar_dates.txt runs on its added dates) ---
+  let services = null;
+  if (feed.hasCalendar) {
+    const servicesByCod = new Map();
+    const getService = cod => {
+      if (!servicesByCod.has(cod)) {
+        const service = { cod, startDate: null, endDate: null, dates: [] };
+        WEEKDAYS.forEach(day => { service[day] = false; });
+        servicesByCod.set(cod, service);
+      }
+      return servicesByCod.get(cod);
+    };
+    feed.calendar.forEach(row => {
+      const service = getService(scoped(row.service_id));
+      WEEKDAYS.forEach(day => { service[day] = row[day] === '1'; });
+      service.startDate = parseGtfsDate(row.start_date);
+      service.endDate = parseGtfsDate(row.end_date);
+    });
+    feed.calendarDates.forEach(row => {
+      getService(scoped(row.service_id)).dates.push({ date: parseGtfsDate(row.date), exceptionType: parseInt(row.exception_type) });
+    });
+    services = [...servicesByCod.values()];
+    services.forEach(service => {
+      service.dates.sort((a, b) => a.date.localeCompare(b.date));
+      if (!service.startDate) {
+        service.startDate = service.dates.length > 0 ? service.dates[0].date : '1970-01-01';
+        service.endDate = service.dates.length > 0 ? service.dates[service.dates.length - 1].date : '1970-01-01';
+      }
+    });
+  }
+
+  return { lines, stops, sublines, services, skippedTrips };
+}
+
+/**
+ * Compares selected fields of an incoming record with the existing database row.
+ * @param {object} existing - The current DB row.
+ * @param {object} incoming - The record built from the feed.
+ * @param {Array<string>} fields - Fields to compare.
+ * @returns {object} Map of field -> { from, to } for the fields that differ (empty if none).
+ */
+function diffFields(existing, incoming, fields) {
+  const changes = {};
+  fields.forEach(field => {
+    const from = existing[field];
+    const to = incoming[field];
+    if (typeof to === 'number' && from !== null && from !== undefined && !isNaN(parseFloat(from))) {
+      const tolerance = field === 'lat' || field === 'lon' ? COORDINATE_TOLERANCE : 0;
+      if (Math.abs(parseFloat(from) - to) > tolerance) {
+        changes[field] = { from, to };
+      }
+    } else if (String(from ?? '') !== String(to ?? '')) {
+      changes[field] = { from, to };
+    }
+  });
+  return changes;
+}
+
+/**
+ * Loads the current state of the network tables needed to diff and upsert a feed.
+ * @param {object} db - A pg client or pool.
+ * @returns {Promise<object>} Maps of existing lines (by cod), stops (by cod, with the lineCods serving them), sublines (by "lineCod|sublineCod"),
+ *   service calendars (by cod) and trips (by cod).
+ */
+async function loadExistingNetwork(db) {
+  const linesResult = await db.query('SELECT id, cod, nam, color, typ, act FROM "RouteLine"');
+  const stopsResult = await db.query('SELECT id, cod, nam, lat, lon, ref FROM "Stop"');
+  const sublinesResult = await db.query(`
+    SELECT sl.id, sl.cod, sl.nam, sl.way, sl.main, sl.vis, rl.cod AS line_cod
+    FROM "SubLine" sl
+    JOIN "RouteLine" rl ON sl.lineid = rl.id
+  `);
+  const sublineStopsResult = await db.query(`
+    SELECT sls.sublineid, s.cod AS stop_cod, rl.cod AS line_cod
+    FROM "SubLineStop" sls
+    JOIN "Stop" s ON sls.stopid = s.id
+    JOIN "SubLine" sl ON sl.id = sls.sublineid
+    JOIN "RouteLine" rl ON rl.id = sl.lineid
+    ORDER BY sls.sublineid, sls.stoporder ASC
+  `);
+
+  const servicesResult = await db.query(`
+    SELECT sc.id, sc.cod, sc.monday, sc.tuesday, sc.wednesday, sc.thursday, sc.friday, sc.saturday, sc.sunday,
+           sc.start_date::text AS start_date, sc.end_date::text AS end_date,
+           COALESCE((SELECT string_agg(d.date::text || '/' || d.exception_type, ',' ORDER BY d.date)
+                     FROM "ServiceCalendarDate" d WHERE d.service_id = sc.id), '') AS dates
+    FROM "ServiceCalendar" sc
+  `);
+  const tripsResult = await db.query(`
+    SELECT t.id, t.cod, t.headsign, sc.cod AS service_cod, sl.cod AS subline_cod, rl.cod AS line_cod,
+           COALESCE((SELECT string_agg(st.arrival_seconds || '/' || st.departure_seconds, ',' ORDER BY st.stoporder)
+                     FROM "TripStopTime" st WHERE st.trip_id = t.id), '') AS times
+    FROM "Trip" t
+    JOIN "ServiceCalendar" sc ON sc.id = t.service_id
+    LEFT JOIN "SubLine" sl ON sl.id = t.sublineid
+    LEFT JOIN "RouteLine" rl ON rl.id = sl.lineid
+  `);
+
+  const stopCodsBySubline = new Map();
+  const lineCodsByStop = new Map();
+  sublineStopsResult.rows.forEach(row => {
+    if (!stopCodsBySubline.has(row.sublineid)) {
+      stopCodsBySubline.set(row.sublineid, []);
+    }
+    stopCodsBySubline.get(row.sublineid).push(row.stop_cod);
+    if (!lineCodsByStop.has(row.stop_cod)) {
+      lineCodsByStop.set(row.stop_cod, new Set());
+    }
+    lineCodsByStop.get(row.stop_cod).add(row.line_cod);
+  });
+
+  return {
+    lines: new Map(linesResult.rows.map(row => [row.cod, row])),
+    stops: new Map(stopsResult.rows.map(row => [row.cod, { ...row, lineCods: lineCodsByStop.get(row.cod) || new Set() }])),
+    sublines: new Map(sublinesResult.rows.map(row => [
+      `${row.line_cod}|${row.cod}`,
+      { ...row, stopCods: stopCodsBySubline.get(row.id) || [] },
+    ])),
+    services: new Map(servicesResult.rows.map(row => [row.cod, row])),
+    trips: new Map(tripsResult.rows.map(row => [row.cod, row])),
+  };
+}
+
+/**
+ * Gives each subline of the feed its cod, from its identity: line, direction (way) and ordered stops.
+ * A pattern identical to an existing subline of the line keeps that subline's cod (and so its id, KML and trips),
+ * whatever its rank in the feed or the cod scheme it was created with (e.g. "L101-1", "Cheria_1_1"). New patterns get
+ * the first free "<line cod>-<n>". The sublines of the feed's lines that match no pattern anymore are listed in
+ * network.retiredSublines, to be hidden and emptied of stops: their id stays valid for the stop visits that reference
+ * it, but no live bus is matched to them anymore.
+ * @param {object} network - The output of buildNetworkFromFeed; updated in place.
+ * @param {object} existing - The output of loadExistingNetwork.
+ */
+function assignSublineCodes(network, existing) {
+  const identity = (way, stopCods) => `${Number(way) === 1 ? 1 : 0}|${stopCods.join(',')}`;
+  const existingByLine = new Map();
+  existing.sublines.forEach(row => {
+    if (!existingByLine.has(row.line_cod)) {
+      existingByLine.set(row.line_cod, []);
+    }
+    existingByLine.get(row.line_cod).push(row);
+  });
+
+  const matched = new Set();
+  const usedCods = new Set([...existing.sublines.keys()]);
+  network.sublines.forEach(subline => {
+    const match = (existingByLine.get(subline.lineCod) || [])
+      .find(row => !matched.has(row) && identity(row.way, row.stopCods) === identity(subline.way, subline.stopCods));
+    if (match) {
+      matched.add(match);
+      subline.cod = match.cod;
+    }
+  });
+  network.sublines
+    .filter(subline => subline.cod === null)
+    .forEach(subline => {
+      let number = 1;
+      while (usedCods.has(`${subline.lineCod}|${subline.lineCod}-${number}`)) {
+        number++;
+      }
+      subline.cod = `${subline.lineCod}-${number}`;
+      usedCods.add(`${subline.lineCod}|${subline.cod}`);
+    });
+
+  const lineCodsInFeed = new Set(network.lines.map(line => line.cod));
+  network.retiredSublines = [...existing.sublines.values()]
+    .filter(row => lineCodsInFeed.has(row.line_cod) && !matched.has(row) && row.vis !== false);
+}
+
+/**
+ * Lists the existing trips to delete with the import: those of the feed's lines that are no longer in the feed.
+ * Nothing is deleted when the feed has no calendar (its timetables are not imported).
+ * @param {object} network - The output of buildNetworkFromFeed.
+ * @param {object} existing - The output of loadExistingNetwork.
+ * @returns {Array<object>} Existing trip rows.
+ */
+function getRetiredTrips(network, existing) {
+  if (!network.services) {
+    return [];
+  }
+  const lineCodsInFeed = new Set(network.lines.map(line => line.cod));
+  const tripCodsInFeed = new Set(network.sublines.flatMap(subline => subline.trips.map(trip => trip.cod)));
+  return [...existing.trips.values()].filter(row => lineCodsInFeed.has(row.line_cod) && !tripCodsInFeed.has(row.cod));
+}
+
+/**
+ * Returns the KML path a subline's shape is stored at: routePaths/<line cod>/<subline cod>.kml
+ * @param {string} lineCod
+ * @param {string} sublineCod
+ * @returns {string}
+ */
+function getShapeFilePath(lineCod, sublineCod) {
+  return path.join(ROUTE_PATHS_DIR, toSafeFileName(lineCod), `${toSafeFileName(sublineCod)}.kml`);
+}
+
+/**
+ * Lists what the feed would take over from other networks, matched by the same code: stops served by lines outside
+ * the feed (another city's stop "1" must not move the existing stop "1"), service calendars used by the trips of such
+ * lines (a second "WEEKDAY" must not rewrite the first one's days), and trips of such lines (they would move onto the
+ * feed's sublines). Such a feed needs a namespace.
+ * @param {object} network - The output of buildNetworkFromFeed.
+ * @param {object} existing - The output of loadExistingNetwork.
+ * @returns {{stops: Array<{cod: string, lines: Array<string>}>, serviceCalendars: Array<{cod: string, lines: Array<string>}>,
+ *   trips: Array<{cod: string, lines: Array<string>}>}}
+ */
+function findConflicts(network, existing) {
+  const lineCodsInFeed = new Set(network.lines.map(line => line.cod));
+  const outsideFeed = lineCods => [...lineCods].filter(lineCod => lineCod !== null && !lineCodsInFeed.has(lineCod));
+
+  const stops = [];
+  network.stops.forEach(stop => {
+    const current = existing.stops.get(stop.cod);
+    const otherLines = current ? outsideFeed(current.lineCods) : [];
+    if (otherLines.length > 0) {
+      stops.push({ cod: stop.cod, lines: otherLines });
+    }
+  });
+
+  const lineCodsByService = new Map();
+  existing.trips.forEach(row => {
+    if (!lineCodsByService.has(row.service_cod)) {
+      lineCodsByService.set(row.service_cod, new Set());
+    }
+    lineCodsByService.get(row.service_cod).add(row.line_cod);
+  });
+  const serviceCalendars = [];
+  (network.services || []).forEach(service => {
+    const otherLines = outsideFeed(lineCodsByService.get(service.cod) || []);
+    if (otherLines.length > 0) {
+      serviceCalendars.push({ cod: service.cod, lines: otherLines });
+    }
+  });
+
+  const trips = [];
+  network.sublines.forEach(subline => {
+    subline.trips.forEach(trip => {
+      const current = existing.trips.get(trip.cod);
+      if (current && outsideFeed([current.line_cod]).length > 0) {
+        trips.push({ cod: trip.cod, lines: [current.line_cod] });
+      }
+    });
+  });
+
+  return { stops, serviceCalendars, trips };
+}
+
+/**
+ * Computes the diff between a network built from a feed and the current database/KML state.
+ * @param {object} network - The output of buildNetworkFromFeed.
+ * @param {object} existing - The output of loadExistingNetwork.
+ * @returns {object} A report with created/updated/unchanged entries per entity, and the conflicts with other
+ *   networks (see findConflicts).
+ */
+function diffNetwork(network, existing) {
+  const diff = {
+    routeLines: { created: [], updated: [], unchanged: 0 },
+    stops: { created: [], updated: [], unchanged: 0 },
+    subLines: { created: [], updated: [], unchanged: 0, hidden: [] },
+    shapes: { created: [], updated: [], unchanged: 0 },
+    serviceCalendars: { created: [], updated: [], unchanged: 0 },
+    trips: { created: 0, updated: 0, unchanged: 0, deleted: getRetiredTrips(network, existing).length }, // Counts only
+  };
+
+  network.lines.forEach(line => {
+    const current = existing.lines.get(line.cod);
+    if (!current) {
+      diff.routeLines.created.push(line.cod);
+      return;
+    }
+    const changes = diffFields(current, line, ['nam', 'color', 'typ', 'act']);
+    if (Object.keys(changes).length > 0) {
+      diff.routeLines.updated.push({ cod: line.cod, changes });
+    } else {
+      diff.routeLines.unchanged++;
+    }
+  });
+
+  network.stops.forEach(stop => {
+    const current = existing.stops.get(stop.cod);
+    if (!current) {
+      diff.stops.created.push(stop.cod);
+      return;
+    }
+    const changes = diffFields(current, stop, ['nam', 'lat', 'lon']);
+    if (Object.keys(changes).length > 0) {
+      diff.stops.updated.push({ cod: stop.cod, changes });
+    } else {
+      diff.stops.unchanged++;
+    }
+  });
+
+  network.sublines.forEach(subline => {
+    const current = existing.sublines.get(`${subline.lineCod}|${subline.cod}`);
+    if (!current) {
+      diff.subLines.created.push({ line: subline.lineCod, cod: subline.cod, stops: subline.stopCods.length });
+    } else {
+      const changes = diffFields(current, subline, ['nam', 'way', 'main', 'vis']);
+      if (current.stopCods.join(',') !== subline.stopCods.join(',')) {
+        changes.stops = { from: current.stopCods, to: subline.stopCods };
+      }
+      if (Object.keys(changes).length > 0) {
+        diff.subLines.updated.push({ line: subline.lineCod, cod: subline.cod, changes });
+      } else {
+        diff.subLines.unchanged++;
+      }
+    }
+
+    if (subline.shape) {
+      const filePath = getShapeFilePath(subline.lineCod, subline.cod);
+      const relativePath = path.relative(ROUTE_PATHS_DIR, filePath);
+      if (!fs.existsSync(filePath)) {
+        diff.shapes.created.push(relativePath);
+      } else if (fs.readFileSync(filePath, 'utf8') !== buildLineStringKml(subline.cod, subline.shape)) {
+        diff.shapes.updated.push(relativePath);
+      } else {
+        diff.shapes.unchanged++;
+      }
+    }
+  });
+
+  (network.services || []).forEach(service => {
+    const current = existing.services.get(service.cod);
+    if (!current) {
+      diff.serviceCalendars.created.push(service.cod);
+      return;
+    }
+    const changes = diffFields(current, { ...service, start_date: service.startDate, end_date: service.endDate }, [...WEEKDAYS, 'start_date', 'end_date']);
+    const dates = service.dates.map(({ date, exceptionType }) => `${date}/${exceptionType}`).join(',');
+    if (current.dates !== dates) {
+      changes.dates = { from: current.dates, to: dates };
+    }
+    if (Object.keys(changes).length > 0) {
+      diff.serviceCalendars.updated.push({ cod: service.cod, changes });
+    } else {
+      diff.serviceCalendars.unchanged++;
+    }
+  });
+
+  network.sublines.forEach(subline => {
+    subline.trips.forEach(trip => {
+      const current = existing.trips.get(trip.cod);
+      if (!current) {
+        diff.trips.created++;
+      } else if (current.line_cod !== subline.lineCod || current.subline_cod !== subline.cod || current.service_cod !== trip.serviceCod
+        || (current.headsign || null) !== trip.headsign
+        || current.times !== trip.times.map(({ arrival, departure }) => `${arrival}/${departure}`).join(',')) {
+        diff.trips.updated++;
+      } else {
+        diff.trips.unchanged++;
+      }
+    });
+  });
+
+  (network.retiredSublines || []).forEach(row => {
+    diff.subLines.hidden.push({ line: row.line_cod, cod: row.cod, stops: row.stopCods.length });
+  });
+
+  diff.conflicts = findConflicts(network, existing);
+  return diff;
+}
+
+/**
+ * Inserts or updates a row identified by a lookup in the existing map.
+ * @returns {Promise<number>} The row id.
+ */
+async function upsertRow(client, table, existingRow, values) {
+  const columns = Object.keys(values);
+  const params = columns.map(column => values[column]);
+  if (existingRow) {
+    const assignments = columns.map((column, index) => `${column} = $${index + 1}`).join(', ');
+    await client.query(`UPDATE "${table}" SET ${assignments} WHERE id = $${columns.length + 1}`, [...params, existingRow.id]);
+    return existingRow.id;
+  }
+  const placeholders = columns.map((column, index) => `$${index + 1}`).join(', ');
+  const result = await client.query(`INSERT INTO "${table}" (${columns.join(', ')}) VALUES (${placeholders}) RETURNING id`, params);
+  return result.rows[0].id;
+}
+
+/**
+ * Writes the network to the database inside a single transaction.
+ * @param {object} client - A connected pg client.
+ * @param {object} network - The output of buildNetworkFromFeed.
+ * @param {object} existing - The output of loadExistingNetwork.
+ */
+async function writeNetwork(client, network, existing) {
+  const lineIdByCod = new Map();
+  for (const line of network.lines) {
+    const id = await upsertRow(client, 'RouteLine', existing.lines.get(line.cod), {
+      cod: line.cod, nam: line.nam, color: line.color, typ: line.typ, act: line.act,
+    });
+    lineIdByCod.set(line.cod, id);
+  }
+
+  const stopIdByCod = new Map();
+  for (const stop of network.stops) {
+    const current = existing.stops.get(stop.cod);
+    const values = { cod: stop.cod, nam: stop.nam, lat: stop.lat, lon: stop.lon };
+    if (!current) {
+      values.ref = stop.ref; // Keep hand-maintained references on existing stops
+    }
+    stopIdByCod.set(stop.cod, await upsertRow(client, 'Stop', current, values));
+  }
+  // Stops referenced by patterns but already present in the DB (not in this feed's stops.txt)
+  existing.stops.forEach((row, cod) => {
+    if (!stopIdByCod.has(cod)) {
+      stopIdByCod.set(cod, row.id);
+    }
+  });
+
+  const serviceIdByCod = new Map();
+  for (const service of network.services || []) {
+    const values = { cod: service.cod, start_date: service.startDate, end_date: service.endDate };
+    WEEKDAYS.forEach(day => { values[day] = service[day]; });
+    const serviceId = await upsertRow(client, 'ServiceCalendar', existing.services.get(service.cod), values);
+    serviceIdByCod.set(service.cod, serviceId);
+    await client.query('DELETE FROM "ServiceCalendarDate" WHERE service_id = $1', [serviceId]);
+    await client.query(`
+      INSERT INTO "ServiceCalendarDate" (service_id, date, exception_type)
+      SELECT $1, d.date, d.exception_type FROM unnest($2::date[], $3::smallint[]) AS d(date, exception_type)
+    `, [serviceId, service.dates.map(({ date }) => date), service.dates.map(({ exceptionType }) => exceptionType)]);
+  }
+  // Services referenced by trips but already present in the DB (not in this feed's calendar files)
+  existing.services.forEach((row, cod) => {
+    if (!serviceIdByCod.has(cod)) {
+      serviceIdByCod.set(cod, row.id);
+    }
+  });
+
+  const retiredTripIds = getRetiredTrips(network, existing).map(row => row.id);
+  if (retiredTripIds.length > 0) {
+    await client.query('DELETE FROM "Trip" WHERE id = ANY($1)', [retiredTripIds]); // Their stop times cascade
+  }
+
+  for (const subline of network.sublines) {
+    const sublineId = await upsertRow(client, 'SubLine', existing.sublines.get(`${subline.lineCod}|${subline.cod}`), {
+      lineid: lineIdByCod.get(subline.lineCod),
+      cod: subline.cod,
+      nam: subline.nam,
+      way: subline.way,
+      main: subline.main,
+      vis: subline.vis,
+    });
+
+    // Replace the stop sequence; stoporder is the 1-based rank of stop_sequence within the trip
+    await client.query('DELETE FROM "SubLineStop" WHERE sublineid = $1', [sublineId]);
+    for (let i = 0; i < subline.stopCods.length; i++) {
+      await client.query(
+        'INSERT INTO "SubLineStop" (sublineid, stopid, stoporder) VALUES ($1, $2, $3)',
+        [sublineId, stopIdByCod.get(subline.stopCods[i]), i + 1]
+      );
+    }
+
+    // Trips of the pattern, with their times at its stops (same stoporder)
+    for (const trip of subline.trips) {
+      const tripId = await upsertRow(client, 'Trip', existing.trips.get(trip.cod), {
+        cod: trip.cod,
+        sublineid: sublineId,
+        service_id: serviceIdByCod.get(trip.serviceCod),
+        headsign: trip.headsign,
+      });
+      await client.query('DELETE FROM "TripStopTime" WHERE trip_id = $1', [tripId]);
+      await client.query(`
+        INSERT INTO "TripStopTime" (trip_id, stoporder, arrival_seconds, departure_seconds)
+        SELECT $1, st.stoporder, st.arrival_seconds, st.departure_seconds
+        FROM unnest($2::integer[], $3::integer[], $4::integer[]) AS st(stoporder, arrival_seconds, departure_seconds)
+      `, [tripId, trip.times.map((time, index) => index + 1), trip.times.map(({ arrival }) => arrival), trip.times.map(({ departure }) => departure)]);
+    }
+  }
+
+  // Sublines no longer in the feed are hidden rather than deleted, as stop visits still reference them. Without stops,
+  // the network cache no longer matches buses to them, turns buses around onto them or lists them in departures.
+  for (const row of network.retiredSublines || []) {
+    await client.query('UPDATE "SubLine" SET vis = false, main = false WHERE id = $1', [row.id]);
+    await client.query('DELETE FROM "SubLineStop" WHERE sublineid = $1', [row.id]);
+  }
+}
+
+/**
+ * Writes each subline's shape as KML under routePaths/<line cod>/<subline cod>.kml.
+ * @param {object} network - The output of buildNetworkFromFeed.
+ * @returns {number} Number of files written.
+ */
+function writeShapes(network) {
+  let written = 0;
+  network.sublines.forEach(subline => {
+    if (!subline.shape) {
+      return;
+    }
+    const filePath = getShapeFilePath(subline.lineCod, subline.cod);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, buildLineStringKml(subline.cod, subline.shape));
+    written++;
+  });
+  return written;
+}
+
+// --- Main Entry Point ---
+
+/**
+ * Imports a GTFS static feed into "RouteLine", "SubLine", "Stop" and "SubLineStop" and stores shapes as KML, and its
+ * timetables into "ServiceCalendar", "ServiceCalendarDate", "Trip" and "TripStopTime" if it has calendar.txt or
+ * calendar_dates.txt (trips of the feed's lines missing from it are deleted). Sublines are matched to the existing
+ * ones by stop pattern (see assignSublineCodes); those of the feed's lines that are no longer in it are hidden and
+ * lose their stops.
+ * In dry-run mode nothing is written; only the diff against the current state is returned.
+ * @param {Buffer|string} zipInput - The GTFS zip contents or a path to it.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun=false] - Report the diff without writing anything.
+ * @param {string|null} [options.namespace=null] - See buildNetworkFromFeed. A feed conflicting with another network
+ *   (see findConflicts) is refused without one; the dry run reports the conflicts.
+ * @returns {Promise<{dryRun: boolean, summary: object, diff: object}>}
+ */
+async function importGtfs(zipInput, { dryRun = false, namespace = null } = {}) {
+  if (namespace !== null && !NAMESPACE_PATTERN.test(namespace)) {
+    throw feedError('The namespace may only contain letters, digits, "_" and "-".');
+  }
+  const feed = readGtfsZip(zipInput);
+  const network = buildNetworkFromFeed(feed, { namespace });
+  const tripCount = network.sublines.reduce((count, subline) => count + subline.trips.length, 0);
+  console.log(`[GTFS Import] Parsed feed: ${network.lines.length} route(s), ${network.stops.length} stop(s), ${network.sublines.length} subline pattern(s), ${tripCount} trip(s).`);
+  if (!network.services) {
+    console.log('[GTFS Import] No calendar.txt or calendar_dates.txt: timetables are left as they are.');
+  } else if (network.skippedTrips > 0) {
+    console.warn(`[GTFS Import] ${network.skippedTrips} trip(s) skipped: no time at their first or last stop.`);
+  }
+
+  const unknownStops = new Set();
+  const stopCodsInFeed = new Set(network.stops.map(stop => stop.cod));
+
+  const client = await pool.connect();
+  try {
+    const existing = await loadExistingNetwork(client);
+    assignSublineCodes(network, existing);
+    network.sublines.forEach(subline => {
+      subline.stopCods.forEach(cod => {
+        if (!stopCodsInFeed.has(cod) && !existing.stops.has(cod)) {
+          unknownStops.add(cod);
+        }
+      });
+    });
+    if (unknownStops.size > 0) {
+      throw feedError(`stop_times.txt references unknown stop(s): ${[...unknownStops].slice(0, 10).join(', ')}`);
+    }
+    const serviceCodsInFeed = new Set((network.services || []).map(service => service.cod));
+    const unknownServices = new Set(network.sublines
+      .flatMap(subline => subline.trips.map(trip => trip.serviceCod))
+      .filter(cod => !serviceCodsInFeed.has(cod) && !existing.services.has(cod)));
+    if (unknownServices.size > 0) {
+      throw feedError(`trips.txt references unknown service(s): ${[...unknownServices].slice(0, 10).join(', ')}`);
+    }
+
+    const diff = diffNetwork(network, existing);
+    const summary = {
+      routeLines: network.lines.length,
+      stops: network.stops.length,
+      subLines: network.sublines.length,
+      shapes: network.sublines.filter(subline => subline.shape).length,
+      serviceCalendars: network.services ? network.services.length : 0,
+      trips: tripCount,
+    };
+
+    if (dryRun) {
+      console.log('[GTFS Import] Dry run, no changes written.');
+      return { dryRun: true, summary, diff };
+    }
+    const conflicts = [['stop(s)', 'stops'], ['service(s)', 'serviceCalendars'], ['trip(s)', 'trips']]
+      .filter(([, key]) => diff.conflicts[key].length > 0)
+      .map(([label, key]) => `${label} ${diff.conflicts[key].slice(0, 10).map(conflict => conflict.cod).join(', ')}`);
+    if (conflicts.length > 0) {
+      throw feedError(`The feed reuses the codes of other lines' ${conflicts.join('; ')}. Import it with a namespace.`);
+    }
+
+    await client.query('BEGIN');
+    try {
+      await writeNetwork(client, network, existing);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+
+    const shapesWritten = writeShapes(network);
+    console.log(`[GTFS Import] Import committed. ${shapesWritten} shape file(s) written to ${ROUTE_PATHS_DIR}.`);
+    return { dryRun: false, summary, diff };
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { importGtfs, readGtfsZip, buildNetworkFromFeed, assignSublineCodes, diffNetwork };
@@ -0,0 +1,224 @@
+// src/services/gtfsRealtime.js
+const GtfsRealtimeBindings = require('gtfs-realtime-bindings');
+const { getAllBusStates } = require('./realtimeProcessor');
+const { buildBusOccupancyInfo } = require('./occupancyService');
+const { haversineDistance, calculateBearing } = require('../utils/geo');
+
+const { FeedMessage, VehiclePosition, FeedHeader } = GtfsRealtimeBindings.transit_realtime;
+
+// Identifiers must match the static feed built by gtfsExporter (stop_id = Stop.cod)
+const toTripId = (sublineId) => `SL${sublineId}`; // trip_id of the template trip of a subline without a timetable
+
+// --- Helper Functions ---
+
+/**
+ * Converts a timestamp formatted as 'YYYYMMDD HHmmss' or 'YYYYMMDDHHmmss' (UTC, as used in the
+ * realtime messages) to POSIX seconds.
+ * @param {string} value
+ * @returns {number|null}
+ */
+function formattedTimeToPosix(value) {
+  if (!value) {
+    return null;
+  }
+  const digits = String(value).replace(/\D/g, '');
+  if (digits.length < 14) {
+    return null;
+  }
+  const ms = Date.UTC(
+    parseInt(digits.substring(0, 4)),
+    parseInt(digits.substring(4, 6)) - 1,
+    parseInt(digits.substring(6, 8)),
+    parseInt(digits.substring(8, 10)),
+    parseInt(digits.substring(10, 12)),
+    parseInt(digits.substring(12, 14))
+  );
+  return Math.floor(ms / 1000);
+}
+
+/**
+ * Builds the feed header common to all GTFS-Realtime feeds.
+ * @returns {object}
+ */
+function buildHeader() {
+  return {
+    gtfsRealtimeVersion: '2.0',
+    incrementality: FeedHeader.Incrementality.FULL_DATASET,
+    timestamp: Math.floor(Date.now() / 1000),
+  };
+}
+
+/**
+ * Returns the bus states that can be published: those matched to a subline and with a valid position.
+ * @returns {Array<[string, object]>}
+ */
+function getPublishableBuses() {
+  return [...getAllBusStates().entries()].filter(([, busState]) =>
+    busState.currentSublineRtId !== null &&
+    typeof busState.lat === 'number' && typeof busState.lng === 'number' &&
+    !isNaN(busState.lat) && !isNaN(busState.lng)
+  );
+}
+
+/**
+ * Returns the bus's last 'esta-info' stops if they belong to its current subline.
+ * @param {object} busState
+ * @returns {Array<object>}
+ */
+function getUpcomingStops(busState) {
+  const estaInfo = busState.lastEstaInfo;
+  if (!estaInfo || estaInfo.rt_id !== busState.currentSublineRtId) {
+    return [];
+  }
+  return estaInfo.stops || [];
+}
+
+/**
+ * Builds the TripDescriptor of a bus: its scheduled trip if it was matched to one, the subline's template trip otherwise.
+ * @param {object} busState
+ * @returns {object}
+ */
+function buildTripDescriptor(busState) {
+  const trip = busState.trip && busState.trip.sublineId === busState.currentSublineRtId ? busState.trip : null;
+  return {
+    tripId: trip ? trip.cod : toTripId(busState.currentSublineRtId),
+    routeId: busState.mainRtId !== null && busState.mainRtId !== undefined ? String(busState.mainRtId) : undefined,
+    startDate: trip ? trip.serviceDate.replace(/-/g, '') : undefined,
+  };
+}
+
+/**
+ * Heading reported by the device, or else the bearing of the last movement recorded in the bus history;
+ * undefined if the bus has not moved.
+ * @param {object} busState
+ * @returns {number|undefined}
+ */
+function getLastBearing(busState) {
+  if (typeof busState.heading === 'number') {
+    return busState.heading;
+  }
+  const history = busState.history || [];
+  if (history.length < 2) {
+    return undefined;
+  }
+  const previous = history[history.length - 2];
+  const last = history[history.length - 1];
+  if (haversineDistance(previous.lat, previous.lng, last.lat, last.lng) < 1) {
+    return undefined;
+  }
+  const bearing = calculateBearing(previous.lat, previous.lng, last.lat, last.lng);
+  return bearing === null ? undefined : bearing;
+}
+
+// --- Feed Builders ---
+
+/**
+ * Builds the VehiclePositions feed from the bus states of every instance (see getAllBusStates).
+ * @returns {object} A FeedMessage-shaped plain object.
+ */
+function buildVehiclePositionsFeed() {
+  const entity = getPublishableBuses().map(([busId, busState]) => {
+    const nextStop = getUpcomingStops(busState)[0];
+    const vehicle = {
+      trip: buildTripDescriptor(busState),
+      vehicle: { id: String(busId), label: String(busId) },
+      position: {
+        latitude: busState.lat,
+        longitude: busState.lng,
+        bearing: getLastBearing(busState),
+        speed: typeof busState.velocity === 'number' ? busState.velocity / 3.6 : undefined, // busState.velocity is km/h, GTFS-RT wants m/s
+      },
+      timestamp: busState.lastProcessedTimestamp ? Math.floor(new Date(busState.lastProcessedTimestamp).getTime() / 1000) : undefined,
+    };
+    if (nextStop) {
+      vehicle.stopId = String(nextStop.stop_code);
+      vehicle.currentStatus = VehiclePosition.VehicleStopStatus.IN_TRANSIT_TO;
+    }
+    const occupancy = buildBusOccupancyInfo(busState.occupancy, busState.capacity);
+    if (occupancy.occ) {
+      vehicle.occupancyStatus = VehiclePosition.OccupancyStatus[occupancy.occ];
+      if (occupancy.pas !== null && occupancy.cap > 0) {
+        vehicle.occupancyPercentage = Math.round(occupancy.pas / occupancy.cap * 100);
+      }
+    }
+    return { id: `vehicle-${busId}`, vehicle };
+  });
+
+  return { header: buildHeader(), entity };
+}
+
+/**
+ * Builds the TripUpdates feed from the upcoming-stop ETAs computed by realtimeProcessor.
+ * @returns {object} A FeedMessage-shaped plain object.
+ */
+function buildTripUpdatesFeed() {
+  const entity = [];
+  getPublishableBuses().forEach(([busId, busState]) => {
+    const stopTimeUpdate = getUpcomingStops(busState)
+      .map(stop => {
+        const arrival = formattedTimeToPosix(stop.esta_time);
+        if (arrival === null) {
+          return null; // No estimate (e.g. bus not moving)
+        }
+        return { stopId: String(stop.stop_code), arrival: { time: arrival } };
+      })
+      .filter(update => update !== null);
+
+    if (stopTimeUpdate.length === 0) {
+      return;
+    }
+    entity.push({
+      id: `trip-update-${busId}`,
+      tripUpdate: {
+        trip: buildTripDescriptor(busState),
+        vehicle: { id: String(busId), label: String(busId) },
+        stopTimeUpdate,
+        delay: typeof busState.delaySeconds === 'number' ? busState.delaySeconds : undefined, // Delay at the last visited stop
+        timestamp: busState.lastProcessedTimestamp ? Math.floor(new Date(busState.lastProcessedTimestamp).getTime() / 1000) : undefined,
+      },
+    });
+  });
+
+  return { header: buildHeader(), entity };
+}
+
+/**
+ * Builds the Alerts feed. There is no alert source yet, so the feed only carries the header.
+ * @returns {object} A FeedMessage-shaped plain object.
+ */
+function buildAlertsFeed() {
+  return { header: buildHeader(), entity: [] };
+}
+
+// --- Encoding ---
+
+/**
+ * Encodes a feed as protobuf bytes.
+ * @param {object} feed - A FeedMessage-shaped plain object.
+ * @returns {Buffer}
+ */
+function encodeFeed(feed) {
+  const message = FeedMessage.fromObject(feed);
+  const error = FeedMessage.verify(message);
+  if (error) {
+    throw new Error(`Invalid GTFS-Realtime feed: ${error}`);
+  }
+  return Buffer.from(FeedMessage.encode(message).finish());
+}
+
+/**
+ * Converts a feed to the JSON debug view (protobufjs camelCase field names, enums as their names).
+ * @param {object} feed - A FeedMessage-shaped plain object.
+ * @returns {object}
+ */
+function feedToJson(feed) {
+  return FeedMessage.toObject(FeedMessage.fromObject(feed), { longs: Number, enums: String, defaults: false });
+}
+
+module.exports = {
+  buildVehiclePositionsFeed,
+  buildTripUpdatesFeed,
+  buildAlertsFeed,
+  encodeFeed,
+  feedToJson,
+};
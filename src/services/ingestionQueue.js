@@ -0,0 +1,388 @@
+// src/services/ingestionQueue.js
+const { processLocationData, removeBus } = require('./realtimeProcessor');
+const { recordPosition } = require('./positionHistoryService');
+const { checkFixQuality, filterFix, forgetBus } = require('./gpsFilter');
+const { INSTANCE_ID, onEvent } = require('./pubsubService');
+
+// --- Configuration ---
+const MAX_QUEUE_PER_BUS = parseInt(process.env.INGESTION_MAX_QUEUE_PER_BUS) || 20; // Fixes waiting per bus; the oldest is dropped beyond this
+const MAX_FIX_AGE_SECONDS = parseInt(process.env.INGESTION_MAX_FIX_AGE_SECONDS) || 120; // Older fixes are too late to be live data
+const MAX_FUTURE_SKEW_SECONDS = 30; // Tolerance for phone clocks running ahead of the server
+const MAX_BATCH_POSITIONS = parseInt(process.env.INGESTION_MAX_BATCH_POSITIONS) || 1000; // Fixes per batch upload
+const MAX_BATCH_AGE_HOURS = parseInt(process.env.INGESTION_MAX_BATCH_AGE_HOURS) || 24; // Older buffered fixes are refused
+const FLOOD_LOG_INTERVAL_MS = 60 * 1000; // At most one 'dropping fixes' warning per bus per minute
+
+// --- In-Memory State ---
+// Key: busId, Value: { queue: Array of { data, timestampMs, replay, source } (by timestamp), processing, drain, removed, lastTimestamp, metrics, lastFloodLogAt }
+// replay is set on batch fixes too old to be broadcast: they only bring the bus state up to date. source is 'live' or 'batch'.
+// lastTimestamp is the timestamp (ms) of the last fix handed to processLocationData: nothing older is accepted afterwards.
+// drain is the promise of the queue being processed (null when idle). removed is set when the bus is taken out of
+// service while its queue is being processed: its queued fixes are dropped, and the queue is forgotten once the fix in
+// progress is processed.
+const busQueues = new Map();
+let stopping = false; // Set by stopIngestion: nothing more is accepted
+// Totals over every bus since startup
+const totals = createMetrics();
+
+// --- Helper Functions ---
+
+function createMetrics() {
+  return {
+    received: 0,
+    processed: 0,
+    failed: 0, // processLocationData threw
+    reordered: 0, // Arrived after a newer fix that was still queued, processed in timestamp order
+    rejectedInvalid: 0, // Missing or unparseable timestamp or position
+    rejectedDuplicate: 0, // Same timestamp as a fix already accepted
+    rejectedOutOfOrder: 0, // Older than a fix already processed
+    rejectedLate: 0, // Older than MAX_FIX_AGE_SECONDS
+    rejectedFuture: 0, // More than MAX_FUTURE_SKEW_SECONDS ahead of the server clock
+    rejectedQuality: 0, // Invalid or too inaccurate quality fields (see gpsFilter.checkFixQuality)
+    filteredJumps: 0, // Refused by the GPS filter as a physically impossible jump
+    dropped: 0, // Queued fixes discarded because the bus sent more than MAX_QUEUE_PER_BUS before they could be processed
+    batches: 0, // Batch uploads of buffered fixes
+    replayed: 0, // Batch fixes processed without broadcasts (older than MAX_FIX_AGE_SECONDS)
+    historyOnly: 0, // Batch fixes only stored, as the bus was already processed past them
+    maxQueueDepth: 0,
+    totalProcessingMs: 0,
+  };
+}
+
+function getBusQueue(busId) {
+  if (!busQueues.has(busId)) {
+    busQueues.set(busId, { queue: [], processing: false, drain: null, removed: false, lastTimestamp: null, metrics: createMetrics(), lastFloodLogAt: 0 });
+  }
+  return busQueues.get(busId);
+}
+
+function count(busQueue, metric, amount = 1) {
+  busQueue.metrics[metric] += amount;
+  totals[metric] += amount;
+}
+
+/**
+ * Returns the timestamp of a fix in ms, or null if it has none. The driver app sends ms since the epoch;
+ * ISO strings are accepted too.
+ * @param {*} timestamp
+ * @returns {number|null}
+ */
+function parseFixTimestamp(timestamp) {
+  if (timestamp === undefined || timestamp === null || timestamp === '') {
+    return null;
+  }
+  const ms = new Date(typeof timestamp === 'string' && /^\d+$/.test(timestamp) ? Number(timestamp) : timestamp).getTime();
+  return isNaN(ms) ? null : ms;
+}
+
+/**
+ * Checks what every fix needs, live or from a batch: a timestamp that is not ahead of the server clock, a position,
+ * and usable quality fields (accuracy, heading, altitude, velocity).
+ * @param {object} data - Location data ({ lat, lng, timestamp, ... }).
+ * @param {number} now - Server time (ms).
+ * @returns {{timestampMs: number}|{metric: string, code: string, message: string}} The timestamp in ms, or why the fix is refused.
+ */
+function checkFix(data, now) {
+  const timestampMs = parseFixTimestamp(data.timestamp);
+  if (timestampMs === null) {
+    return { metric: 'rejectedInvalid', code: 'invalid-timestamp', message: 'Location data needs a timestamp (ms since the epoch or ISO 8601).' };
+  }
+  if (!Number.isFinite(data.lat) || !Number.isFinite(data.lng) || Math.abs(data.lat) > 90 || Math.abs(data.lng) > 180) {
+    return { metric: 'rejectedInvalid', code: 'invalid-position', message: 'Location data needs numeric lat and lng.' };
+  }
+  if (timestampMs > now + MAX_FUTURE_SKEW_SECONDS * 1000) {
+    return { metric: 'rejectedFuture', code: 'future-timestamp', message: 'The location timestamp is ahead of the server clock. Check the device time.' };
+  }
+  const qualityError = checkFixQuality(data);
+  if (qualityError) {
+    return { metric: 'rejectedQuality', code: 'invalid-quality', message: qualityError };
+  }
+  return { timestampMs };
+}
+
+/**
+ * Inserts a fix in a bus's queue in timestamp order: a fix overtaken in transit by a newer one that is still queued goes before it.
+ * @param {object} busQueue
+ * @param {{data: object, timestampMs: number, replay: boolean}} entry
+ * @returns {boolean} false if a fix with the same timestamp is already queued.
+ */
+function insertIntoQueue(busQueue, entry) {
+  let index = busQueue.queue.length;
+  while (index > 0 && busQueue.queue[index - 1].timestampMs > entry.timestampMs) {
+    index--;
+  }
+  if (index > 0 && busQueue.queue[index - 1].timestampMs === entry.timestampMs) {
+    return false;
+  }
+  if (index < busQueue.queue.length && !entry.replay) {
+    count(busQueue, 'reordered');
+  }
+  busQueue.queue.splice(index, 0, entry);
+  return true;
+}
+
+/**
+ * Drops the oldest live fixes of a flooding bus beyond MAX_QUEUE_PER_BUS: they are the least useful for live positions.
+ * Replayed batch fixes are not counted, a batch may hold many more.
+ * @param {string|number} busId
+ * @param {object} busQueue
+ * @param {number} now
+ */
+function dropOverflow(busId, busQueue, now) {
+  const droppedCount = busQueue.queue.filter(entry => !entry.replay).length - MAX_QUEUE_PER_BUS;
+  if (droppedCount <= 0) {
+    return;
+  }
+  let toDrop = droppedCount;
+  busQueue.queue = busQueue.queue.filter(entry => entry.replay || toDrop-- <= 0);
+  count(busQueue, 'dropped', droppedCount);
+  if (now - busQueue.lastFloodLogAt >= FLOOD_LOG_INTERVAL_MS) {
+    busQueue.lastFloodLogAt = now;
+    console.warn(`[Ingestion] Bus ${busId} is sending fixes faster than they can be processed, dropping the oldest (${busQueue.metrics.dropped} dropped so far).`);
+  }
+}
+
+/**
+ * Processes a bus's queued fixes one at a time, in timestamp order, until its queue is empty or the bus is removed.
+ * Each fix goes through the GPS filter first (see gpsFilter), which needs them in that order too; the fixes it accepts
+ * are stored in the position history.
+ * @param {string|number} busId
+ * @param {object} busQueue
+ */
+async function drainBusQueue(busId, busQueue) {
+  busQueue.processing = true;
+  while (busQueue.queue.length > 0 && !busQueue.removed) {
+    const { data, timestampMs, replay, source } = busQueue.queue.shift();
+    busQueue.lastTimestamp = timestampMs;
+    const filtered = filterFix(busId, data);
+    if (!filtered.accepted) {
+      count(busQueue, 'filteredJumps');
+      console.warn(`[Ingestion] Ignoring fix of bus ${busId}: ${filtered.message}`);
+      continue;
+    }
+    recordPosition({ ...data, timestampMs, source });
+    const startedAt = Date.now();
+    try {
+      await processLocationData(filtered.fix, { replay });
+      count(busQueue, replay ? 'replayed' : 'processed');
+    } catch (error) {
+      count(busQueue, 'failed');
+      console.error(`[Ingestion] Error processing location data of bus ${busId}:`, error);
+    }
+    count(busQueue, 'totalProcessingMs', Date.now() - startedAt);
+    if (busQueue.removed) {
+      removeBus(busId, 'removed while a fix was processed'); // The fix stored the bus again after its 'close'
+    }
+  }
+  busQueue.processing = false;
+}
+
+/**
+ * Records the depth of a bus's queue and starts processing it if it is idle.
+ * @param {string|number} busId
+ * @param {object} busQueue
+ */
+function scheduleBusQueue(busId, busQueue) {
+  busQueue.metrics.maxQueueDepth = Math.max(busQueue.metrics.maxQueueDepth, busQueue.queue.length);
+  totals.maxQueueDepth = Math.max(totals.maxQueueDepth, busQueue.queue.length);
+  if (busQueue.removed && busQueue.queue.length > 0) {
+    busQueue.removed = false; // Fixes accepted after the removal: the bus is back in service
+  }
+  if (!busQueue.processing && busQueue.queue.length > 0) {
+    busQueue.drain = drainBusQueue(busId, busQueue).finally(() => {
+      busQueue.drain = null;
+      if (busQueue.removed) {
+        forgetBusQueue(busId);
+      }
+    });
+  }
+}
+
+/**
+ * Forgets the queue, metrics and GPS filter of a bus taken out of service (expired, session paused or ended), so buses
+ * seen once do not stay in memory and in the metrics. The fixes still queued are dropped: processing them would bring
+ * the bus back right after its 'close'. A queue being processed is forgotten once the fix in progress is done.
+ * @param {string|number} busId
+ */
+function forgetBusQueue(busId) {
+  const busQueue = busQueues.get(busId);
+  if (busQueue && busQueue.processing) {
+    busQueue.removed = true;
+    busQueue.queue = [];
+    return;
+  }
+  busQueues.delete(busId);
+  forgetBus(busId);
+}
+
+// Buses removed by realtimeProcessor.removeBus on this instance
+onEvent('bus-removed', ({ busId }, origin) => {
+  if (origin === INSTANCE_ID) {
+    forgetBusQueue(busId);
+  }
+});
+
+// --- Public API ---
+
+/**
+ * Queues a location fix for its bus. Each bus's fixes are processed strictly one after the other and in timestamp
+ * order, so a fix never sees the bus state half-updated by the previous one.
+ * @param {object} data - Location data for processLocationData ({ busId, routeId, driverId, lat, lng, timestamp, velocity }).
+ * @returns {{accepted: true}|{accepted: false, code: string, message: string}} Why the fix was refused, for the driver app.
+ */
+function enqueueLocation(data) {
+  if (stopping) {
+    return { accepted: false, code: 'shutting-down', message: 'The server is shutting down. Reconnect in a moment.' };
+  }
+  const busQueue = getBusQueue(data.busId);
+  count(busQueue, 'received');
+
+  const now = Date.now();
+  const check = checkFix(data, now);
+  if (check.code) {
+    count(busQueue, check.metric);
+    return { accepted: false, code: check.code, message: check.message };
+  }
+  const { timestampMs } = check;
+  if (timestampMs < now - MAX_FIX_AGE_SECONDS * 1000) {
+    count(busQueue, 'rejectedLate');
+    return { accepted: false, code: 'late-timestamp', message: `Location data older than ${MAX_FIX_AGE_SECONDS}s is not live data. Upload it as a batch.` };
+  }
+  if (busQueue.lastTimestamp !== null && timestampMs <= busQueue.lastTimestamp) {
+    const duplicate = timestampMs === busQueue.lastTimestamp;
+    count(busQueue, duplicate ? 'rejectedDuplicate' : 'rejectedOutOfOrder');
+    return duplicate
+      ? { accepted: false, code: 'duplicate-timestamp', message: 'A location with this timestamp was already received.' }
+      : { accepted: false, code: 'out-of-order', message: 'A newer location was already processed for this bus.' };
+  }
+  if (!insertIntoQueue(busQueue, { data: { ...data, timestamp: timestampMs }, timestampMs, replay: false, source: 'live' })) {
+    count(busQueue, 'rejectedDuplicate');
+    return { accepted: false, code: 'duplicate-timestamp', message: 'A location with this timestamp was already received.' };
+  }
+
+  dropOverflow(data.busId, busQueue, now);
+  scheduleBusQueue(data.busId, busQueue);
+  return { accepted: true };
+}
+
+/**
+ * Accepts fixes buffered by the driver app while it had no coverage. Fixes newer than the last one processed for
+ * the bus are queued: those older than MAX_FIX_AGE_SECONDS are replayed into the bus state without broadcasts
+ * (passengers must not see outdated positions), the others are processed like live fixes. Fixes older than the last
+ * one processed are only stored in the position history (unless the GPS filter refuses them as jumps), so the app
+ * should upload its buffer before it resumes sending live fixes.
+ * @param {{busId: string|number, routeId: number, driverId: number}} sender - Bus, route and driver the fixes come from.
+ * @param {Array<object>} positions - Location data ({ lat, lng, timestamp, velocity }), in any order.
+ * @returns {{received: number, live: number, replayed: number, historyOnly: number, rejected: Array<{index: number, code: string, message: string}>}|{error: string, code?: string}}
+ *   What became of the fixes, or why the whole batch was refused.
+ */
+function enqueueBatch(sender, positions) {
+  if (stopping) {
+    return { error: 'The server is shutting down. Upload the locations again in a moment.', code: 'shutting-down' };
+  }
+  if (!Array.isArray(positions) || positions.length === 0) {
+    return { error: 'positions must be a non-empty array of locations.' };
+  }
+  if (positions.length > MAX_BATCH_POSITIONS) {
+    return { error: `A batch may hold at most ${MAX_BATCH_POSITIONS} locations. Split it.` };
+  }
+  const { busId, routeId, driverId } = sender;
+  const busQueue = getBusQueue(busId);
+  count(busQueue, 'batches');
+  count(busQueue, 'received', positions.length);
+
+  const now = Date.now();
+  const rejected = [];
+  const valid = [];
+  positions.forEach((data, index) => {
+    const check = data && typeof data === 'object'
+      ? checkFix(data, now)
+      : { metric: 'rejectedInvalid', code: 'invalid-message', message: 'Each position must be a JSON object.' };
+    if (check.code) {
+      count(busQueue, check.metric);
+      rejected.push({ index, code: check.code, message: check.message });
+    } else if (check.timestampMs < now - MAX_BATCH_AGE_HOURS * 3600 * 1000) {
+      count(busQueue, 'rejectedLate');
+      rejected.push({ index, code: 'late-timestamp', message: `Buffered locations older than ${MAX_BATCH_AGE_HOURS}h are not accepted.` });
+    } else {
+      valid.push({ index, data: { ...data, busId, routeId, driverId, timestamp: check.timestampMs }, timestampMs: check.timestampMs });
+    }
+  });
+  valid.sort((a, b) => a.timestampMs - b.timestampMs);
+
+  const result = { received: positions.length, live: 0, replayed: 0, historyOnly: 0, rejected };
+  // The bus's GPS filter is already past the history-only fixes: they go through one of their own, oldest first,
+  // so the history only keeps the positions the filter accepts, as for the processed fixes
+  const historyFilterId = `history:${busId}`;
+  valid.forEach(({ index, data, timestampMs }, i) => {
+    if (i > 0 && timestampMs === valid[i - 1].timestampMs) {
+      count(busQueue, 'rejectedDuplicate');
+      rejected.push({ index, code: 'duplicate-timestamp', message: 'Another location in the batch has this timestamp.' });
+      return;
+    }
+    const replay = timestampMs < now - MAX_FIX_AGE_SECONDS * 1000;
+    if (busQueue.lastTimestamp !== null && timestampMs <= busQueue.lastTimestamp) {
+      const filtered = filterFix(historyFilterId, data);
+      if (!filtered.accepted) {
+        count(busQueue, 'filteredJumps');
+        rejected.push({ index, code: filtered.code, message: filtered.message });
+        return;
+      }
+      recordPosition({ ...data, timestampMs, source: 'batch' });
+      count(busQueue, 'historyOnly');
+      result.historyOnly++;
+    } else if (!insertIntoQueue(busQueue, { data, timestampMs, replay, source: 'batch' })) {
+      count(busQueue, 'historyOnly'); // Already queued (also sent live), stored when processed
+      result.historyOnly++;
+    } else {
+      result[replay ? 'replayed' : 'live']++;
+    }
+  });
+  forgetBus(historyFilterId);
+  rejected.sort((a, b) => a.index - b.index);
+
+  dropOverflow(busId, busQueue, now);
+  scheduleBusQueue(busId, busQueue);
+  console.log(`[Ingestion] Batch of ${positions.length} location(s) from bus ${busId}: ${result.replayed} replayed, ${result.live} live, ${result.historyOnly} history only, ${rejected.length} rejected.`);
+  return result;
+}
+
+/**
+ * Returns the ingestion counters, in total and per bus, with the current queue depths.
+ * @returns {{totals: object, buses: Array<object>}}
+ */
+function getIngestionMetrics() {
+  const formatMetrics = ({ totalProcessingMs, ...metrics }) => ({
+    ...metrics,
+    avgProcessingMs: metrics.processed + metrics.failed > 0 ? Math.round(totalProcessingMs / (metrics.processed + metrics.failed)) : null,
+  });
+  return {
+    totals: { ...formatMetrics(totals), queued: [...busQueues.values()].reduce((sum, busQueue) => sum + busQueue.queue.length, 0) },
+    buses: [...busQueues.entries()].map(([busId, busQueue]) => ({
+      busId,
+      queued: busQueue.queue.length,
+      processing: busQueue.processing,
+      lastTimestamp: busQueue.lastTimestamp !== null ? new Date(busQueue.lastTimestamp).toISOString() : null,
+      ...formatMetrics(busQueue.metrics),
+    })),
+  };
+}
+
+/**
+ * Stops accepting fixes and waits for the queued ones to be processed (and handed to the position history).
+ * @returns {Promise<void>}
+ */
+async function stopIngestion() {
+  stopping = true;
+  const drains = [...busQueues.values()].map(busQueue => busQueue.drain).filter(Boolean);
+  if (drains.length > 0) {
+    console.log(`[Ingestion] Waiting for the queues of ${drains.length} bus(es) to be processed...`);
+  }
+  await Promise.all(drains);
+}
+
+module.exports = {
+  enqueueLocation,
+  enqueueBatch,
+  getIngestionMetrics,
+  stopIngestion,
+};
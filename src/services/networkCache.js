@@ -0,0 +1,355 @@
+// src/services/networkCache.js
+const crypto = require('crypto');
+const fs = require('fs');
+const { pool } = require('../config/database');
+const { listKmlFiles, getShapeBySublineCod } = require('./shapeService');
+const { INSTANCE_ID, publish, onEvent } = require('./pubsubService');
+
+// --- Configuration ---
+// How often the network tables and KML files are checked for changes made outside the API (e.g. by hand in the database)
+const NETWORK_CHECK_INTERVAL_MS = (parseInt(process.env.NETWORK_CACHE_CHECK_SECONDS) || 300) * 1000;
+// Tables whose changes make the network out of date, with the columns their rows are hashed in the order of.
+// The timetables are not cached here, but the GTFS export is built from them and uses this change detection too.
+const NETWORK_TABLES = [
+  ['RouteLine', 'id'],
+  ['SubLine', 'id'],
+  ['Stop', 'id'],
+  ['SubLineStop', 'sublineid, stoporder, stopid'],
+  ['ServiceCalendar', 'id'],
+  ['ServiceCalendarDate', 'service_id, date'],
+  ['Trip', 'id'],
+  ['TripStopTime', 'trip_id, stoporder'],
+];
+
+// --- In-Memory State ---
+// The network used by the realtime hot paths (see loadNetwork). Replaced as a whole on every refresh.
+let network = null;
+let loading = null; // Promise of the refresh in progress
+let queuedRefresh = null; // Promise of the refresh that starts once the one in progress is done
+let checkTimer = null;
+let remoteHandlerRegistered = false;
+
+// --- Helper Functions ---
+
+/**
+ * Computes a digest of the contents of tables, in one query.
+ * @param {Array<[string, string]>} tables - Table names with the columns their rows are ordered by (e.g. 'id').
+ * @returns {Promise<object>} md5 digest per table name.
+ */
+async function computeTablesFingerprint(tables) {
+  const digests = tables.map(([table, orderBy], index) => {
+    const order = orderBy.split(',').map(column => `t.${column.trim()}`).join(', ');
+    return `(SELECT md5(COALESCE(array_agg(t ORDER BY ${order})::text, '')) FROM "${table}" t) AS t${index}`;
+  });
+  const result = await pool.query(`SELECT ${digests.join(', ')}`);
+  const fingerprint = {};
+  tables.forEach(([table], index) => {
+    fingerprint[table] = result.rows[0][`t${index}`];
+  });
+  return fingerprint;
+}
+
+/**
+ * Computes a fingerprint of the network tables and the KML files, to tell whether the cache is out of date.
+ * @returns {Promise<string>}
+ */
+async function computeNetworkFingerprint() {
+  const hash = crypto.createHash('sha1');
+  hash.update(JSON.stringify(await computeTablesFingerprint(NETWORK_TABLES)));
+  listKmlFiles().forEach((filePath, name) => {
+    const stats = fs.statSync(filePath);
+    hash.update(`${name}:${stats.size}:${stats.mtimeMs}`);
+  });
+  return hash.digest('hex');
+}
+
+/**
+ * Loads the lines, sublines, ordered stops per subline and subline shapes.
+ * @param {string} fingerprint
+ * @param {number} version
+ * @returns {Promise<object>}
+ */
+async function loadNetwork(fingerprint, version) {
+  const linesResult = await pool.query('SELECT id, cod, nam FROM "RouteLine" ORDER BY id');
+  const sublinesResult = await pool.query('SELECT id, lineid, cod, nam, main FROM "SubLine" ORDER BY id');
+  const stopsResult = await pool.query(`
+    SELECT sls.sublineid, s.id AS stop_id, s.cod AS stop_cod, s.lat AS stop_lat, s.lon AS stop_lon, s.nam AS stop_nam, s.ref AS stop_ref, sls.stoporder AS stop_order
+    FROM "SubLineStop" sls
+    JOIN "Stop" s ON sls.stopid = s.id
+    ORDER BY sls.sublineid, sls.stoporder ASC
+  `);
+
+  const lines = new Map(linesResult.rows.map(row => [row.id, { id: row.id, cod: row.cod, nam: row.nam }]));
+  const sublines = new Map();
+  const sublinesByLine = new Map();
+  sublinesResult.rows.forEach(row => {
+    const line = lines.get(row.lineid);
+    sublines.set(row.id, {
+      id: row.id,
+      lineId: row.lineid,
+      lineCod: line ? line.cod : null,
+      lineNam: line ? line.nam : null,
+      cod: row.cod,
+      nam: row.nam,
+      main: Boolean(row.main),
+    });
+    if (!sublinesByLine.has(row.lineid)) {
+      sublinesByLine.set(row.lineid, []);
+    }
+    sublinesByLine.get(row.lineid).push(row.id);
+  });
+
+  // Key: subline id, Value: stops in stoporder (same fields as getOrderedStopsForRouteSublines used to return)
+  const stopsBySubline = new Map();
+  // Key: stop id, Value: ids of the sublines serving it
+  const sublinesByStop = new Map();
+  stopsResult.rows.forEach(row => {
+    if (!stopsBySubline.has(row.sublineid)) {
+      stopsBySubline.set(row.sublineid, []);
+    }
+    stopsBySubline.get(row.sublineid).push({
+      id: row.stop_id,
+      cod: row.stop_cod,
+      lat: row.stop_lat,
+      lon: row.stop_lon,
+      nam: row.stop_nam,
+      ref: row.stop_ref,
+      order: row.stop_order,
+    });
+    if (!sublinesByStop.has(row.stop_id)) {
+      sublinesByStop.set(row.stop_id, []);
+    }
+    const servingSublines = sublinesByStop.get(row.stop_id);
+    if (!servingSublines.includes(row.sublineid)) {
+      servingSublines.push(row.sublineid);
+    }
+  });
+
+  // Key: subline id, Value: shape (see shapeService) or null if the subline has no KML
+  const shapes = new Map();
+  sublines.forEach(subline => {
+    try {
+      const shape = getShapeBySublineCod(subline.cod);
+      shapes.set(subline.id, shape ? { sublineId: subline.id, ...shape } : null);
+    } catch (error) {
+      console.error(`[NetworkCache] Error loading the shape of subline ${subline.id}:`, error);
+      shapes.set(subline.id, null);
+    }
+  });
+
+  return { fingerprint, version, loadedAt: new Date(), lines, sublines, sublinesByLine, stopsBySubline, sublinesByStop, shapes };
+}
+
+/**
+ * Returns the cached network, loading it first if needed.
+ * @returns {Promise<object>}
+ */
+async function getNetwork() {
+  if (!network) {
+    await (loading || refreshNetworkCache('first use')); // Any load will do: there is nothing cached yet
+  }
+  return network;
+}
+
+// --- Refreshing ---
+
+/**
+ * Reloads the network from the database and the KML files. A reload already in progress may have read the network
+ * before the caller's change: another one is queued after it, shared by every call made in the meantime.
+ * @param {string} reason - For the logs.
+ * @returns {Promise<{version: number, lines: number, sublines: number, stops: number, loadedAt: Date}>} Once the
+ *   network is loaded as it was at the time of the call, or later.
+ */
+function refreshNetworkCache(reason) {
+  if (loading) {
+    if (!queuedRefresh) {
+      queuedRefresh = loading.catch(() => {}).then(() => {
+        queuedRefresh = null;
+        return refreshNetworkCache(reason);
+      });
+    }
+    return queuedRefresh;
+  }
+  loading = (async () => {
+    const fingerprint = await computeNetworkFingerprint();
+    network = await loadNetwork(fingerprint, network ? network.version + 1 : 1);
+    const summary = getNetworkSummary();
+    console.log(`[NetworkCache] Loaded ${summary.lines} line(s), ${summary.sublines} subline(s) and ${summary.stops} stop(s) (version ${summary.version}, ${reason}).`);
+    return summary;
+  })().finally(() => {
+    loading = null;
+  });
+  return loading;
+}
+
+/**
+ * Reloads the network after a change made through the API (e.g. a GTFS import), here and on the other instances.
+ * @param {string} reason
+ * @returns {Promise<object>} See refreshNetworkCache.
+ */
+async function notifyNetworkChanged(reason) {
+  const summary = await refreshNetworkCache(reason);
+  publish('network-changed', { reason });
+  return summary;
+}
+
+/**
+ * Reloads the network if its tables or KML files changed since it was loaded.
+ * @returns {Promise<boolean>} Whether it was reloaded.
+ */
+async function checkForNetworkChanges() {
+  if (network && await computeNetworkFingerprint() === network.fingerprint) {
+    return false;
+  }
+  await refreshNetworkCache('network changed');
+  return true;
+}
+
+/**
+ * Returns the size and version of the cached network (null before the first load).
+ * @returns {{version: number, lines: number, sublines: number, stops: number, loadedAt: Date}|null}
+ */
+function getNetworkSummary() {
+  if (!network) {
+    return null;
+  }
+  return {
+    version: network.version,
+    lines: network.lines.size,
+    sublines: network.sublines.size,
+    stops: network.sublinesByStop.size,
+    loadedAt: network.loadedAt,
+  };
+}
+
+/**
+ * Returns the fingerprint of the cached network (tables, timetables and KML files), loading it first if needed.
+ * It is the same on every instance and only changes when the network does (see checkForNetworkChanges).
+ * @returns {Promise<string>}
+ */
+async function getNetworkFingerprint() {
+  return (await getNetwork()).fingerprint;
+}
+
+/**
+ * Returns the version of the cached network: it changes on every reload, so callers holding on to stops or
+ * shapes can tell when to look them up again.
+ * @returns {number} 0 before the first load.
+ */
+function getNetworkVersion() {
+  return network ? network.version : 0;
+}
+
+// --- Lookups ---
+// Ids are normalized with Number(): driver payloads and query strings may carry them as strings.
+
+/**
+ * @param {number|string} lineId - RouteLine id.
+ * @returns {Promise<{id: number, cod: string, nam: string}|null>}
+ */
+async function getLine(lineId) {
+  return (await getNetwork()).lines.get(Number(lineId)) || null;
+}
+
+/**
+ * @param {number|string} sublineId
+ * @returns {Promise<{id: number, lineId: number, lineCod: string, lineNam: string, cod: string, nam: string, main: boolean}|null>}
+ */
+async function getSubline(sublineId) {
+  return (await getNetwork()).sublines.get(Number(sublineId)) || null;
+}
+
+/**
+ * @param {number|string} lineId
+ * @returns {Promise<Array<object>>} The line's sublines (see getSubline), by id.
+ */
+async function getSublinesOfLine(lineId) {
+  const { sublinesByLine, sublines } = await getNetwork();
+  return (sublinesByLine.get(Number(lineId)) || []).map(sublineId => sublines.get(sublineId));
+}
+
+/**
+ * Returns the ordered stops of every subline of a line.
+ * @param {number|string} lineId
+ * @returns {Promise<Map<number, Array<object>>>} Map of subline id -> stops in stoporder (sublines without stops are left out).
+ */
+async function getStopsForLineSublines(lineId) {
+  const { sublinesByLine, stopsBySubline } = await getNetwork();
+  const stopsMap = new Map();
+  (sublinesByLine.get(Number(lineId)) || []).forEach(sublineId => {
+    if (stopsBySubline.has(sublineId)) {
+      stopsMap.set(sublineId, stopsBySubline.get(sublineId));
+    }
+  });
+  return stopsMap;
+}
+
+/**
+ * @param {number|string} sublineId
+ * @returns {Promise<Array<object>>} The subline's stops in stoporder (empty if unknown). Shared: do not modify.
+ */
+async function getStopsForSubline(sublineId) {
+  return (await getNetwork()).stopsBySubline.get(Number(sublineId)) || [];
+}
+
+/**
+ * @param {number|string} stopId - Stop id.
+ * @returns {Promise<Array<number>>} Ids of the sublines serving the stop.
+ */
+async function getSublinesServingStop(stopId) {
+  return (await getNetwork()).sublinesByStop.get(Number(stopId)) || [];
+}
+
+/**
+ * @param {number|string} sublineId
+ * @returns {Promise<object|null>} The subline's shape (see shapeService.getShapeForSubline), or null if it has no KML.
+ */
+async function getSublineShape(sublineId) {
+  return (await getNetwork()).shapes.get(Number(sublineId)) || null;
+}
+
+// --- Initialization and Teardown ---
+
+function startNetworkCache() {
+  if (checkTimer) {
+    return;
+  }
+  if (!remoteHandlerRegistered) { // Changes made through another instance
+    onEvent('network-changed', ({ reason }, origin) => {
+      if (origin !== INSTANCE_ID) {
+        refreshNetworkCache(`${reason} on instance ${origin}`).catch(error => console.error('[NetworkCache] Error reloading the network:', error));
+      }
+    });
+    remoteHandlerRegistered = true;
+  }
+  refreshNetworkCache('startup').catch(error => console.error('[NetworkCache] Error loading the network:', error));
+  checkTimer = setInterval(() => {
+    checkForNetworkChanges().catch(error => console.error('[NetworkCache] Error checking the network for changes:', error));
+  }, NETWORK_CHECK_INTERVAL_MS);
+}
+
+function stopNetworkCache() {
+  if (checkTimer) {
+    clearInterval(checkTimer);
+    checkTimer = null;
+  }
+}
+
+module.exports = {
+  computeTablesFingerprint,
+  refreshNetworkCache,
+  notifyNetworkChanged,
+  checkForNetworkChanges,
+  getNetworkSummary,
+  getNetworkVersion,
+  getNetworkFingerprint,
+  getLine,
+  getSubline,
+  getSublinesOfLine,
+  getStopsForLineSublines,
+  getStopsForSubline,
+  getSublinesServingStop,
+  getSublineShape,
+  startNetworkCache,
+  stopNetworkCache,
+};
@@ -0,0 +1,161 @@
+// src/services/occupancyService.js
+const { pool } = require('../config/database');
+
+// --- Configuration ---
+const DEFAULT_SEATED_CAPACITY = 30; // Used when a bus is not in the "Bus" table
+const DEFAULT_STANDING_CAPACITY = 20;
+const CAPACITY_CACHE_TTL_MS = 10 * 60 * 1000; // Capacity changes in "Bus" are picked up after at most this long
+
+// GTFS-Realtime VehiclePosition.OccupancyStatus names, from least to most crowded
+const OCCUPANCY_STATUSES = [
+  'EMPTY',
+  'MANY_SEATS_AVAILABLE',
+  'FEW_SEATS_AVAILABLE',
+  'STANDING_ROOM_ONLY',
+  'CRUSHED_STANDING_ROOM_ONLY',
+  'FULL',
+  'NOT_ACCEPTING_PASSENGERS',
+];
+
+// --- In-Memory State ---
+// Key: busId, Value: { seated, standing, loadedAt }
+const capacityCache = new Map();
+
+// --- Capacity ---
+
+/**
+ * Returns the seated and standing capacity of a bus, from "Bus" (cached for CAPACITY_CACHE_TTL_MS).
+ * Unknown buses, and any database error, get the default capacity.
+ * @param {string|number} busId - "Bus".id, as sent by the driver app.
+ * @returns {Promise<{seated: number, standing: number}>}
+ */
+async function getBusCapacity(busId) {
+  const cached = capacityCache.get(String(busId));
+  if (cached && Date.now() - cached.loadedAt < CAPACITY_CACHE_TTL_MS) {
+    return { seated: cached.seated, standing: cached.standing };
+  }
+
+  let capacity = { seated: DEFAULT_SEATED_CAPACITY, standing: DEFAULT_STANDING_CAPACITY };
+  try {
+    const result = await pool.query('SELECT seated_capacity, standing_capacity FROM "Bus" WHERE id::text = $1', [String(busId)]);
+    if (result.rows.length > 0) {
+      capacity = { seated: result.rows[0].seated_capacity, standing: result.rows[0].standing_capacity };
+    } else {
+      console.log(`[Occupancy] Bus ${busId} not found in "Bus", using the default capacity.`);
+    }
+  } catch (error) {
+    console.error(`[DB Error] Error fetching capacity of bus ${busId}:`, error);
+  }
+  capacityCache.set(String(busId), { ...capacity, loadedAt: Date.now() });
+  return capacity;
+}
+
+// --- Occupancy Reports ---
+
+/**
+ * Creates the occupancy state of a bus (nothing reported yet).
+ * @returns {{passengers: number|null, reportedStatus: string|null, updatedAt: string|null}}
+ */
+function createOccupancy() {
+  return { passengers: null, reportedStatus: null, updatedAt: null };
+}
+
+/**
+ * Validates an occupancy report from the driver app. A report carries boarding/alighting counts, an absolute
+ * passenger count, an occupancy level (an OCCUPANCY_STATUSES name), or a combination of them.
+ * @param {object} report - e.g. { boarding: 3, alighting: 1 }, { passengers: 42 } or { occupancy: 'FULL' }.
+ * @returns {string|null} An error message, or null if the report is valid.
+ */
+function validateOccupancyReport(report) {
+  const isCount = (value) => Number.isInteger(value) && value >= 0;
+  for (const field of ['boarding', 'alighting', 'passengers']) {
+    if (report[field] !== undefined && !isCount(report[field])) {
+      return `'${field}' must be a non-negative integer`;
+    }
+  }
+  if (report.occupancy !== undefined && !OCCUPANCY_STATUSES.includes(String(report.occupancy).toUpperCase())) {
+    return `'occupancy' must be one of ${OCCUPANCY_STATUSES.join(', ')}`;
+  }
+  if (report.boarding === undefined && report.alighting === undefined && report.passengers === undefined && report.occupancy === undefined) {
+    return "An occupancy report needs 'boarding'/'alighting', 'passengers' or 'occupancy'";
+  }
+  return null;
+}
+
+/**
+ * Applies a validated occupancy report to a bus's occupancy state.
+ * An absolute count replaces the current one, boarding/alighting counts adjust it (never below zero).
+ * A reported level overrides the level derived from the counts until the next report with counts only.
+ * @param {object} occupancy - The bus's occupancy state (see createOccupancy), updated in place.
+ * @param {object} report - See validateOccupancyReport.
+ * @param {string} timestamp - ISO timestamp of the report.
+ */
+function applyOccupancyReport(occupancy, report, timestamp) {
+  if (report.passengers !== undefined) {
+    occupancy.passengers = report.passengers;
+  }
+  if (report.boarding !== undefined || report.alighting !== undefined) {
+    occupancy.passengers = Math.max(0, (occupancy.passengers || 0) + (report.boarding || 0) - (report.alighting || 0));
+  }
+  occupancy.reportedStatus = report.occupancy !== undefined ? String(report.occupancy).toUpperCase() : null;
+  occupancy.updatedAt = timestamp;
+}
+
+/**
+ * Returns the occupancy status of a bus: the level reported by the driver, or one derived from the passenger
+ * count and the capacity of the bus.
+ * @param {object} occupancy - The bus's occupancy state.
+ * @param {{seated: number, standing: number}} capacity
+ * @returns {string|null} An OCCUPANCY_STATUSES name, or null if nothing was reported.
+ */
+function getOccupancyStatus(occupancy, capacity) {
+  if (occupancy.reportedStatus) {
+    return occupancy.reportedStatus;
+  }
+  if (occupancy.passengers === null) {
+    return null;
+  }
+  const passengers = occupancy.passengers;
+  const total = capacity.seated + capacity.standing;
+  if (passengers === 0) {
+    return 'EMPTY';
+  }
+  if (passengers < capacity.seated / 2) {
+    return 'MANY_SEATS_AVAILABLE';
+  }
+  if (passengers < capacity.seated) {
+    return 'FEW_SEATS_AVAILABLE';
+  }
+  if (passengers < capacity.seated + capacity.standing * 0.8) {
+    return 'STANDING_ROOM_ONLY';
+  }
+  return passengers < total ? 'CRUSHED_STANDING_ROOM_ONLY' : 'FULL';
+}
+
+/**
+ * Builds the 'bus' block of the realtime messages (esta-info) from a bus's occupancy and capacity.
+ * @param {object|null} occupancy - The bus's occupancy state.
+ * @param {{seated: number, standing: number}|null} capacity - The bus's capacity, null for the default one.
+ * @returns {{pas: number|null, cap: number, cap_seated: number, cap_standing: number, occ: string|null}}
+ */
+function buildBusOccupancyInfo(occupancy, capacity) {
+  const busCapacity = capacity || { seated: DEFAULT_SEATED_CAPACITY, standing: DEFAULT_STANDING_CAPACITY };
+  const busOccupancy = occupancy || createOccupancy();
+  return {
+    pas: busOccupancy.passengers, // Passengers on board, null if the driver has not reported counts
+    cap: busCapacity.seated + busCapacity.standing,
+    cap_seated: busCapacity.seated,
+    cap_standing: busCapacity.standing,
+    occ: getOccupancyStatus(busOccupancy, busCapacity), // GTFS-Realtime OccupancyStatus name, null if unknown
+  };
+}
+
+module.exports = {
+  OCCUPANCY_STATUSES,
+  getBusCapacity,
+  createOccupancy,
+  validateOccupancyReport,
+  applyOccupancyReport,
+  getOccupancyStatus,
+  buildBusOccupancyInfo,
+};
@@ -0,0 +1,291 @@
+// src/services/positionHistoryService.js
+const { pool } = require('../config/database');
+const { simplifyPath } = require('../utils/geo');
+const { buildLineStringKml } = require('../utils/kml');
+const { buildTrackGpx } = require('../utils/gpx');
+
+// --- Configuration ---
+const RETENTION_DAYS = parseInt(process.env.POSITION_HISTORY_RETENTION_DAYS) || 30; // Positions older than this are dropped
+const PARTITION_DAYS_AHEAD = 2; // Daily partitions created in advance
+const MAINTENANCE_INTERVAL_MS = 60 * 60 * 1000; // How often partitions are created and expired
+const FLUSH_INTERVAL_MS = 1000; // Positions are written in batches at most this long after they were processed
+const FLUSH_MAX_ROWS = 500; // ... or as soon as this many are waiting
+const TRACK_DEFAULT_MAX_POINTS = 2000; // Longer tracks are downsampled (see getTrack)
+const TRACK_MAX_POINTS = 10000;
+
+// --- In-Memory State ---
+let pendingRows = []; // Positions waiting to be written (see recordPosition)
+let flushTimer = null;
+let lastWrite = Promise.resolve(); // Writes run one after the other: waiting for the last one waits for them all
+let maintenanceTimer = null;
+
+// --- Helper Functions ---
+
+/**
+ * Returns the name of the daily partition holding a UTC day.
+ * @param {Date} day - Any time in the day.
+ * @returns {string} e.g. 'VehiclePosition_20261019'
+ */
+function getPartitionName(day) {
+  return `VehiclePosition_${day.toISOString().substring(0, 10).replace(/-/g, '')}`;
+}
+
+/**
+ * Creates the daily partitions from yesterday (late batch uploads) to PARTITION_DAYS_AHEAD days from now.
+ * A day whose positions already landed in the default partition keeps them there: the partition cannot be created.
+ */
+async function createPartitions() {
+  const today = new Date(`${new Date().toISOString().substring(0, 10)}T00:00:00Z`);
+  for (let offset = -1; offset <= PARTITION_DAYS_AHEAD; offset++) {
+    const from = new Date(today.getTime() + offset * 24 * 3600 * 1000);
+    const to = new Date(from.getTime() + 24 * 3600 * 1000);
+    try {
+      await pool.query(`CREATE TABLE IF NOT EXISTS "${getPartitionName(from)}" PARTITION OF "VehiclePosition" FOR VALUES FROM ('${from.toISOString()}') TO ('${to.toISOString()}')`);
+    } catch (error) {
+      console.error(`[PositionHistory] Error creating partition ${getPartitionName(from)}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Drops the daily partitions entirely older than RETENTION_DAYS, and deletes the old rows of the default partition.
+ * @returns {Promise<number>} The number of partitions dropped.
+ */
+async function expireOldPositions() {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 3600 * 1000);
+  const partitions = await pool.query(`
+    SELECT c.relname
+    FROM pg_inherits i
+    JOIN pg_class c ON c.oid = i.inhrelid
+    JOIN pg_class p ON p.oid = i.inhparent
+    WHERE p.relname = 'VehiclePosition'
+  `);
+  let dropped = 0;
+  for (const { relname } of partitions.rows) {
+    const match = relname.match(/^VehiclePosition_(\d{4})(\d{2})(\d{2})$/);
+    if (!match) {
+      continue; // The default partition
+    }
+    const dayEnd = new Date(`${match[1]}-${match[2]}-${match[3]}T00:00:00Z`).getTime() + 24 * 3600 * 1000;
+    if (dayEnd <= cutoff.getTime()) {
+      await pool.query(`DROP TABLE IF EXISTS "${relname}"`);
+      dropped++;
+    }
+  }
+  await pool.query('DELETE FROM "VehiclePosition_default" WHERE recorded_at < $1', [cutoff]);
+  if (dropped > 0) {
+    console.log(`[PositionHistory] Dropped ${dropped} partition(s) older than ${RETENTION_DAYS} day(s).`);
+  }
+  return dropped;
+}
+
+async function maintainPartitions() {
+  await createPartitions();
+  await expireOldPositions();
+}
+
+/**
+ * Names a track in its GPX and KML documents.
+ * @param {object} track - Output of getTrack.
+ * @returns {string} e.g. 'Bus_12_20261019T0800Z_20261019T1000Z'
+ */
+function getTrackName(track) {
+  const compact = date => date.toISOString().substring(0, 16).replace(/[-:]/g, '') + 'Z';
+  return `Bus_${track.busId}_${compact(track.from)}_${compact(track.to)}`;
+}
+
+// --- Recording ---
+
+/**
+ * Writes positions in one statement. Positions already stored (same bus and timestamp, e.g. a batch uploaded twice)
+ * are skipped.
+ * @param {Array<object>} rows - See recordPosition.
+ * @returns {Promise<number>} The number of positions stored.
+ */
+async function insertPositions(rows) {
+  try {
+    const numberOrNull = value => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+    const result = await pool.query(`
+      INSERT INTO "VehiclePosition" (bus_id, route_id, driver_id, source, lat, lng, velocity, accuracy, heading, altitude, recorded_at)
+      SELECT row.bus_id, row.route_id, row.driver_id, row.source, row.lat, row.lng, row.velocity, row.accuracy, row.heading, row.altitude, to_timestamp(row.ms / 1000.0)
+      FROM unnest($1::text[], $2::integer[], $3::integer[], $4::text[], $5::double precision[], $6::double precision[],
+                  $7::real[], $8::real[], $9::real[], $10::real[], $11::bigint[])
+        AS row(bus_id, route_id, driver_id, source, lat, lng, velocity, accuracy, heading, altitude, ms)
+      ON CONFLICT (bus_id, recorded_at) DO NOTHING
+    `, [
+      rows.map(row => String(row.busId)),
+      rows.map(row => numberOrNull(Number(row.routeId))),
+      rows.map(row => numberOrNull(row.driverId)),
+      rows.map(row => row.source),
+      rows.map(row => row.lat),
+      rows.map(row => row.lng),
+      ...['velocity', 'accuracy', 'heading', 'altitude'].map(field => rows.map(row => numberOrNull(row[field]))),
+      rows.map(row => row.timestampMs),
+    ]);
+    return result.rowCount;
+  } catch (error) {
+    console.error(`[DB Error] Error recording ${rows.length} position(s):`, error);
+    return 0;
+  }
+}
+
+/**
+ * Writes the positions waiting in pendingRows, after the writes already in progress.
+ * @returns {Promise<number>} The number of positions stored.
+ */
+function flushPositions() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  const rows = pendingRows;
+  pendingRows = [];
+  const write = lastWrite.then(() => (rows.length > 0 ? insertPositions(rows) : 0));
+  lastWrite = write;
+  return write;
+}
+
+/**
+ * Queues a position for the history. Writes are batched and fire-and-forget: a failed insert is logged and must
+ * never hold up realtime processing.
+ * @param {object} position - As sent by the driver app, unfiltered: { busId, routeId, driverId, lat, lng, velocity,
+ *   accuracy, heading, altitude, timestampMs, source ('live' or 'batch') }.
+ */
+function recordPosition(position) {
+  pendingRows.push(position);
+  if (pendingRows.length >= FLUSH_MAX_ROWS) {
+    flushPositions();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flushPositions, FLUSH_INTERVAL_MS);
+  }
+}
+
+// --- Tracks ---
+
+/**
+ * Returns the positions of a bus between two dates, oldest first. Windows with more than maxPoints positions are
+ * downsampled to the first position of each of maxPoints equal time buckets.
+ * @param {string|number} busId
+ * @param {Date} from
+ * @param {Date} to
+ * @param {number} [maxPoints=TRACK_DEFAULT_MAX_POINTS] - At most TRACK_MAX_POINTS.
+ * @returns {Promise<{busId: string, from: Date, to: Date, totalPoints: number, points: Array<{lat: number, lng: number, time: Date, velocity: number|null, altitude: number|null}>}>}
+ */
+async function getTrack(busId, from, to, maxPoints = TRACK_DEFAULT_MAX_POINTS) {
+  const limit = Math.min(maxPoints, TRACK_MAX_POINTS);
+  const countResult = await pool.query(
+    'SELECT COUNT(*)::integer AS count FROM "VehiclePosition" WHERE bus_id = $1 AND recorded_at >= $2 AND recorded_at < $3',
+    [String(busId), from, to]
+  );
+  const totalPoints = countResult.rows[0].count;
+
+  const columns = 'lat, lng, recorded_at, velocity, altitude';
+  const result = totalPoints <= limit
+    ? await pool.query(
+      `SELECT ${columns} FROM "VehiclePosition" WHERE bus_id = $1 AND recorded_at >= $2 AND recorded_at < $3 ORDER BY recorded_at`,
+      [String(busId), from, to]
+    )
+    : await pool.query(`
+      SELECT ${columns} FROM (
+        SELECT DISTINCT ON (floor(extract(epoch FROM recorded_at - $2::timestamptz) / $4)) ${columns}
+        FROM "VehiclePosition"
+        WHERE bus_id = $1 AND recorded_at >= $2 AND recorded_at < $3
+        ORDER BY floor(extract(epoch FROM recorded_at - $2::timestamptz) / $4), recorded_at
+      ) bucketed
+      ORDER BY recorded_at
+    `, [String(busId), from, to, (to.getTime() - from.getTime()) / 1000 / limit]);
+
+  return {
+    busId: String(busId),
+    from,
+    to,
+    totalPoints,
+    points: result.rows.map(row => ({
+      lat: row.lat,
+      lng: row.lng,
+      time: row.recorded_at,
+      velocity: row.velocity,
+      altitude: row.altitude,
+    })),
+  };
+}
+
+/**
+ * Formats a track as a GeoJSON Feature with a LineString geometry (times in properties.coordTimes, as togeojson does).
+ * @param {object} track - Output of getTrack.
+ * @param {number} [toleranceMeters] - Optional Douglas-Peucker tolerance for server-side simplification.
+ * @returns {object} GeoJSON Feature.
+ */
+function trackToGeoJson(track, toleranceMeters) {
+  const points = toleranceMeters > 0 ? simplifyPath(track.points, toleranceMeters) : track.points;
+  return {
+    type: 'Feature',
+    geometry: {
+      type: 'LineString',
+      coordinates: points.map(point => [point.lng, point.lat]), // GeoJSON order is [lon, lat]
+    },
+    properties: {
+      bus_id: track.busId,
+      from: track.from.toISOString(),
+      to: track.to.toISOString(),
+      coordTimes: points.map(point => point.time.toISOString()),
+      points: points.length,
+      recorded_points: track.totalPoints,
+      tolerance_meters: toleranceMeters > 0 ? toleranceMeters : null,
+    },
+  };
+}
+
+/**
+ * Formats a track as a GPX 1.1 document.
+ * @param {object} track - Output of getTrack.
+ * @param {number} [toleranceMeters]
+ * @returns {string}
+ */
+function trackToGpx(track, toleranceMeters) {
+  const points = toleranceMeters > 0 ? simplifyPath(track.points, toleranceMeters) : track.points;
+  return buildTrackGpx(getTrackName(track), points);
+}
+
+/**
+ * Formats a track as a KML LineString, in the layout of the files under src/routePaths.
+ * @param {object} track - Output of getTrack.
+ * @param {number} [toleranceMeters]
+ * @returns {string}
+ */
+function trackToKml(track, toleranceMeters) {
+  const points = toleranceMeters > 0 ? simplifyPath(track.points, toleranceMeters) : track.points;
+  return buildLineStringKml(getTrackName(track), points, `track_${track.busId}`);
+}
+
+// --- Initialization and Teardown ---
+
+function startPositionHistory() {
+  if (maintenanceTimer) {
+    return;
+  }
+  const runMaintenance = () => maintainPartitions().catch(error => console.error('[PositionHistory] Error maintaining the position history partitions:', error));
+  runMaintenance();
+  maintenanceTimer = setInterval(runMaintenance, MAINTENANCE_INTERVAL_MS);
+  console.log(`[PositionHistory] Keeping vehicle positions for ${RETENTION_DAYS} day(s).`);
+}
+
+/**
+ * Stops the maintenance and writes the positions still waiting.
+ * @returns {Promise<number>} Once every position recorded so far is written.
+ */
+function stopPositionHistory() {
+  clearInterval(maintenanceTimer);
+  maintenanceTimer = null;
+  return flushPositions();
+}
+
+module.exports = {
+  recordPosition,
+  flushPositions,
+  expireOldPositions,
+  getTrack,
+  trackToGeoJson,
+  trackToGpx,
+  trackToKml,
+  startPositionHistory,
+  stopPositionHistory,
+};
@@ -0,0 +1,206 @@
+// src/services/pubsubService.js
+const os = require('os');
+const { pool } = require('../config/database');
+
+// --- Configuration ---
+// REALTIME_PUBSUB selects how realtime events (passenger messages, bus states, driver sessions) reach the other
+// API instances behind the load balancer:
+//   memory    (default) a single instance: events are only delivered inside this process
+//   postgres  events are also sent with NOTIFY and received with LISTEN by every instance using the same database.
+//             LISTEN needs a session connection: DB_HOST must not be a transaction-mode pooler.
+const PUBSUB_ADAPTER = (process.env.REALTIME_PUBSUB || 'memory').toLowerCase();
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}:${process.pid}`; // Tags the events this instance sends
+const PG_CHANNEL = 'realtime_events';
+const PG_MAX_NOTIFY_BYTES = 7900; // NOTIFY payloads must stay under 8000 bytes; larger events go through "RealtimeMessage"
+const PG_MESSAGE_RETENTION_MINUTES = 5; // "RealtimeMessage" rows are only read right after their notification
+const PG_RECONNECT_DELAY_MS = 5000;
+const PG_CLEANUP_INTERVAL_MS = 60 * 1000;
+
+// --- In-Memory State ---
+// Key: channel, Value: Array of handlers, called with (data, originInstanceId)
+const handlersByChannel = new Map();
+
+// --- Helper Functions ---
+
+/**
+ * Hands an event to the handlers of its channel in this process.
+ * @param {string} channel
+ * @param {*} data
+ * @param {string} origin - INSTANCE_ID of the instance that published it.
+ */
+function deliver(channel, data, origin) {
+  (handlersByChannel.get(channel) || []).forEach(handler => {
+    try {
+      handler(data, origin);
+    } catch (error) {
+      console.error(`[PubSub] Error handling a '${channel}' event:`, error);
+    }
+  });
+}
+
+// --- Adapters ---
+// An adapter sends the events published in this process to the other instances, and hands theirs to deliver().
+
+function createMemoryAdapter() {
+  return {
+    name: 'memory',
+    async start() {},
+    async stop() {},
+    send() {}, // There are no other instances
+  };
+}
+
+function createPostgresAdapter() {
+  let listenClient = null;
+  let reconnectTimer = null;
+  let cleanupTimer = null;
+  let stopped = true;
+
+  async function handleNotification(notification) {
+    try {
+      let event = JSON.parse(notification.payload);
+      if (event.origin === INSTANCE_ID) {
+        return; // Already delivered locally by publish()
+      }
+      if (event.ref) {
+        const result = await pool.query('SELECT payload FROM "RealtimeMessage" WHERE id = $1', [event.ref]);
+        if (result.rows.length === 0) {
+          console.warn(`[PubSub] Realtime message ${event.ref} from ${event.origin} no longer exists, dropping it.`);
+          return;
+        }
+        event = result.rows[0].payload;
+      }
+      deliver(event.channel, event.data, event.origin);
+    } catch (error) {
+      console.error('[PubSub] Error reading a Postgres notification:', error);
+    }
+  }
+
+  function scheduleReconnect() {
+    if (listenClient) {
+      listenClient.release(true); // Discard the broken connection
+      listenClient = null;
+    }
+    if (stopped || reconnectTimer) {
+      return;
+    }
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      listen();
+    }, PG_RECONNECT_DELAY_MS);
+  }
+
+  async function listen() {
+    try {
+      listenClient = await pool.connect();
+      listenClient.on('notification', handleNotification);
+      listenClient.on('error', error => {
+        console.error('[PubSub] Postgres LISTEN connection error, reconnecting:', error);
+        scheduleReconnect();
+      });
+      await listenClient.query(`LISTEN ${PG_CHANNEL}`);
+      console.log(`[PubSub] Listening for realtime events from other instances on '${PG_CHANNEL}' (instance ${INSTANCE_ID}).`);
+    } catch (error) {
+      console.error('[PubSub] Error starting Postgres LISTEN, retrying:', error);
+      scheduleReconnect();
+    }
+  }
+
+  function deleteOldMessages() {
+    pool.query('DELETE FROM "RealtimeMessage" WHERE created_at < now() - make_interval(mins => $1)', [PG_MESSAGE_RETENTION_MINUTES])
+      .catch(error => console.error('[PubSub] Error deleting old realtime messages:', error));
+  }
+
+  return {
+    name: 'postgres',
+    async start() {
+      stopped = false;
+      await listen();
+      cleanupTimer = setInterval(deleteOldMessages, PG_CLEANUP_INTERVAL_MS);
+    },
+    async stop() {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      clearInterval(cleanupTimer);
+      cleanupTimer = null;
+      if (listenClient) {
+        const client = listenClient;
+        listenClient = null;
+        await client.query(`UNLISTEN ${PG_CHANNEL}`).catch(() => {});
+        client.release();
+      }
+    },
+    send(channel, data) {
+      const payload = JSON.stringify({ origin: INSTANCE_ID, channel, data });
+      const sent = Buffer.byteLength(payload) <= PG_MAX_NOTIFY_BYTES
+        ? pool.query('SELECT pg_notify($1, $2)', [PG_CHANNEL, payload])
+        : pool.query('INSERT INTO "RealtimeMessage" (payload) VALUES ($1) RETURNING id', [payload])
+          .then(result => pool.query('SELECT pg_notify($1, $2)', [PG_CHANNEL, JSON.stringify({ origin: INSTANCE_ID, ref: result.rows[0].id })]));
+      sent.catch(error => console.error(`[PubSub] Error sending a '${channel}' event to the other instances:`, error));
+    },
+  };
+}
+
+let adapter;
+if (PUBSUB_ADAPTER === 'postgres') {
+  adapter = createPostgresAdapter();
+} else {
+  if (PUBSUB_ADAPTER !== 'memory') {
+    console.warn(`[PubSub] Unknown REALTIME_PUBSUB '${PUBSUB_ADAPTER}', using 'memory'.`);
+  }
+  adapter = createMemoryAdapter();
+}
+
+// --- Publishing and Handling Events ---
+
+/**
+ * Publishes an event: the handlers of this process get it right away, those of the other instances through the adapter.
+ * @param {string} channel - e.g. 'broadcast', 'bus-state', 'driver-session'.
+ * @param {*} data - Must survive JSON serialization.
+ */
+function publish(channel, data) {
+  deliver(channel, data, INSTANCE_ID);
+  adapter.send(channel, data);
+}
+
+/**
+ * Publishes an event to this process only (e.g. to tell local clients about a bus whose instance went away).
+ * @param {string} channel
+ * @param {*} data
+ */
+function publishLocal(channel, data) {
+  deliver(channel, data, INSTANCE_ID);
+}
+
+/**
+ * Registers a handler for the events of a channel, published by any instance (this one included).
+ * @param {string} channel
+ * @param {function(*, string): void} handler - Called with (data, originInstanceId); compare it with INSTANCE_ID to skip own events.
+ */
+function onEvent(channel, handler) {
+  if (!handlersByChannel.has(channel)) {
+    handlersByChannel.set(channel, []);
+  }
+  handlersByChannel.get(channel).push(handler);
+}
+
+// --- Initialization and Teardown ---
+
+async function startPubSub() {
+  console.log(`[PubSub] Using the '${adapter.name}' realtime pub/sub adapter (instance ${INSTANCE_ID}).`);
+  await adapter.start();
+}
+
+async function stopPubSub() {
+  await adapter.stop();
+}
+
+module.exports = {
+  INSTANCE_ID,
+  publish,
+  publishLocal,
+  onEvent,
+  startPubSub,
+  stopPubSub,
+};
@@ -1,74 +1,76 @@
 // src/services/realtimeProcessor.js
-const { pool } = require('../config/database'); // Import your DB connection pool
+const { haversineDistance, calculateBearing, projectOntoPath } = require('../utils/geo');
+const { getAlongPathDistances } = require('./shapeService');
+const { getNetworkVersion, getSubline, getSublinesOfLine, getStopsForLineSublines, getStopsForSubline, getSublinesServingStop, getSublineShape } = require('./networkCache');
+const { recordStopArrival, recordStopDeparture, getSegmentTravelSeconds, startSegmentTimeRefresh, stopSegmentTimeRefresh } = require('./segmentTimeService');
+const { matchTripForStopVisit, getTripStopTime } = require('./scheduleService');
+const { getBusCapacity, createOccupancy, validateOccupancyReport, applyOccupancyReport, buildBusOccupancyInfo } = require('./occupancyService');
+const { INSTANCE_ID, publish, publishLocal, onEvent } = require('./pubsubService');
 
 // --- Configuration ---
-const PROCESSING_INTERVAL_MS = 5000; // How often to potentially send 'esta-info' or 'stop' messages
+const PROCESSING_INTERVAL_MS = 5000; // How often the stale-bus sweeper runs
+const BUS_STALE_AFTER_SECONDS = parseInt(process.env.BUS_STALE_AFTER_SECONDS) || 60; // Silence after which a bus is marked stale
+const BUS_EXPIRE_AFTER_SECONDS = parseInt(process.env.BUS_EXPIRE_AFTER_SECONDS) || 300; // Silence after which a bus is closed and forgotten
 
 // --- Constants for Direction Detection ---
 const MIN_SIGNALS_FOR_DIRECTION = 3; // Minimum number of recent signals needed
 const MIN_MOVEMENT_THRESHOLD_METERS = 1.0; // Minimum distance between points to consider for bearing calc
-const DIRECTION_MATCH_THRESHOLD_DEGREES = 45.0; // Max angle diff to consider a match
+const DIRECTION_MATCH_THRESHOLD_DEGREES = 45.0; // Angle diff at which a segment's bearing likelihood has dropped to e^-0.5
+const SUBLINE_MATCH_DISTANCE_SIGMA_METERS = 75; // Spread of the bus's distance to a stop-to-stop segment (segments cut corners)
+const SUBLINE_MATCH_MIN_PROGRESS_SIGMA_METERS = 50; // Min spread of the progress along a subline vs. the distance travelled
+const SUBLINE_MATCH_MIN_LIKELIHOOD = 0.01; // Below this the bus is too far from (or against) every subline to match any
+const SUBLINE_MAIN_PRIOR = 0.6; // Prior weight of a subline flagged 'main' (the regular service of its direction)
+const SUBLINE_BRANCH_PRIOR = 0.4; // Prior weight of a branch or short-turn variant
 const STOP_DETECTION_RADIUS_METERS = 50; // Radius to consider bus at a stop
-const STOP_DETECTION_MIN_TIME_SECONDS = 30; // Minimum time stationary to confirm a stop
+const STOP_DETECTION_MIN_TIME_SECONDS = 30; // Minimum time within the stop radius to confirm a stop (shorter visits are drive-throughs)
 const STOP_DEPARTURE_ADD_SECONDS = 30; // Seconds to add to arrival time for departure time
 
+// --- Constants for Subline Assignment (Hysteresis) ---
+const SUBLINE_SWITCH_MIN_FIXES = 3; // Consecutive matches for another subline before the bus is switched to it
+const SUBLINE_SWITCH_MIN_METERS = 100; // Distance the bus must travel while those matches accumulate
+const SUBLINE_CONFIDENCE_STEP = 0.25; // Confidence gained (or lost) per agreeing (or disagreeing) match
+const TERMINUS_LINK_RADIUS_METERS = 300; // Max distance between a subline's last stop and the next subline's first stop
+const TURNAROUND_CONFIDENCE = 0.5; // Confidence after a direction change triggered by a terminus arrival
+
+// --- Constants for Map-Matching / Off-Route Detection ---
+const ROUTE_CORRIDOR_METERS = parseFloat(process.env.ROUTE_CORRIDOR_METERS) || 60; // Max distance from the subline shape to count as on route
+const OFF_ROUTE_CONSECUTIVE_FIXES = 3; // Consecutive fixes outside the corridor before a bus is declared off route
+const ON_ROUTE_CONSECUTIVE_FIXES = 2; // Consecutive fixes inside the corridor before an off-route bus is back on route
+
+// --- Constants for ETA Estimation ---
+const MIN_LIVE_SPEED_MPS = 0.5; // Below this the bus is considered stopped and its live speed is ignored
+const LIVE_SPEED_WEIGHT = 0.3; // Weight of live speed vs learned segment time for the segment the bus is on
+
 // --- In-Memory Storage for Bus States ---
-// Key: busId, Value: Object containing history, rt_id, etc.
+// Key: busId, Value: Object containing history, rt_id, etc. Only the buses whose driver is connected to this instance.
 const activeBusStates = new Map();
+// Key: busId, Value: the last state published by the instance that processes the bus (see serializeBusState),
+// plus instanceId. Read together with activeBusStates through getAllBusStates().
+const remoteBusStates = new Map();
+// busState fields shared with the other instances ('bus-state' events). Caches (stops, shapes) are rebuilt by each instance.
+const SHARED_BUS_STATE_FIELDS = [
+  'lat', 'lng', 'velocity', 'heading', 'history', 'mainRtId', 'currentSublineRtId', 'lastProcessedSublineRtId', 'lastProcessedTimestamp',
+  'pathDistanceAlong', 'routeState', 'stopVisit', 'trip', 'delaySeconds', 'capacity', 'occupancy', 'lastSeenAt', 'stale',
+];
 
 // --- References to Passenger Connections and Broadcast Function (to be injected) ---
 let broadcastToRouteClientsFunction = null;
 
+// --- Lifecycle Timers ---
+let sweeperTimer = null;
+
 // --- Helper Functions ---
 
 /**
- * Calculates distance between two lat/lon points using Haversine formula.
- * @param {number} lat1
- * @param {number} lon1
- * @param {number} lat2
- * @param {number} lon2
- * @returns {number} Distance in meters
+ * Formats an estimated arrival time a number of seconds from now.
+ * @param {number|null} timeInSeconds - Estimated travel time in seconds (see estimateSecondsToStops).
+ * @returns {string|null} Estimated arrival time in 'YYYYMMDD HHmmss' format, or null if there is no estimate.
  */
-function haversineDistance(lat1, lon1, lat2, lon2) {
-  // Validate inputs to prevent NaN - CONVERT TO NUMBER FIRST if they might be strings
-  const numLat1 = typeof lat1 === 'string' ? parseFloat(lat1) : lat1;
-  const numLon1 = typeof lon1 === 'string' ? parseFloat(lon1) : lon1;
-  const numLat2 = typeof lat2 === 'string' ? parseFloat(lat2) : lat2;
-  const numLon2 = typeof lon2 === 'string' ? parseFloat(lon2) : lon2;
-
-  if (typeof numLat1 !== 'number' || typeof numLon1 !== 'number' || typeof numLat2 !== 'number' || typeof numLon2 !== 'number' ||
-      isNaN(numLat1) || isNaN(numLon1) || isNaN(numLat2) || isNaN(numLon2)) {
-    console.error('Invalid coordinates for haversineDistance (after conversion):', { lat1, lon1, lat2, lon2 });
-    console.error('Converted values:', { numLat1, numLon1, numLat2, numLon2 });
-    return NaN; // Or throw an error if preferred
+function formatEstimatedTime(timeInSeconds) {
+  if (timeInSeconds === null || timeInSeconds === undefined || !isFinite(timeInSeconds)) {
+    return null; // No estimate (e.g. bus not moving and no learned segment times)
   }
 
-  const R = 6371e3; // Earth's radius in meters
-  const φ1 = numLat1 * Math.PI / 180;
-  const φ2 = numLat2 * Math.PI / 180;
-  const Δφ = (numLat2 - numLat1) * Math.PI / 180;
-  const Δλ = (numLon2 - numLon1) * Math.PI / 180;
-
-  const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-          Math.cos(φ1) * Math.cos(φ2) *
-          Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-
-  return R * c; // Distance in meters
-}
-/**
- * Calculates an estimated arrival time based on distance and current velocity.
- * @param {number} distanceMeters - Distance to the destination in meters.
- * @param {number} velocityMps - Current velocity in meters per second.
- * @returns {string|null} Estimated arrival time in 'YYYYMMDD HHmmss' format, or null if velocity is 0.
- */
-function calculateEstimatedTime(distanceMeters, velocityMps) {
-  if (velocityMps <= 0) {
-    console.log('Cannot calculate estimated time: velocity is 0 or negative.');
-    return null; // Cannot estimate if not moving or moving backwards
-  }
-
-  const timeInSeconds = distanceMeters / velocityMps; // Time in seconds
   const estimatedDate = new Date(Date.now() + timeInSeconds * 1000); // Add time to current time
 
   // Format the date as 'YYYYMMDD HHmmss'
@@ -82,38 +84,55 @@ function calculateEstimatedTime(distanceMeters, velocityMps) {
   return `${year}${month}${day} ${hours}${minutes}${seconds}`;
 }
 /**
- * Calculates the initial bearing (forward azimuth) from point 1 to point 2.
- * @param {number} lat1
- * @param {number} lon1
- * @param {number} lat2
- * @param {number} lon2
- * @returns {number|null} Bearing in degrees (0-360) or null if invalid coordinates
- */
-function calculateBearing(lat1, lon1, lat2, lon2) {
-  // Convert to numbers if strings
-  const numLat1 = typeof lat1 === 'string' ? parseFloat(lat1) : lat1;
-  const numLon1 = typeof lon1 === 'string' ? parseFloat(lon1) : lon1;
-  const numLat2 = typeof lat2 === 'string' ? parseFloat(lat2) : lat2;
-  const numLon2 = typeof lon2 === 'string' ? parseFloat(lon2) : lon2;
-
-  // Validate inputs
-  if (typeof numLat1 !== 'number' || typeof numLon1 !== 'number' || typeof numLat2 !== 'number' || typeof numLon2 !== 'number' ||
-      isNaN(numLat1) || isNaN(numLon1) || isNaN(numLat2) || isNaN(numLon2)) {
-    console.error('Invalid coordinates for calculateBearing (after conversion):', { lat1, lon1, lat2, lon2 });
-    console.error('Converted values:', { numLat1, numLon1, numLat2, numLon2 });
-    return null;
-  }
-
-  const φ1 = numLat1 * Math.PI / 180;
-  const φ2 = numLat2 * Math.PI / 180;
-  const Δλ = (numLon2 - numLon1) * Math.PI / 180;
+ * Estimates the travel time from the bus to each upcoming stop of its subline.
+ *
+ * Each stop-to-stop segment uses its learned travel time (segmentTimeService) when there is enough history,
+ * and distance / live speed otherwise. On the segment the bus is on, the learned time is scaled to the
+ * remaining distance and blended with live speed (LIVE_SPEED_WEIGHT), so a bus waiting at a red light keeps
+ * a sensible ETA instead of an infinite one.
+ *
+ * @param {number} sublineId - The subline (rt_id).
+ * @param {Array<object>} stops - The subline's stops in stoporder ({lat, lon, order}).
+ * @param {number} firstIndex - Index of the next stop the bus will reach.
+ * @param {number} distanceToFirstStop - Distance in meters from the bus to stops[firstIndex].
+ * @param {Array<number>|null} stopDistancesAlong - Each stop's distance along the shape, or null to use straight lines between stops.
+ * @param {number} velocityMps - Current velocity in meters per second.
+ * @returns {Array<number|null>} Seconds to each stop, indexed like stops (null before firstIndex or when not estimable).
+ */
+function estimateSecondsToStops(sublineId, stops, firstIndex, distanceToFirstStop, stopDistancesAlong, velocityMps) {
+  const now = new Date();
+  const liveSpeed = velocityMps >= MIN_LIVE_SPEED_MPS ? velocityMps : null;
+  const seconds = new Array(stops.length).fill(null);
+  let totalSeconds = 0;
+
+  for (let i = firstIndex; i < stops.length; i++) {
+    const segmentLength = i === 0 ? 0 : stopDistancesAlong
+      ? stopDistancesAlong[i] - stopDistancesAlong[i - 1]
+      : haversineDistance(stops[i - 1].lat, stops[i - 1].lon, stops[i].lat, stops[i].lon);
+    const remainingMeters = i === firstIndex ? distanceToFirstStop : segmentLength;
+
+    const learnedSeconds = i === 0 ? null : getSegmentTravelSeconds(sublineId, stops[i - 1].order, stops[i].order, now);
+    const liveSeconds = liveSpeed ? remainingMeters / liveSpeed : null;
+
+    let segmentSeconds;
+    if (learnedSeconds !== null) {
+      // Only the remaining part of the segment the bus is on
+      const remainingFraction = i === firstIndex && segmentLength > 0 ? Math.min(1, remainingMeters / segmentLength) : 1;
+      segmentSeconds = learnedSeconds * remainingFraction;
+      if (i === firstIndex && liveSeconds !== null) {
+        segmentSeconds = LIVE_SPEED_WEIGHT * liveSeconds + (1 - LIVE_SPEED_WEIGHT) * segmentSeconds;
+      }
+    } else {
+      segmentSeconds = liveSeconds;
+    }
 
-  const y = Math.sin(Δλ) * Math.cos(φ2);
-  const x = Math.cos(φ1) * Math.sin(φ2) -
-          Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
-  const θ = Math.atan2(y, x);
-  let bearing = (θ * 180 / Math.PI + 360) % 360;
-  return bearing;
+    if (segmentSeconds === null) {
+      break; // Nothing to estimate this segment with, so no estimate for the stops after it either
+    }
+    totalSeconds += segmentSeconds;
+    seconds[i] = totalSeconds;
+  }
+  return seconds;
 }
 
 /**
@@ -181,72 +200,140 @@ function calculateAverageBearing(coordHistory) {
 }
 
 /**
- * Fetches the ordered list of stops and their coordinates for sublines associated with a given main RouteLine ID.
+ * Returns the ordered list of stops and their coordinates for sublines associated with a given main RouteLine ID
+ * (from the network cache).
  * @param {number} routeId - The ID of the main RouteLine (e.g., 3227).
- * @returns {Promise<Map<number, Array<{id: number, cod: string, lat: number, lon: number, nam: string, ref: string}>>|null>}
+ * @returns {Promise<Map<number, Array<{id: number, cod: string, lat: number, lon: number, nam: string, ref: string, order: number}>>|null>}
  *          A Map where the key is the subline ID (rt_id) and the value is the array of ordered stops for that subline,
  *          or null on error.
  */
 async function getOrderedStopsForRouteSublines(routeId) {
   try {
-    // Query to get all sublines for a given routeId and their associated ordered stops
-    const query = `
-      SELECT
-        sl.id AS subline_id,
-        s.id AS stop_id,
-        s.cod AS stop_cod,
-        s.lat AS stop_lat,
-        s.lon AS stop_lon,
-        s.nam AS stop_nam,
-        s.ref AS stop_ref,
-        sls.stoporder AS stop_order
-      FROM "SubLine" sl
-      JOIN "SubLineStop" sls ON sl.id = sls.sublineid
-      JOIN "Stop" s ON sls.stopid = s.id
-      WHERE sl.lineid = $1 -- Filter by the main RouteLine ID
-      ORDER BY sl.id ASC, sls.stoporder ASC; -- Order by subline first, then by stop order within each subline
-    `;
-    const result = await pool.query(query, [routeId]);
-
-    if (result.rows.length === 0) {
-      console.log(`[DB Query] No sublines or stops found for route ID ${routeId}.`);
-      return new Map(); // Return an empty map if no sublines exist for the route
-    }
-
-    // Organize the results into a Map: Key=subline_id, Value=array of stops for that subline
-    const sublineStopsMap = new Map();
-    for (const row of result.rows) {
-      const sublineId = row.subline_id;
-      const stopInfo = {
-        id: row.stop_id,
-        cod: row.stop_cod,
-        lat: row.stop_lat,
-        lon: row.stop_lon,
-        nam: row.stop_nam,
-        ref: row.stop_ref,
-        order: row.stop_order, // Include the order for reference
-      };
-
-      if (!sublineStopsMap.has(sublineId)) {
-        sublineStopsMap.set(sublineId, []);
-      }
-      sublineStopsMap.get(sublineId).push(stopInfo);
+    const sublineStopsMap = await getStopsForLineSublines(routeId);
+    if (sublineStopsMap.size === 0) {
+      console.log(`[NetworkCache] No sublines or stops found for route ID ${routeId}.`);
     }
-
-    console.log(`[DB Query] Retrieved stops for ${sublineStopsMap.size} subline(s) associated with route ID ${routeId}.`);
-    return sublineStopsMap; // Return the map of sublines -> stops
+    return sublineStopsMap; // Map of sublines -> stops
   } catch (error) {
-    console.error(`[DB Error] Error fetching stops for route ID ${routeId}:`, error);
+    console.error(`[NetworkCache] Error getting stops for route ID ${routeId}:`, error);
     return null;
   }
 }
 
 
+/**
+ * Fetches the 'main' flag of the sublines of a main route (true for the regular service of each direction,
+ * false for branches and short-turn variants).
+ * @param {number} routeId - The ID of the main RouteLine.
+ * @returns {Promise<Map<number, boolean>>} Map of subline ID -> main flag (empty on error).
+ */
+async function getSublineMainFlags(routeId) {
+  try {
+    const sublines = await getSublinesOfLine(routeId);
+    return new Map(sublines.map(subline => [subline.id, subline.main]));
+  } catch (error) {
+    console.error(`[NetworkCache] Error getting main flags for the sublines of route ID ${routeId}:`, error);
+    return new Map();
+  }
+}
+
+/**
+ * Builds the stop-to-stop path of a subline, used to match buses against it.
+ * @param {Array<{id: number, lat: number, lon: number}>} stopsOnSubline - The subline's stops in stoporder.
+ * @returns {{points: Array<{lat: number, lng: number}>, distances: Array<number>, lengthMeters: number, isLoop: boolean}}
+ *          isLoop is true when the first and last stop coincide (the bus runs the subline over and over).
+ */
+function buildStopPath(stopsOnSubline) {
+  const points = stopsOnSubline.map(stop => ({ lat: parseFloat(stop.lat), lng: parseFloat(stop.lon) }));
+  const distances = [0];
+  for (let i = 1; i < points.length; i++) {
+    distances.push(distances[i - 1] + haversineDistance(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng));
+  }
+  const first = stopsOnSubline[0];
+  const last = stopsOnSubline[stopsOnSubline.length - 1];
+  const isLoop = stopsOnSubline.length > 2 &&
+    (first.id === last.id || haversineDistance(points[0].lat, points[0].lng, points[points.length - 1].lat, points[points.length - 1].lng) <= STOP_DETECTION_RADIUS_METERS);
+  return { points, distances, lengthMeters: distances[distances.length - 1], isLoop };
+}
+
+/**
+ * Finds the segment of a stop path that best explains a bus fix, combining the distance to the segment and
+ * the difference between the segment's bearing and the bus's.
+ * @param {object} stopPath - Output of buildStopPath.
+ * @param {number} lat
+ * @param {number} lng
+ * @param {number} busBearing - Average bearing of the bus (degrees).
+ * @returns {{likelihood: number, distanceAlong: number, offsetMeters: number, angleDiff: number, segmentIndex: number}|null}
+ */
+function matchFixToStopPath(stopPath, lat, lng, busBearing) {
+  let best = null;
+  for (let i = 0; i < stopPath.points.length - 1; i++) {
+    const a = stopPath.points[i];
+    const b = stopPath.points[i + 1];
+    const segmentBearing = calculateBearing(a.lat, a.lng, b.lat, b.lng);
+    const projection = projectOntoPath(stopPath.points, stopPath.distances, lat, lng, { fromSegment: i, toSegment: i });
+    if (segmentBearing === null || !projection) {
+      continue; // Two stops at the same place
+    }
+    let angleDiff = Math.abs(busBearing - segmentBearing);
+    angleDiff = Math.min(angleDiff, 360 - angleDiff);
+    const likelihood = Math.exp(-0.5 * (projection.offsetMeters / SUBLINE_MATCH_DISTANCE_SIGMA_METERS) ** 2) *
+      Math.exp(-0.5 * (angleDiff / DIRECTION_MATCH_THRESHOLD_DEGREES) ** 2);
+    if (best === null || likelihood > best.likelihood) {
+      best = { likelihood, distanceAlong: projection.distanceAlong, offsetMeters: projection.offsetMeters, angleDiff, segmentIndex: i };
+    }
+  }
+  return best;
+}
+
+/**
+ * Scores how well a bus's recent history fits a subline. The score is the product of:
+ * - where the bus is: how well its oldest and newest fixes fit a segment of the subline (distance and bearing),
+ * - progress: how far it moved forward along the stop sequence compared with the distance it travelled
+ *   (moving backwards along a subline that shares the street in the other direction scores low).
+ * On loop sublines the progress wraps around, so a bus crossing the first/last stop keeps moving forward.
+ * @param {object} stopPath - Output of buildStopPath.
+ * @param {Array<{lat: number, lng: number}>} coordHistory - Recent fixes, oldest first.
+ * @param {number} busBearing - Average bearing of the bus (degrees).
+ * @returns {{likelihood: number, offsetMeters: number, angleDiff: number, progressMeters: number, travelledMeters: number}|null}
+ */
+function scoreSublineForHistory(stopPath, coordHistory, busBearing) {
+  const oldest = coordHistory[0];
+  const newest = coordHistory[coordHistory.length - 1];
+  const oldestMatch = matchFixToStopPath(stopPath, oldest.lat, oldest.lng, busBearing);
+  const newestMatch = matchFixToStopPath(stopPath, newest.lat, newest.lng, busBearing);
+  if (!oldestMatch || !newestMatch) {
+    return null;
+  }
+
+  let travelledMeters = 0;
+  for (let i = 1; i < coordHistory.length; i++) {
+    travelledMeters += haversineDistance(coordHistory[i - 1].lat, coordHistory[i - 1].lng, coordHistory[i].lat, coordHistory[i].lng);
+  }
+  let progressMeters = newestMatch.distanceAlong - oldestMatch.distanceAlong;
+  if (stopPath.isLoop && stopPath.lengthMeters > 0) {
+    // Wrap into [-length/2, length/2): crossing the end of the loop is progress from the start again
+    const half = stopPath.lengthMeters / 2;
+    progressMeters = ((progressMeters + half) % stopPath.lengthMeters + stopPath.lengthMeters) % stopPath.lengthMeters - half;
+  }
+  const progressSigma = Math.max(SUBLINE_MATCH_MIN_PROGRESS_SIGMA_METERS, travelledMeters / 2);
+  const progressLikelihood = Math.exp(-0.5 * ((progressMeters - travelledMeters) / progressSigma) ** 2);
+
+  return {
+    likelihood: Math.sqrt(oldestMatch.likelihood * newestMatch.likelihood) * progressLikelihood,
+    offsetMeters: newestMatch.offsetMeters,
+    angleDiff: newestMatch.angleDiff,
+    progressMeters,
+    travelledMeters,
+  };
+}
+
 /**
  * Determines the most likely *subline* ID (the rt_id used for broadcasting) for a bus based on its recent movement history
  * and the sublines belonging to its main route.
- * This function first fetches the sublines belonging to the main route, then compares the average bearing derived
- * from the history against the bearing between consecutive stops on *those specific sublines*.
+ * Each subline of the main route is scored with scoreSublineForHistory (distance to its segments, bearing and
+ * progress along its stop sequence) and weighted by a prior favouring 'main' sublines over branches and
+ * short-turn variants; the weights are normalized into probabilities and the most probable subline is returned.
  * @param {string} busId - The unique ID of the bus.
  * @param {number} mainRouteId - The ID of the main route the bus is assigned to (e.g., 3227).
  * @param {Array<{lat: number, lon: number, timestamp?: string}>} coordHistory - Recent GPS coordinates of the bus.
@@ -273,65 +360,358 @@ async function matchBusToSublineByHistoryAndRoute(busId, mainRouteId, coordHisto
     console.log(`[${busId}] No sublines found for main route ID ${mainRouteId}. Cannot match.`);
     return null;
   }
+  const mainFlags = await getSublineMainFlags(mainRouteId);
 
-  // --- Compare Bus Bearing to Route Segment Bearings (Only on Sublines for this Route) ---
-  let bestMatchSublineId = null;
-  let nextBestStopId = null;
-  let bestMatchScore = -Infinity; // Higher score is better
-
+  // --- Score the Bus History Against Each Subline of this Route ---
+  const candidates = [];
   for (const [sublineId, stopsOnSubline] of sublineStopsMap.entries()) {
-    console.log(`[${busId}] Evaluating subline ID (rt_id): ${sublineId} (Main Route: ${mainRouteId}, Stops: ${stopsOnSubline.length})`);
-
     if (stopsOnSubline.length < 2) {
       console.log(`[${busId}] Subline ${sublineId} has fewer than 2 stops, skipping.`);
       continue;
     }
+    const stopPath = buildStopPath(stopsOnSubline);
+    const score = scoreSublineForHistory(stopPath, coordHistory, avgBearing);
+    if (!score) {
+      continue;
+    }
+    const prior = mainFlags.get(sublineId) ? SUBLINE_MAIN_PRIOR : SUBLINE_BRANCH_PRIOR;
+    candidates.push({ sublineId, prior, ...score });
+    console.log(`[${busId}]   Subline ${sublineId}${stopPath.isLoop ? ' (loop)' : ''}: likelihood ${score.likelihood.toFixed(4)} (offset ${score.offsetMeters.toFixed(1)} m, bearing diff ${score.angleDiff.toFixed(1)}°, progress ${score.progressMeters.toFixed(1)} m of ${score.travelledMeters.toFixed(1)} m travelled), prior ${prior}`);
+  }
 
-    // Iterate through consecutive stop pairs on this specific subline
-    for (let i = 0; i < stopsOnSubline.length - 1; i++) {
-      const stopA = stopsOnSubline[i];
-      const stopB = stopsOnSubline[i + 1];
+  const plausible = candidates.filter(candidate => candidate.likelihood >= SUBLINE_MATCH_MIN_LIKELIHOOD);
+  if (plausible.length === 0) {
+    console.log(`[${busId}] Could not determine best matching subline from ${sublineStopsMap.size} candidates for main route ${mainRouteId}: no subline fits the bus's position, bearing (${avgBearing.toFixed(2)}°) and progress.`);
+    return null;
+  }
 
-      // Calculate the bearing from Stop A to Stop B on this specific subline
-      const routeSegmentBearing = calculateBearing(stopA.lat, stopA.lon, stopB.lat, stopB.lon);
+  // --- Normalize into Probabilities and Pick the Most Probable Subline ---
+  const totalWeight = plausible.reduce((sum, candidate) => sum + candidate.likelihood * candidate.prior, 0);
+  let best = null;
+  for (const candidate of plausible) {
+    candidate.probability = candidate.likelihood * candidate.prior / totalWeight;
+    if (best === null || candidate.probability > best.probability) {
+      best = candidate;
+    }
+  }
+  console.log(`[${busId}] Matched to subline ID (rt_id for broadcasting): ${best.sublineId} (probability ${best.probability.toFixed(2)} among ${plausible.length} plausible subline(s))`);
+  return best.sublineId; // Return the subline ID, which is the rt_id for the WebSocket messages
+}
 
-      if (routeSegmentBearing === null) {
-          console.log(`[${busId}] Could not calculate bearing for route segment ${stopA.id} (${stopA.nam}) -> ${stopB.id} (${stopB.nam}) on subline ${sublineId}. Skipping segment.`);
-          continue; // Skip this segment if bearing calculation failed
-      }
+/**
+ * Loads the KML shape of a subline for along-the-path distances.
+ * @param {number} sublineId - The SubLine ID (rt_id).
+ * @returns {Promise<object|null>} The shape, or null if the subline has no KML (callers fall back to haversine).
+ */
+async function loadSublineShape(sublineId) {
+  try {
+    const shape = await getSublineShape(sublineId);
+    if (!shape) {
+      console.log(`[Shapes] No KML shape for subline rt_id ${sublineId}, falling back to straight-line distances.`);
+    }
+    return shape;
+  } catch (error) {
+    console.error(`[NetworkCache] Error getting shape for subline rt_id ${sublineId}:`, error);
+    return null;
+  }
+}
 
-      // Calculate the angular difference between the bus's average bearing and the route segment bearing
-      // Use the shortest angular distance (accounting for 0/360 wrap-around)
-      let angleDiff = Math.abs(avgBearing - routeSegmentBearing);
-      angleDiff = Math.min(angleDiff, 360 - angleDiff);
+/**
+ * Updates a bus's on-route/off-route state from its latest map-matched fix.
+ * A single fix outside (or back inside) the corridor is not enough to change state, to ride out GPS noise.
+ * @param {object} busState - The bus state (its routeState is updated in place).
+ * @param {number|null} offsetMeters - Distance from the fix to the subline shape, or null when there is no shape.
+ * @param {string} timestamp - ISO timestamp of the fix.
+ * @returns {string|null} The new status ('off-route' or 'on-route') if it changed, null otherwise.
+ */
+function updateRouteState(busState, offsetMeters, timestamp) {
+  const routeState = busState.routeState;
+  routeState.offsetMeters = offsetMeters;
+
+  if (offsetMeters === null) {
+    // Nothing to match against: leave the bus as unknown (treated as on route)
+    routeState.status = 'unknown';
+    routeState.outsideCount = 0;
+    routeState.insideCount = 0;
+    return null;
+  }
 
-      console.log(`[${busId}]   Segment ${stopA.id} (${stopA.nam}) -> ${stopB.id} (${stopB.nam}): Route Bearing = ${routeSegmentBearing.toFixed(2)}°, Bus Avg Bearing = ${avgBearing.toFixed(2)}°, Diff = ${angleDiff.toFixed(2)}°`);
+  if (offsetMeters > ROUTE_CORRIDOR_METERS) {
+    routeState.outsideCount++;
+    routeState.insideCount = 0;
+  } else {
+    routeState.insideCount++;
+    routeState.outsideCount = 0;
+  }
 
-      // Check if the bearing difference is within the acceptable threshold
-      if (angleDiff <= DIRECTION_MATCH_THRESHOLD_DEGREES) {
-        // A simple scoring mechanism: score based on closeness to the route bearing
-        // A more complex score could incorporate distance to the stops or the segment itself
-        const score = DIRECTION_MATCH_THRESHOLD_DEGREES - angleDiff; // Higher score for smaller difference
+  let newStatus = routeState.status;
+  if (routeState.status !== 'off-route' && routeState.outsideCount >= OFF_ROUTE_CONSECUTIVE_FIXES) {
+    newStatus = 'off-route';
+  } else if (routeState.status === 'off-route' && routeState.insideCount >= ON_ROUTE_CONSECUTIVE_FIXES) {
+    newStatus = 'on-route';
+  } else if (routeState.status === 'unknown' && routeState.insideCount > 0) {
+    newStatus = 'on-route'; // First fix inside the corridor, nothing to debounce
+  }
 
-        if (score > bestMatchScore) {
-          bestMatchScore = score;
-          bestMatchSublineId = sublineId; // Use the subline ID (which is the rt_id for broadcasting)
-          nextBestStopId = stopB.id;
-          console.log(`[${busId}]     Potential best match found! Subline (rt_id): ${sublineId}, Score: ${score.toFixed(2)}, Bus Bearing: ${avgBearing.toFixed(2)}°, Segment Bearing: ${routeSegmentBearing.toFixed(2)}°, Diff: ${angleDiff.toFixed(2)}°`);
+  if (newStatus === routeState.status) {
+    return null;
+  }
+  const wasOffRoute = routeState.status === 'off-route';
+  routeState.status = newStatus;
+  routeState.since = timestamp;
+  // Only leaving or rejoining the route is an event; unknown -> on-route is not
+  return newStatus === 'off-route' || wasOffRoute ? newStatus : null;
+}
+
+/**
+ * Advances a bus's stop-visit state machine with its latest fix and returns the stop events it produced.
+ *
+ * The bus is either approaching its next stop or at it. It is at a stop while it stays within
+ * STOP_DETECTION_RADIUS_METERS; 'stop-arrival' is emitted once it has been there for STOP_DETECTION_MIN_TIME_SECONDS,
+ * and 'stop-departure' when it leaves the radius. A bus driving through without stopping only produces a
+ * 'stop-departure' (with stopped: false). Stops the bus got past without a fix inside their radius
+ * (GPS gaps, stops off the street) are skipped without events.
+ *
+ * @param {object} busState - The bus state (its stopVisit is updated in place).
+ * @param {number} sublineId - The subline (rt_id) the bus is on with this fix.
+ * @param {Array<object>} stops - The subline's stops in stoporder.
+ * @param {object|null} alongPath - Output of getAlongPathDistances for this fix, or null without a shape.
+ * @param {number} lat - Bus latitude.
+ * @param {number} lng - Bus longitude.
+ * @param {string} timestamp - ISO timestamp of the fix.
+ * @returns {Array<{type: string, stopIndex: number, arrivedAt: string, departedAt?: string, stopped?: boolean}>} Events, in order.
+ */
+function updateStopVisits(busState, sublineId, stops, alongPath, lat, lng, timestamp) {
+  const events = [];
+  const distanceTo = (index) => haversineDistance(lat, lng, stops[index].lat, stops[index].lon);
+  const isPast = (index) => alongPath !== null && alongPath.distances[index] < -STOP_DETECTION_RADIUS_METERS;
+
+  let visit = busState.stopVisit;
+  if (!visit || visit.rtId !== sublineId) {
+    // Start from where the bus is now: the first stop not yet behind it on the path, or the nearest stop without a shape
+    let nextStopIndex = 0;
+    if (alongPath) {
+      nextStopIndex = alongPath.distances.findIndex(distance => distance >= -STOP_DETECTION_RADIUS_METERS);
+      if (nextStopIndex === -1) {
+        nextStopIndex = stops.length;
+      }
+    } else {
+      let minDistance = Infinity;
+      stops.forEach((stop, index) => {
+        const distance = distanceTo(index);
+        if (distance < minDistance) {
+          minDistance = distance;
+          nextStopIndex = index;
         }
-      } else {
-           console.log(`[${busId}]     Segment bearing (${routeSegmentBearing.toFixed(2)}°) does not match bus bearing (${avgBearing.toFixed(2)}°) within threshold (${DIRECTION_MATCH_THRESHOLD_DEGREES}°). Diff: ${angleDiff.toFixed(2)}°`);
+      });
+    }
+    visit = { rtId: sublineId, nextStopIndex, atStop: null, completed: false };
+    busState.stopVisit = visit;
+  }
+
+  // --- At a stop: confirm the arrival, or detect the departure ---
+  if (visit.atStop) {
+    const { index, enteredAt } = visit.atStop;
+    if (distanceTo(index) <= STOP_DETECTION_RADIUS_METERS && !isPast(index)) {
+      const dwellSeconds = (new Date(timestamp) - new Date(enteredAt)) / 1000;
+      if (!visit.atStop.announced && dwellSeconds >= STOP_DETECTION_MIN_TIME_SECONDS) {
+        visit.atStop.announced = true;
+        events.push({ type: 'stop-arrival', stopIndex: index, arrivedAt: enteredAt });
       }
+      return events;
     }
+    events.push({ type: 'stop-departure', stopIndex: index, arrivedAt: enteredAt, departedAt: timestamp, stopped: visit.atStop.announced });
+    visit.atStop = null;
+    visit.nextStopIndex = index + 1;
   }
 
-  if (bestMatchSublineId !== null) {
-    console.log(`[${busId}] Matched to subline ID (rt_id for broadcasting): ${bestMatchSublineId} (Best Score: ${bestMatchScore.toFixed(2)})`);
-    return bestMatchSublineId; // Return the subline ID, which is the rt_id for the WebSocket messages
-  } else {
-    console.log(`[${busId}] Could not determine best matching subline from ${sublineStopsMap.size} candidates for main route ${mainRouteId} based on historical bearing and threshold of ${DIRECTION_MATCH_THRESHOLD_DEGREES}°.`);
+  // --- Approaching: skip stops already behind the bus, then check for an arrival ---
+  while (visit.nextStopIndex < stops.length && isPast(visit.nextStopIndex)) {
+    visit.nextStopIndex++;
+  }
+  // Without a shape, entering the radius of a later stop means the ones before it were missed
+  let enteredIndex = -1;
+  for (let i = visit.nextStopIndex; i < stops.length; i++) {
+    if (distanceTo(i) <= STOP_DETECTION_RADIUS_METERS) {
+      enteredIndex = i;
+      break;
+    }
+    if (alongPath) {
+      break; // With a shape only the next stop can be entered, later ones are ahead on the path
+    }
+  }
+  if (enteredIndex !== -1) {
+    visit.nextStopIndex = enteredIndex;
+    visit.atStop = { index: enteredIndex, enteredAt: timestamp, announced: false };
+  }
+  return events;
+}
+
+/**
+ * Creates the subline assignment state of a bus.
+ * @returns {{confidence: number, candidateRtId: number|null, candidateFixes: number, candidateMeters: number, turnaroundRtId: number|null}}
+ */
+function createSublineAssignment() {
+  return { confidence: 0, candidateRtId: null, candidateFixes: 0, candidateMeters: 0, turnaroundRtId: null };
+}
+
+/**
+ * Feeds a bearing match into a bus's subline assignment and returns the subline the bus should be on.
+ *
+ * A match for the current subline raises the confidence by SUBLINE_CONFIDENCE_STEP, a match for another one
+ * lowers it. The bus only switches once another subline has been matched SUBLINE_SWITCH_MIN_FIXES times in a row
+ * over at least SUBLINE_SWITCH_MIN_METERS, so a single noisy bearing (e.g. while turning) cannot flip its direction.
+ *
+ * @param {string|number} busId
+ * @param {object} assignment - The bus's subline assignment (see createSublineAssignment), updated in place.
+ * @param {number|null} currentRtId - The subline the bus is on, or null if not determined yet.
+ * @param {number|null} matchedRtId - Result of matchBusToSublineByHistoryAndRoute for this fix.
+ * @param {number} movedMeters - Distance travelled since the previous fix.
+ * @returns {number|null} The subline (rt_id) to use for this fix.
+ */
+function updateSublineAssignment(busId, assignment, currentRtId, matchedRtId, movedMeters) {
+  if (matchedRtId === null) {
+    console.log(`[${busId}] No subline match for this fix. Keeping subline rt_id ${currentRtId} (confidence ${assignment.confidence.toFixed(2)}).`);
+    return currentRtId;
+  }
+
+  if (currentRtId === null || matchedRtId === currentRtId) {
+    // First determination, or the match agrees with the current subline
+    assignment.confidence = Math.min(1, assignment.confidence + SUBLINE_CONFIDENCE_STEP);
+    assignment.candidateRtId = null;
+    assignment.candidateFixes = 0;
+    assignment.candidateMeters = 0;
+    return matchedRtId;
+  }
+
+  // The match disagrees: accumulate evidence for the candidate subline
+  if (assignment.candidateRtId !== matchedRtId) {
+    assignment.candidateRtId = matchedRtId;
+    assignment.candidateFixes = 0;
+    assignment.candidateMeters = 0;
+  }
+  assignment.candidateFixes++;
+  assignment.candidateMeters += movedMeters;
+  assignment.confidence = Math.max(0, assignment.confidence - SUBLINE_CONFIDENCE_STEP);
+
+  if (assignment.candidateFixes >= SUBLINE_SWITCH_MIN_FIXES && assignment.candidateMeters >= SUBLINE_SWITCH_MIN_METERS) {
+    console.log(`[${busId}] Subline rt_id ${matchedRtId} matched ${assignment.candidateFixes} times over ${Math.round(assignment.candidateMeters)} m, switching from ${currentRtId}.`);
+    assignment.confidence = Math.min(1, assignment.candidateFixes * SUBLINE_CONFIDENCE_STEP);
+    assignment.candidateRtId = null;
+    assignment.candidateFixes = 0;
+    assignment.candidateMeters = 0;
+    return matchedRtId;
+  }
+
+  console.log(`[${busId}] Subline rt_id ${matchedRtId} matched instead of ${currentRtId} (${assignment.candidateFixes}/${SUBLINE_SWITCH_MIN_FIXES} fixes, ${Math.round(assignment.candidateMeters)}/${SUBLINE_SWITCH_MIN_METERS} m). Not switching yet (confidence ${assignment.confidence.toFixed(2)}).`);
+  return currentRtId;
+}
+
+/**
+ * Finds the subline a bus continues on after reaching the last stop of its subline: the subline of the same
+ * main route whose first stop is closest to that terminus, within TERMINUS_LINK_RADIUS_METERS.
+ * On a loop (first and last stop coincide) this is the same subline, for the next lap.
+ * @param {number} mainRouteId - The main RouteLine ID.
+ * @param {number} sublineId - The subline (rt_id) whose terminus was reached.
+ * @returns {Promise<number|null>} The next subline (rt_id), or null if no subline starts near the terminus.
+ */
+async function findTurnaroundSubline(mainRouteId, sublineId) {
+  const sublineStopsMap = await getOrderedStopsForRouteSublines(mainRouteId);
+  if (!sublineStopsMap || !sublineStopsMap.has(sublineId) || sublineStopsMap.get(sublineId).length === 0) {
     return null;
   }
+  const currentStops = sublineStopsMap.get(sublineId);
+  const terminus = currentStops[currentStops.length - 1];
+
+  let nextSublineId = null;
+  let minDistance = Infinity;
+  for (const [candidateId, stopsOnSubline] of sublineStopsMap.entries()) {
+    if (stopsOnSubline.length < 2) {
+      continue;
+    }
+    const firstStop = stopsOnSubline[0];
+    const distance = firstStop.id === terminus.id ? 0 : haversineDistance(terminus.lat, terminus.lon, firstStop.lat, firstStop.lon);
+    // On a tie the current subline wins: it is a loop that starts where it ends
+    if (distance <= TERMINUS_LINK_RADIUS_METERS && (distance < minDistance || (distance === minDistance && candidateId === sublineId))) {
+      minDistance = distance;
+      nextSublineId = candidateId;
+    }
+  }
+  return nextSublineId;
+}
+
+/**
+ * Tells whether a bus is within the radius of the last stop of its subline (laying over or turning around).
+ * @param {object} busState
+ * @param {number} sublineId
+ * @returns {boolean}
+ */
+function isAtTerminus(busState, sublineId) {
+  const visit = busState.stopVisit;
+  const cachedSubline = busState.stopsForCurrentSublineRtId;
+  return Boolean(visit && visit.rtId === sublineId && visit.atStop && cachedSubline && cachedSubline.rtId === sublineId &&
+    visit.atStop.index === cachedSubline.stops.length - 1);
+}
+
+/**
+ * Matches a bus to its scheduled trip on a stop event (if not matched yet) and updates its delay:
+ * actual arrival/departure at the stop minus the trip's scheduled time there.
+ * @param {string|number} busId
+ * @param {object} busState - The bus state (trip and delaySeconds are updated in place).
+ * @param {number} sublineId - The subline (rt_id) the bus is on.
+ * @param {object} stop - The visited stop ({id, order}).
+ * @param {object} event - A stop event from updateStopVisits.
+ */
+async function updateTripDelay(busId, busState, sublineId, stop, event) {
+  const isArrival = event.type === 'stop-arrival';
+  const eventTime = new Date(isArrival ? event.arrivedAt : event.departedAt);
+  try {
+    if (!busState.trip || busState.trip.sublineId !== sublineId) {
+      busState.trip = await matchTripForStopVisit(sublineId, stop.order, eventTime);
+      if (busState.trip) {
+        console.log(`[${busId}] Matched to scheduled trip ${busState.trip.cod} (service day ${busState.trip.serviceDate}) at stop ${stop.cod}.`);
+      }
+    }
+    if (!busState.trip) {
+      busState.delaySeconds = null; // No timetable for this subline, or no trip close enough in time
+      return;
+    }
+    const stopTime = await getTripStopTime(busState.trip, stop.order);
+    if (stopTime) {
+      busState.delaySeconds = Math.round((eventTime - (isArrival ? stopTime.arrival : stopTime.departure)) / 1000);
+    }
+  } catch (error) {
+    console.error(`[DB Error] Error matching bus ${busId} to a scheduled trip:`, error);
+  }
+}
+
+/**
+ * Builds the 'close' message that tells clients a bus has left a subline.
+ * @param {string|number} busId
+ * @param {object} busState - The bus state.
+ * @param {number} rtId - The subline rt_id being closed.
+ * @param {number} lat - Last known latitude of the bus on that subline.
+ * @param {number} lng - Last known longitude of the bus on that subline.
+ * @param {string} fallbackTimestamp - ISO timestamp used if the bus has no processed timestamp yet.
+ * @returns {object}
+ */
+function buildCloseMessage(busId, busState, rtId, lat, lng, fallbackTimestamp) {
+  // Format timestamp as "YYYYMMDD HHmmss"
+  const closeTime = (busState.lastProcessedTimestamp || fallbackTimestamp).replace('T', ' ').substring(0, 17).replace(/\..*$/, '').replace(/[-:]/g, '');
+  return {
+    type: "close",
+    rt_id: rtId,
+    bus_id: busId,
+    upd: closeTime,
+    date: closeTime,
+    del: busState.delaySeconds !== null ? busState.delaySeconds : 0, // Delay in seconds vs. the scheduled trip (0 if unknown)
+    pass: "0", // Passengers placeholder
+    lat: lat,
+    lng: lng,
+    stop_id: 0, // Placeholder
+    stop_code: "-", // Placeholder
+    stop_nam: "-" // Placeholder
+  };
 }
 
 /**
@@ -341,47 +721,191 @@ async function matchBusToSublineByHistoryAndRoute(busId, mainRouteId, coordHisto
  */
 async function getMainRouteIdFromRtId(rtId) {
     try {
-        const query = 'SELECT lineid FROM "SubLine" WHERE id = $1'; // Adjust table/column names if necessary
-        const result = await pool.query(query, [rtId]);
-        if (result.rows.length > 0) {
-            return result.rows[0].lineid; // Return the main route ID
+        const subline = await getSubline(rtId);
+        if (subline) {
+            return subline.lineId; // Return the main route ID
         } else {
-            console.error(`[DB Query] Could not find main route ID for subline rt_id: ${rtId}`);
+            console.error(`[NetworkCache] Could not find main route ID for subline rt_id: ${rtId}`);
             return null;
         }
     } catch (error) {
-        console.error(`[DB Error] Error fetching main route ID for rt_id ${rtId}:`, error);
+        console.error(`[NetworkCache] Error getting main route ID for rt_id ${rtId}:`, error);
         return null;
     }
 }
 // --- Processing Logic ---
 
 /**
- * Processes the raw location data received from the phone app.
- * Determines the specific subline rt_id based on main routeId and historical movement, calculates estimates, detects stops, and formats output.
- * @param {object} rawData - The raw data object received from the phone (e.g., {routeId, busId, lat, lng, timestamp, velocity}).
+ * Creates the state of a bus seen for the first time.
+ * @returns {object}
  */
-async function processLocationData(rawData) {
-  const { routeId: mainRouteId, busId, lat, lng, timestamp, velocity } = rawData; // 'routeId' now refers to main RouteLine ID
-  const currentTimestamp = new Date(timestamp).toISOString(); // Ensure consistent timestamp format
-  const currentLat = lat;
-  const currentLng = lng;
-  const currentVel = velocity; // Assuming velocity is in m/s from Geolocator
-  console.log(`[${busId}] Received raw location data (Main Route: ${mainRouteId}): Lat=${currentLat}, Lng=${currentLng}, Vel=${currentVel}, TS=${currentTimestamp}`);
-
-  // --- Retrieve/Initialize Bus State ---
-  let busState = activeBusStates.get(busId) || {
+function createBusState() {
+  return {
     lat: null,
     lng: null,
     velocity: null,
+    heading: null, // Device heading (degrees) of the last fix while moving, null if unknown (see gpsFilter)
     history: [], // Store recent coordinates
     mainRtId: null, // Store the main routeId (e.g., 3227) the bus is assigned to
     currentSublineRtId: null, // Store the determined *subline* rt_id (e.g., 1189 or 1190) the bus is currently on
     lastProcessedSublineRtId: null, // Store the previous subline rt_id for change detection
     lastProcessedTimestamp: null,
-    stopsForCurrentSublineRtId: null, // Cache stops for the current subline rt_id
+    stopsForCurrentSublineRtId: null, // Cache stops (and KML shape) for the current subline rt_id
+    pathDistanceAlong: null, // Last known distance (meters) along the current subline's shape
+    lastEstaInfo: null, // Last 'esta-info' message computed for this bus (upcoming stops and ETAs)
+    routeState: { status: 'unknown', offsetMeters: null, outsideCount: 0, insideCount: 0, since: null }, // Map-matching against the subline shape
+    stopVisit: null, // Stop-visit state machine: { rtId, nextStopIndex, atStop: { index, enteredAt, announced } | null, completed }
+    trip: null, // Scheduled trip the bus is running: { id, cod, serviceDate, sublineId } (see scheduleService)
+    delaySeconds: null, // Delay vs. the trip's schedule at the last visited stop (positive = late)
+    sublineAssignment: createSublineAssignment(), // Confidence in currentSublineRtId and evidence for a switch
+    capacity: null, // Seated and standing capacity from "Bus" (see occupancyService)
+    occupancy: createOccupancy(), // Passengers on board / occupancy level reported by the driver
+    lastSeenAt: null, // Server time (ms) of the last message from the driver app, used by the stale-bus sweeper
+    stale: false, // No message for BUS_STALE_AFTER_SECONDS
     // Add other state variables if needed
   };
+}
+
+// --- Shared Bus States (other instances) ---
+
+/**
+ * Returns the fields of a bus state that other instances need to serve it (departures, snapshots, GTFS-Realtime).
+ * @param {object} busState
+ * @returns {object}
+ */
+function serializeBusState(busState) {
+  const shared = {};
+  SHARED_BUS_STATE_FIELDS.forEach(field => {
+    shared[field] = busState[field];
+  });
+  shared.sublineAssignment = { confidence: busState.sublineAssignment.confidence };
+  return shared;
+}
+
+/**
+ * Publishes the state of a bus processed here to the other instances.
+ * @param {string|number} busId
+ * @param {object} busState
+ */
+function publishBusState(busId, busState) {
+  publish('bus-state', { busId, state: serializeBusState(busState) });
+}
+
+/**
+ * Takes over a bus last processed by another instance, starting from its shared state.
+ * @param {string|number} busId
+ * @returns {object|null} The bus state, or null if no other instance knows the bus.
+ */
+function adoptRemoteBusState(busId) {
+  const remoteState = remoteBusStates.get(busId);
+  if (!remoteState) {
+    return null;
+  }
+  remoteBusStates.delete(busId);
+  const busState = createBusState();
+  SHARED_BUS_STATE_FIELDS.forEach(field => {
+    busState[field] = remoteState[field];
+  });
+  busState.sublineAssignment.confidence = remoteState.sublineAssignment.confidence;
+  busState.lastEstaInfo = remoteState.lastEstaInfo;
+  console.log(`[${busId}] Taking over bus from instance ${remoteState.instanceId}.`);
+  return busState;
+}
+
+/**
+ * Handles a 'bus-state' event from another instance.
+ * @param {{busId: string|number, state: object}} data
+ * @param {string} origin - The instance processing the bus.
+ */
+function handleRemoteBusState({ busId, state }, origin) {
+  if (origin === INSTANCE_ID) {
+    return;
+  }
+  if (activeBusStates.has(busId)) {
+    // The driver reconnected to another instance: this one must not close the bus when it stops hearing from it
+    activeBusStates.delete(busId);
+    console.log(`[${busId}] Bus is now processed by instance ${origin}.`);
+  }
+  const previousState = remoteBusStates.get(busId);
+  remoteBusStates.set(busId, {
+    ...state,
+    lastEstaInfo: previousState && previousState.lastEstaInfo && previousState.lastEstaInfo.rt_id === state.currentSublineRtId ? previousState.lastEstaInfo : null,
+    instanceId: origin,
+  });
+}
+
+/**
+ * Keeps the latest 'esta-info' of the buses processed by other instances (it is not part of their 'bus-state' events).
+ * @param {object} message - A message broadcast by any instance.
+ * @param {string} origin
+ */
+function handleRemoteBroadcast(message, origin) {
+  if (origin === INSTANCE_ID || message.type !== 'esta-info') {
+    return;
+  }
+  const remoteState = remoteBusStates.get(message.bus_id);
+  if (remoteState) {
+    remoteState.lastEstaInfo = message;
+  }
+}
+
+/**
+ * Handles a 'bus-removed' event from another instance.
+ * @param {{busId: string|number}} data
+ * @param {string} origin
+ */
+function handleRemoteBusRemoved({ busId }, origin) {
+  if (origin !== INSTANCE_ID) {
+    remoteBusStates.delete(busId);
+  }
+}
+
+/**
+ * Returns the states of every active bus, whether this instance or another one processes it.
+ * States from other instances are copies: only the SHARED_BUS_STATE_FIELDS, sublineAssignment.confidence and lastEstaInfo are set.
+ * @returns {Map<string|number, object>}
+ */
+function getAllBusStates() {
+  return new Map([...remoteBusStates, ...activeBusStates]);
+}
+
+/**
+ * Processes the raw location data received from the phone app.
+ * Determines the specific subline rt_id based on main routeId and historical movement, calculates estimates, detects stops, and formats output.
+ * @param {object} rawData - The data object received from the phone, after the GPS filter (e.g., {routeId, busId, lat, lng, timestamp, velocity, heading}).
+ * @param {{replay?: boolean, simulation?: boolean}} [options] - replay: the fix was buffered by the app and is outdated
+ *   (see ingestionQueue.enqueueBatch): the bus state is updated but nothing is broadcast. simulation: the fix does not
+ *   come from a bus in service (see scripts/simulateTrip.js): its stop visits are not recorded for the learned segment times.
+ */
+async function processLocationData(rawData, { replay = false, simulation = false } = {}) {
+  const { routeId: mainRouteId, busId, lat, lng, timestamp, velocity } = rawData; // 'routeId' now refers to main RouteLine ID
+  const currentTimestamp = new Date(timestamp).toISOString(); // Ensure consistent timestamp format
+  const currentLat = lat;
+  const currentLng = lng;
+  const currentVel = velocity; // Assuming velocity is in m/s from Geolocator
+  console.log(`[${busId}] Received ${replay ? 'replayed' : 'raw'} location data (Main Route: ${mainRouteId}): Lat=${currentLat}, Lng=${currentLng}, Vel=${currentVel}, TS=${currentTimestamp}`);
+
+  // --- Retrieve/Initialize Bus State ---
+  // A bus processed by another instance until now (its driver reconnected here) carries on from its shared state
+  let busState = activeBusStates.get(busId) || adoptRemoteBusState(busId) || createBusState();
+
+  // --- Mark the Bus as Alive ---
+  if (replay) {
+    // A replayed fix tells when the bus was last heard of, not that it is alive now: the sweeper keeps judging it
+    busState.lastSeenAt = Math.max(busState.lastSeenAt || 0, new Date(timestamp).getTime());
+    busState.stale = (Date.now() - busState.lastSeenAt) / 1000 >= BUS_STALE_AFTER_SECONDS;
+  } else {
+    busState.lastSeenAt = Date.now();
+    if (busState.stale) {
+      console.log(`[${busId}] Bus is reporting again, no longer stale.`);
+      busState.stale = false;
+    }
+  }
+  // Replayed fixes are too old for passengers: they only bring the bus state up to date (subline, stop visits, trip)
+  const broadcastFunction = replay ? null : broadcastToRouteClientsFunction;
+
+  // --- Load the Bus Capacity (cached by occupancyService) ---
+  busState.capacity = await getBusCapacity(busId);
 
   // --- Update History ---
   // Add the new location to the history
@@ -389,6 +913,7 @@ async function processLocationData(rawData) {
   busState.lat = currentLat;
   busState.lng = currentLng;
   busState.velocity = currentVel * 3.6;
+  busState.heading = typeof rawData.heading === 'number' ? rawData.heading : null;
   // Keep only the last N points (e.g., 5) to manage memory and focus on recent movement
   const HISTORY_SIZE = 5;
   if (busState.history.length > HISTORY_SIZE) {
@@ -403,27 +928,34 @@ async function processLocationData(rawData) {
   // Only attempt to determine/reconfirm subline rt_id if we have enough history AND the main route matches
   if (busState.history.length >= MIN_SIGNALS_FOR_DIRECTION && busState.mainRtId === mainRouteId) {
     console.log(`[${busId}] History size (${busState.history.length}) meets minimum requirement (${MIN_SIGNALS_FOR_DIRECTION}) and main route matches (${mainRouteId}). Attempting to determine/reconfirm subline rt_id.`);
-    // Use the NEW function that incorporates the main routeId to find the specific subline
-    const newlyMatchedSublineRtId = await matchBusToSublineByHistoryAndRoute(busId, mainRouteId, [...busState.history]); // Pass a copy to avoid mutation during async op
-
-    if (newlyMatchedSublineRtId !== null) {
-      if (currentSublineRtId === null) {
-        // First time a subline rt_id is determined for this bus instance on this main route
-        currentSublineRtId = newlyMatchedSublineRtId;
-        console.log(`[${busId}] First subline rt_id (on main route ${mainRouteId}) determined: ${currentSublineRtId}`);
-      } else if (currentSublineRtId !== newlyMatchedSublineRtId) {
-        // Detected a potential subline change (e.g., from Way to Back on the same main route)
-        console.log(`[${busId}] Potential subline change detected on main route ${mainRouteId}! Previous subline rt_id: ${currentSublineRtId}, New match: ${newlyMatchedSublineRtId}.`);
-        // For now, let's update the subline rt_id. You might want more sophisticated logic here
-        // (e.g., require multiple consecutive matches for a new subline rt_id before switching).
-        currentSublineRtId = newlyMatchedSublineRtId;
+    const assignment = busState.sublineAssignment;
+
+    if (assignment.turnaroundRtId !== null) {
+      // The bus completed its subline on the previous fix: change direction (or start a new lap) without waiting for bearing evidence
+      if (assignment.turnaroundRtId === currentSublineRtId) {
+        console.log(`[${busId}] Loop subline rt_id ${currentSublineRtId} completed, starting a new lap.`);
+        busState.stopVisit = null; // Restart the stop sequence from the first stop
+        busState.pathDistanceAlong = null;
+        busState.trip = null; // The next lap is another trip
+        busState.delaySeconds = null;
       } else {
-        // Match confirmed, subline rt_id remains the same
-        console.log(`[${busId}] Subline rt_id confirmed as ${currentSublineRtId} (on main route ${mainRouteId}) based on history.`);
+        console.log(`[${busId}] Terminus of subline rt_id ${currentSublineRtId} reached, turning around onto subline rt_id ${assignment.turnaroundRtId}.`);
+        currentSublineRtId = assignment.turnaroundRtId;
       }
+      Object.assign(assignment, createSublineAssignment(), { confidence: TURNAROUND_CONFIDENCE });
+    } else if (currentSublineRtId !== null && isAtTerminus(busState, currentSublineRtId)) {
+      // Bearings are meaningless while the bus manoeuvres or lays over at the terminus
+      console.log(`[${busId}] Bus is at the terminus of subline rt_id ${currentSublineRtId}, skipping subline matching.`);
     } else {
-        console.log(`[${busId}] Subline/History-based matching returned null for main route ${mainRouteId}. Keeping previous subline rt_id: ${currentSublineRtId}`);
-        // Keep the currentSublineRtId as is if matching failed.
+      // Use the NEW function that incorporates the main routeId to find the specific subline
+      const newlyMatchedSublineRtId = await matchBusToSublineByHistoryAndRoute(busId, mainRouteId, [...busState.history]); // Pass a copy to avoid mutation during async op
+      const previousFix = busState.history[busState.history.length - 2];
+      const movedMeters = haversineDistance(previousFix.lat, previousFix.lng, currentLat, currentLng);
+      const wasUnknown = currentSublineRtId === null;
+      currentSublineRtId = updateSublineAssignment(busId, assignment, currentSublineRtId, newlyMatchedSublineRtId, movedMeters);
+      if (wasUnknown && currentSublineRtId !== null) {
+        console.log(`[${busId}] First subline rt_id (on main route ${mainRouteId}) determined: ${currentSublineRtId}`);
+      }
     }
   } else {
       if (busState.history.length < MIN_SIGNALS_FOR_DIRECTION) {
@@ -436,6 +968,10 @@ async function processLocationData(rawData) {
           busState.currentSublineRtId = null;
           busState.lastProcessedSublineRtId = null;
           busState.stopsForCurrentSublineRtId = null; // Reset cached stops
+          busState.routeState = { status: 'unknown', offsetMeters: null, outsideCount: 0, insideCount: 0, since: null };
+          busState.trip = null;
+          busState.delaySeconds = null;
+          busState.sublineAssignment = createSublineAssignment();
           currentSublineRtId = null; // Set current to null to trigger re-matching on next data
       }
   }
@@ -445,27 +981,94 @@ async function processLocationData(rawData) {
   // This logic would go here if implemented (requires tracking previous state and comparing rt_ids)
   if (previousSublineRtId && previousSublineRtId !== currentSublineRtId) {
      console.log(`[${busId}] Subline change detected: ${previousSublineRtId} -> ${currentSublineRtId}. Sending 'close' for old subline.`);
-     const closeMessage = {
-         type: "close",
-         rt_id: previousSublineRtId, // Use the old subline rt_id
-         // Format timestamp as "YYYYMMDD HHmmss"
-         upd: busState.lastProcessedTimestamp ? busState.lastProcessedTimestamp.replace('T', ' ').substring(0, 17).replace(/\..*$/, '').replace(/[-:]/g, '') : currentTimestamp.replace('T', ' ').substring(0, 17).replace(/\..*$/, '').replace(/[-:]/g, ''),
-         date: busState.lastProcessedTimestamp ? busState.lastProcessedTimestamp.replace('T', ' ').substring(0, 17).replace(/\..*$/, '').replace(/[-:]/g, '') : currentTimestamp.replace('T', ' ').substring(0, 17).replace(/\..*$/, '').replace(/[-:]/g, ''),
-         del: 0, // Delay placeholder
-         pass: "0", // Passengers placeholder
-         lat: busState.history[busState.history.length - 2]?.lat || currentLat, // Previous known lat if available
-         lng: busState.history[busState.history.length - 2]?.lng || currentLng, // Previous known lng if available
-         stop_id: 0, // Placeholder
-         stop_code: "-", // Placeholder
-         stop_nam: "-" // Placeholder
-     };
+     const closeMessage = buildCloseMessage(
+         busId,
+         busState,
+         previousSublineRtId, // Use the old subline rt_id
+         busState.history[busState.history.length - 2]?.lat || currentLat, // Previous known lat if available
+         busState.history[busState.history.length - 2]?.lng || currentLng, // Previous known lng if available
+         currentTimestamp
+     );
      // Broadcast the 'close' message using the injected function
-     if (broadcastToRouteClientsFunction) {
-         broadcastToRouteClientsFunction(closeMessage);
+     if (broadcastFunction) {
+         broadcastFunction(closeMessage);
          console.log(`[${busId}] Sent 'close' message for old subline rt_id ${previousSublineRtId}.`);
-     } else {
+     } else if (!replay) {
          console.warn(`[${busId}] Broadcast function not available, cannot send 'close' message for old subline rt_id ${previousSublineRtId}.`);
      }
+     // The trip belonged to the old subline
+     busState.trip = null;
+     busState.delaySeconds = null;
+  }
+
+
+  // --- Load Stops and Shape for the Subline, then Map-Match the Fix ---
+  // The fix is projected onto the subline's KML shape: the projection gives the distances along the path
+  // used for ETAs, and its distance from the shape tells whether the bus is still on its route.
+  let alongPath = null;
+  if (currentSublineRtId !== null) {
+    // Check if stops for this subline are already known and cached in busState (and the network was not reloaded since)
+    if (!busState.stopsForCurrentSublineRtId || busState.stopsForCurrentSublineRtId.rtId !== currentSublineRtId ||
+        busState.stopsForCurrentSublineRtId.networkVersion !== getNetworkVersion()) {
+         console.log(`[${busId}] Fetching stops for newly matched/confirmed subline rt_id: ${currentSublineRtId}`);
+         // We need the mainRouteId to fetch stops via getOrderedStopsForRouteSublines.
+         // This function fetches stops for ALL sublines of the main route.
+         // We then need to pick the stops for the specific currentSublineRtId.
+         const allStopsForMainRoute = await getOrderedStopsForRouteSublines(mainRouteId); // Fetch stops for the main route
+         console.log("fadwa");
+         console.log(allStopsForMainRoute);
+         if (allStopsForMainRoute && allStopsForMainRoute.has(currentSublineRtId)) { // Check if the specific subline ID exists in the map
+             busState.stopsForCurrentSublineRtId = {
+                 rtId: currentSublineRtId,
+                 networkVersion: getNetworkVersion(),
+                 stops: allStopsForMainRoute.get(currentSublineRtId), // Get stops for the specific subline ID
+                 shape: await loadSublineShape(currentSublineRtId), // KML path for along-the-path distances (null if none)
+             };
+             console.log(`[${busId}] Cached ${busState.stopsForCurrentSublineRtId.stops.length} stops for subline rt_id ${currentSublineRtId}`);
+         } else {
+             console.warn(`[${busId}] Could not fetch or find stops for subline rt_id ${currentSublineRtId} (on main route ${mainRouteId}). Cannot generate 'esta-info'.`);
+             busState.stopsForCurrentSublineRtId = { rtId: currentSublineRtId, networkVersion: getNetworkVersion(), stops: [], shape: null }; // Mark as fetched but empty/failed
+         }
+         busState.pathDistanceAlong = null; // Position on the previous subline's shape no longer applies
+         if (busState.routeState.status !== 'off-route') {
+             busState.routeState = { status: 'unknown', offsetMeters: null, outsideCount: 0, insideCount: 0, since: null };
+         }
+    }
+
+    const cachedSubline = busState.stopsForCurrentSublineRtId;
+    if (cachedSubline.shape && cachedSubline.stops.length > 0) {
+        alongPath = getAlongPathDistances(cachedSubline.shape, cachedSubline.stops, currentLat, currentLng, busState.pathDistanceAlong);
+    }
+
+    const routeTransition = updateRouteState(busState, alongPath ? alongPath.closestOffsetMeters : null, currentTimestamp);
+    if (busState.routeState.status === 'off-route') {
+        alongPath = null; // A projection from off the route is meaningless for ETAs
+    } else if (alongPath) {
+        busState.pathDistanceAlong = alongPath.bus.distanceAlong;
+    }
+
+    if (routeTransition) {
+        const offRouteMessage = {
+            type: "off-route",
+            rt_id: currentSublineRtId,
+            bus_id: busId,
+            upd: currentTimestamp.replace('T', ' ').substring(0, 19).replace(/\..*$/, '').replace(/[-:]/g, ''),
+            date: currentTimestamp.replace('T', ' ').substring(0, 19).replace(/\..*$/, '').replace(/[-:]/g, ''),
+            off: routeTransition === 'off-route', // true when the bus left the route, false when it is back on it
+            dist: Math.round(busState.routeState.offsetMeters), // Distance from the route path in meters
+            lat: lat,
+            lng: lng,
+        };
+        console.log(`[${busId}] Route state changed to '${routeTransition}' on subline rt_id ${currentSublineRtId} (${offRouteMessage.dist} m from the path, corridor ${ROUTE_CORRIDOR_METERS} m).`);
+        if (routeTransition === 'off-route') {
+            busState.lastEstaInfo = null; // Stop publishing stale ETAs (GTFS-Realtime TripUpdates)
+        }
+        if (broadcastFunction) {
+            broadcastFunction(offRouteMessage);
+        } else if (!replay) {
+            console.warn(`[${busId}] Broadcast function not available, cannot send 'off-route' message for subline rt_id ${currentSublineRtId}.`);
+        }
+    }
   }
 
 
@@ -477,20 +1080,23 @@ async function processLocationData(rawData) {
     const positionMessage = {
       type: "position",
       rt_id: currentSublineRtId, // Use the *subline* ID as the rt_id for broadcasting
+      bus_id: busId,
       // Format timestamp as "YYYYMMDD HHmmss"
       upd: currentTimestamp.replace('T', ' ').substring(0, 19).replace(/\..*$/, '').replace(/[-:]/g, ''),
       date: currentTimestamp.replace('T', ' ').substring(0, 19).replace(/\..*$/, '').replace(/[-:]/g, ''),
       lat: lat,
       lng: lng,
       // Convert velocity from m/s to km/h if the expected format is km/h
-      vel: velocityKmh // Use converted velocity
+      vel: velocityKmh, // Use converted velocity
+      off: busState.routeState.status === 'off-route', // Bus is outside the route corridor
+      conf: Math.round(busState.sublineAssignment.confidence * 100) / 100, // Confidence (0-1) that the bus is on this subline
     };
 
     // Broadcast the message using the injected function
-    if (broadcastToRouteClientsFunction) {
-        broadcastToRouteClientsFunction(positionMessage);
+    if (broadcastFunction) {
+        broadcastFunction(positionMessage);
         console.log(`[${busId}] Sent 'position' message for subline rt_id ${currentSublineRtId} at (${lat}, ${lng}), vel ${velocityKmh.toFixed(2)} km/h`);
-    } else {
+    } else if (!replay) {
         console.warn(`[${busId}] Broadcast function not available, cannot send 'position' message for subline rt_id ${currentSublineRtId}.`);
     }
   } else {
@@ -500,25 +1106,71 @@ async function processLocationData(rawData) {
   }
 
 
-  // --- Determine Upcoming Stops and Send 'esta-info' (if subline rt_id is known and subline data is available) ---
-  if (currentSublineRtId !== null) {
-    // Check if stops for this subline are already known and cached in busState or globally
-    if (!busState.stopsForCurrentSublineRtId || busState.stopsForCurrentSublineRtId.rtId !== currentSublineRtId) {
-         console.log(`[${busId}] Fetching stops for newly matched/confirmed subline rt_id: ${currentSublineRtId}`);
-         // We need the mainRouteId to fetch stops via getOrderedStopsForRouteSublines.
-         // This function fetches stops for ALL sublines of the main route.
-         // We then need to pick the stops for the specific currentSublineRtId.
-         const allStopsForMainRoute = await getOrderedStopsForRouteSublines(mainRouteId); // Fetch stops for the main route
-         console.log("fadwa");
-         console.log(allStopsForMainRoute);
-         if (allStopsForMainRoute && allStopsForMainRoute.has(currentSublineRtId)) { // Check if the specific subline ID exists in the map
-             busState.stopsForCurrentSublineRtId = { rtId: currentSublineRtId, stops: allStopsForMainRoute.get(currentSublineRtId) }; // Get stops for the specific subline ID
-             console.log(`[${busId}] Cached ${busState.stopsForCurrentSublineRtId.stops.length} stops for subline rt_id ${currentSublineRtId}`);
-         } else {
-             console.warn(`[${busId}] Could not fetch or find stops for subline rt_id ${currentSublineRtId} (on main route ${mainRouteId}). Cannot generate 'esta-info'.`);
-             busState.stopsForCurrentSublineRtId = { rtId: currentSublineRtId, stops: [] }; // Mark as fetched but empty/failed
-         }
+  // --- Detect Stop Arrivals/Departures and Send 'stop-arrival'/'stop-departure' messages ---
+  if (currentSublineRtId !== null && busState.routeState.status !== 'off-route' && busState.stopsForCurrentSublineRtId.stops.length > 0) {
+    const stopsOnSubline = busState.stopsForCurrentSublineRtId.stops;
+    const stopEvents = updateStopVisits(busState, currentSublineRtId, stopsOnSubline, alongPath, currentLat, currentLng, currentTimestamp);
+    const toMessageTime = (isoTimestamp) => isoTimestamp.replace('T', ' ').substring(0, 19).replace(/\..*$/, '').replace(/[-:]/g, ''); // "YYYYMMDD HHmmss"
+
+    for (const event of stopEvents) {
+      const stop = stopsOnSubline[event.stopIndex];
+      await updateTripDelay(busId, busState, currentSublineRtId, stop, event);
+      const stopMessage = {
+        type: event.type,
+        rt_id: currentSublineRtId,
+        bus_id: busId,
+        upd: toMessageTime(currentTimestamp),
+        date: toMessageTime(currentTimestamp),
+        stop_id: stop.id,
+        stop_code: stop.cod,
+        stop_nam: stop.nam,
+        stop_order: stop.order,
+        arr_t: toMessageTime(event.arrivedAt).substring(9), // HHmmss
+        del: busState.delaySeconds, // Seconds late (negative = early) vs. the scheduled trip, null without a timetable
+        lat: lat,
+        lng: lng,
+      };
+      if (simulation) {
+        // Simulated and re-played trips must not add samples to the travel times of the real buses
+      } else if (event.type === 'stop-arrival') {
+        recordStopArrival(busId, currentSublineRtId, stop, event.arrivedAt);
+      } else {
+        recordStopDeparture(busId, currentSublineRtId, stop, event.arrivedAt, event.departedAt, event.stopped);
+      }
+      if (event.type === 'stop-departure') {
+        stopMessage.dep_t = toMessageTime(event.departedAt).substring(9); // HHmmss
+        stopMessage.dwell = Math.round((new Date(event.departedAt) - new Date(event.arrivedAt)) / 1000); // Seconds spent within the stop radius
+        stopMessage.stopped = event.stopped; // false for a drive-through
+      }
+
+      if (broadcastFunction) {
+        broadcastFunction(stopMessage);
+        console.log(`[${busId}] Sent '${event.type}' message for stop ${stop.nam} (${stop.cod}) on subline rt_id ${currentSublineRtId}.`);
+      } else if (!replay) {
+        console.warn(`[${busId}] Broadcast function not available, cannot send '${event.type}' message for subline rt_id ${currentSublineRtId}.`);
+      }
+    }
+
+    // Past the last stop: the bus turns around (or starts a new lap) on the next fix
+    const visit = busState.stopVisit;
+    if (visit && visit.nextStopIndex >= stopsOnSubline.length && !visit.atStop && !visit.completed) {
+      visit.completed = true;
+      const turnaroundRtId = await findTurnaroundSubline(mainRouteId, currentSublineRtId);
+      if (turnaroundRtId !== null) {
+        busState.sublineAssignment.turnaroundRtId = turnaroundRtId;
+      } else {
+        // No subline starts here: leave the next direction to bearing matching, with no confidence left in this one
+        console.log(`[${busId}] Terminus of subline rt_id ${currentSublineRtId} reached, but no subline starts within ${TERMINUS_LINK_RADIUS_METERS} m.`);
+        busState.sublineAssignment.confidence = 0;
+      }
     }
+  }
+
+
+  // --- Determine Upcoming Stops and Send 'esta-info' (if subline rt_id is known, subline data is available and the bus is on route) ---
+  if (currentSublineRtId !== null && busState.routeState.status === 'off-route') {
+    console.log(`[${busId}] Bus is off route (${Math.round(busState.routeState.offsetMeters)} m from subline rt_id ${currentSublineRtId}), skipping 'esta-info' calculation.`);
+  } else if (currentSublineRtId !== null) {
 
     if (busState.stopsForCurrentSublineRtId && busState.stopsForCurrentSublineRtId.rtId === currentSublineRtId && busState.stopsForCurrentSublineRtId.stops.length > 0) {
         const stopsOnSubline = busState.stopsForCurrentSublineRtId.stops;
@@ -554,26 +1206,46 @@ async function processLocationData(rawData) {
             }
         }
 
+        // The stop-visit state machine knows the next stop from actual visits; the closest stop is only a fallback
+        const stopVisit = busState.stopVisit && busState.stopVisit.rtId === currentSublineRtId ? busState.stopVisit : null;
+        const firstUpcomingStopIndex = stopVisit ? stopVisit.nextStopIndex : closestStopIndexInSequence;
+
         if (closestStopIndexInSequence !== -1) {
             const upcomingStopsList = [];
 
-            // Loop through the stops *after* the closest one found in the sequence
+            // Distance along the route path (alongPath, from map-matching above) when the subline has a shape, straight-line otherwise.
+            const distancesToStops = stopsOnSubline.map((stop, i) => alongPath
+                ? Math.max(0, alongPath.distances[i]) // A stop slightly behind the bus counts as reached
+                : haversineDistance(currentLat, currentLng, stop.lat, stop.lon));
+            const secondsToStops = estimateSecondsToStops(
+                currentSublineRtId,
+                stopsOnSubline,
+                firstUpcomingStopIndex,
+                distancesToStops[firstUpcomingStopIndex],
+                alongPath ? alongPath.stopDistancesAlong : null,
+                currentVel
+            );
+
+            // Loop through the stops from the next one to visit (or the stop the bus is at)
             // These are the "upcoming" stops based on the determined direction (subline path).
-            for (let i = closestStopIndexInSequence /*+ 1*/; i < stopsOnSubline.length; i++) {
+            for (let i = firstUpcomingStopIndex; i < stopsOnSubline.length; i++) {
                 const stop = stopsOnSubline[i];
 
-                // Calculate estimated distance and time to this specific stop
-                // This is a basic estimate based on straight-line distance and current speed.
-                // A more accurate estimate would consider the route path geometry between points.
-                const distanceToThisStop = haversineDistance(currentLat, currentLng, stop.lat, stop.lon);
-                const estimatedTimeToThisStop = calculateEstimatedTime(distanceToThisStop, currentVel); // Implement this function
+                // Estimated distance and time to this specific stop (learned segment times blended with live speed)
+                const distanceToThisStop = distancesToStops[i];
+                const estimatedTimeToThisStop = formatEstimatedTime(secondsToStops[i]);
 
                 // Derive stop_arrival_time and stop_departure_time (basic estimation based on distance/velocity)
                 let stopArrivalTime = estimatedTimeToThisStop; // Use the calculated time as arrival
                 let stopDepartureTime = null;
+                if (stopVisit && stopVisit.atStop && stopVisit.atStop.index === i) {
+                    // The bus is at this stop: report when it actually arrived
+                    stopArrivalTime = stopVisit.atStop.enteredAt.replace('T', ' ').substring(0, 19).replace(/\..*$/, '').replace(/[-:]/g, '');
+                }
                 if (stopArrivalTime) {
                     // Calculate departure time as arrival time + 30 seconds
-                    const arrivalDate = new Date(`${stopArrivalTime.substring(0, 8)}T${stopArrivalTime.substring(9, 11)}:${stopArrivalTime.substring(11, 13)}:${stopArrivalTime.substring(13, 15)}`);
+                    // stopArrivalTime is 'YYYYMMDD HHmmss' in UTC
+                    const arrivalDate = new Date(`${stopArrivalTime.substring(0, 4)}-${stopArrivalTime.substring(4, 6)}-${stopArrivalTime.substring(6, 8)}T${stopArrivalTime.substring(9, 11)}:${stopArrivalTime.substring(11, 13)}:${stopArrivalTime.substring(13, 15)}Z`);
                     const departureDate = new Date(arrivalDate.getTime() + STOP_DEPARTURE_ADD_SECONDS * 1000);
                     stopDepartureTime = `${departureDate.getUTCFullYear()}${String(departureDate.getUTCMonth() + 1).padStart(2, '0')}${String(departureDate.getUTCDate()).padStart(2, '0')} ${String(departureDate.getUTCHours()).padStart(2, '0')}${String(departureDate.getUTCMinutes()).padStart(2, '0')}${String(departureDate.getUTCSeconds()).padStart(2, '0')}`;
                 }
@@ -604,10 +1276,11 @@ async function processLocationData(rawData) {
                 // The 'esta-info' message format expects:
                 // - stops: Array of upcoming stops (with calculated times/dists)
                 // - pos: Current position and velocity of the bus
-                // - bus: Static or dynamic bus capacity info (made static here)
+                // - bus: Bus capacity and the occupancy reported by the driver
                 const estaInfoMessage = {
                     type: "esta-info",
                     rt_id: currentSublineRtId, // Use the *subline* ID as the rt_id for broadcasting
+                    bus_id: busId,
                     // Use the current timestamp for 'upd' and 'date'
                     upd: currentTimeFormatted.replace(/\s|-|:/g, ''), // Format as YYYYMMDD HHmmss
                     date: currentTimeFormatted.replace(/\s|-|:/g, ''),
@@ -618,27 +1291,25 @@ async function processLocationData(rawData) {
                         vel: currentVel * 3.6, // Convert m/s to km/h
                         time: currentTimeFormatted.replace(/\s|-|:/g, ''), // Format as YYYYMMDD HHmmss
                     },
-                    bus: { // Static capacity info for now
-                        pas: 0, // Placeholder - get from phone app data if available
-                        cap: 50, // Placeholder
-                        cap_seated: 30, // Placeholder
-                        cap_standing: 20, // Placeholder
-                    }
+                    bus: buildBusOccupancyInfo(busState.occupancy, busState.capacity), // Capacity and live occupancy
                 };
 
+                busState.lastEstaInfo = replay ? null : estaInfoMessage; // Kept for GTFS-Realtime TripUpdates (not from outdated fixes)
+
                 // Broadcast the 'esta-info' message using the injected function
-                if (broadcastToRouteClientsFunction) {
-                    broadcastToRouteClientsFunction(estaInfoMessage);
+                if (broadcastFunction) {
+                    broadcastFunction(estaInfoMessage);
                     console.log(`[${busId}] Sent 'esta-info' message for subline rt_id ${currentSublineRtId}, next stop: ${upcomingStopsList[0]?.stop_nam ?? 'None'}`);
-                } else {
+                } else if (!replay) {
                     console.warn(`[${busId}] Broadcast function not available, cannot send 'esta-info' message for subline rt_id ${currentSublineRtId}.`);
                 }
             } else {
-                console.log(`[${busId}] No upcoming stops found on subline rt_id ${currentSublineRtId} after the closest stop in sequence.`);
+                console.log(`[${busId}] No upcoming stops found on subline rt_id ${currentSublineRtId} after the ${stopVisit ? 'last visited stop' : 'closest stop in sequence'}.`);
                 // Potentially send an 'esta-info' with an empty stops array or a specific message if the bus is at/near the last stop
                 const emptyEstaInfoMessage = {
                     type: "esta-info",
                     rt_id: currentSublineRtId, // Use the *subline* ID
+                    bus_id: busId,
                     upd: currentTimeFormatted.replace(/\s|-|:/g, ''), // Format as YYYYMMDD HHmmss
                     date: currentTimeFormatted.replace(/\s|-|:/g, ''),
                     stops: [], // Send an empty list if no upcoming stops
@@ -648,17 +1319,13 @@ async function processLocationData(rawData) {
                         vel: currentVel * 3.6,
                         time: currentTimeFormatted.replace(/\s|-|:/g, ''), // Format as YYYYMMDD HHmmss
                     },
-                    bus: {
-                        pas: 0,
-                        cap: 50,
-                        cap_seated: 30,
-                        cap_standing: 20,
-                    }
+                    bus: buildBusOccupancyInfo(busState.occupancy, busState.capacity),
                 };
-                if (broadcastToRouteClientsFunction) {
-                    broadcastToRouteClientsFunction(emptyEstaInfoMessage);
+                busState.lastEstaInfo = replay ? null : emptyEstaInfoMessage;
+                if (broadcastFunction) {
+                    broadcastFunction(emptyEstaInfoMessage);
                     console.log(`[${busId}] Sent 'esta-info' message with empty stops list for subline rt_id ${currentSublineRtId} (likely near end of route).`);
-                } else {
+                } else if (!replay) {
                     console.warn(`[${busId}] Broadcast function not available, cannot send empty 'esta-info' message for subline rt_id ${currentSublineRtId}.`);
                 }
             }
@@ -681,6 +1348,7 @@ async function processLocationData(rawData) {
   busState.lastProcessedSublineRtId = currentSublineRtId; // Update the ID used for *next* change detection
   busState.lastProcessedTimestamp = currentTimestamp; // Update the timestamp used for *next* message
   activeBusStates.set(busId, busState);
+  publishBusState(busId, busState);
 
   console.log(`[${busId}] Finished processing location data. Current main route: ${mainRouteId}, Current subline rt_id: ${currentSublineRtId}, History length: ${busState.history.length}.`);
 }
@@ -752,17 +1420,9 @@ async function getSublinesWithBusesToStation(targetStation, numberOfDepartures)
   console.log(`[RealtimeProcessor] Searching for sublines with buses heading to station ID: ${targetStationId}, limit: ${limit}`);
 
   try {
-    // 1. Find all sublines that include the target station
-    // This query gets the subline ID (rt_id) directly, which is the SubLine.id
-    const sublinesForStationQuery = `
-      SELECT sl.id AS subline_id -- This is the rt_id used for broadcasting
-      FROM "SubLine" sl
-      JOIN "SubLineStop" sls ON sl.id = sls.sublineid
-      WHERE sls.stopid = $1
-      ORDER BY sl.id; -- Order by subline ID for consistency
-    `;
-    const sublinesResult = await pool.query(sublinesForStationQuery, [targetStationId]);
-    const sublineIds = sublinesResult.rows.map(row => row.subline_id);
+    // 1. Find all sublines that include the target station (from the network cache)
+    // The subline ID is the rt_id used for broadcasting
+    const sublineIds = [...await getSublinesServingStop(targetStationId)].sort((a, b) => a - b); // Order by subline ID for consistency
 
     if (sublineIds.length === 0) {
       console.log(`[RealtimeProcessor] No sublines found serving station ID ${targetStationId}.`);
@@ -772,47 +1432,33 @@ async function getSublinesWithBusesToStation(targetStation, numberOfDepartures)
     console.log(`[RealtimeProcessor] Found ${sublineIds.length} subline(s) serving station ID ${targetStationId}:`, sublineIds);
 
     // 2. Get the ordered stops for each of these specific sublines
-    // This query fetches stops for multiple specific subline IDs efficiently
-    const stopsForSublinesQuery = `
-      SELECT sls.sublineid, s.id AS stop_id, s.cod AS stop_cod, s.nam AS stop_nam, s.lat AS stop_lat, s.lon AS stop_lon, sls.stoporder AS stop_order
-      FROM "SubLineStop" sls
-      JOIN "Stop" s ON sls.stopid = s.id
-      WHERE sls.sublineid = ANY($1) -- Use the array of specific subline IDs
-      ORDER BY sls.sublineid, sls.stoporder ASC; -- Order by subline first, then by stop order within each subline
-    `;
-    const stopsResult = await pool.query(stopsForSublinesQuery, [sublineIds]);
-
-    // Organize the stops by subline ID for quick lookup
     const stopsBySubline = new Map();
-    stopsResult.rows.forEach(row => {
-      if (!stopsBySubline.has(row.sublineid)) {
-        stopsBySubline.set(row.sublineid, []);
-      }
-      stopsBySubline.get(row.sublineid).push({
-        id: row.stop_id,
-        cod: row.stop_cod,
-        nam: row.stop_nam,
-        lat: row.stop_lat,
-        lon: row.stop_lon,
-        order: row.stop_order,
-      });
-    });
+    for (const sublineId of sublineIds) {
+      stopsBySubline.set(sublineId, await getStopsForSubline(sublineId));
+    }
 
     // 3. Check active buses against these specific sublines and their stop sequences
     const potentialDepartures = [];
     console.log("yahia");
-    console.log(activeBusStates.entries());
+    const busStates = getAllBusStates(); // Buses processed by this and the other instances
+    console.log(busStates.entries());
     
-    for (const [busId, busState] of activeBusStates.entries()) {
+    for (const [busId, busState] of busStates.entries()) {
       console.log("busState");
       console.log(busState);
       const currentRtId = busState.currentSublineRtId; // Use the determined subline ID (SubLine.id)
 
+      // Buses that left their route get no predictions until they are back on it
+      if (busState.routeState && busState.routeState.status === 'off-route') {
+        console.log(`[RealtimeProcessor] Bus ${busId} is off route (rt_id ${currentRtId}), excluding it from departures.`);
+        continue;
+      }
+
       // Check if the bus's current rt_id matches one of the sublines serving the target station
       if (currentRtId && sublineIds.includes(currentRtId)) {
         const currentLat = busState.lat;
         const currentLng = busState.lng;
-        const currentVel = busState.velocity; // Assuming m/s
+        const currentVel = busState.velocity / 3.6; // busState.velocity is stored in km/h, convert to m/s
         
         // Validate bus coordinates before proceeding
         if (typeof currentLat !== 'number' || typeof currentLng !== 'number' || isNaN(currentLat) || isNaN(currentLng)) {
@@ -845,48 +1491,84 @@ async function getSublinesWithBusesToStation(targetStation, numberOfDepartures)
 
         const { closestStopIndex, upcomingStops } = sequenceInfo;
 
+        // Distances along the subline's KML shape, if it has one
+        const sublineShape = await loadSublineShape(currentRtId);
+        const alongPath = sublineShape
+          ? getAlongPathDistances(sublineShape, stopsOnBusSubline, currentLat, currentLng, busState.pathDistanceAlong)
+          : null;
+
         // 4. Determine if the target station is in the list of upcoming stops
         // This means the bus is currently located *before* the target station in the subline's sequence.
-        // A simple check: is the target stop's index *after* the closest stop's index?
-        if (targetStopIndex >= closestStopIndex) {
+        // With a shape, compare positions along the path; otherwise check the target stop's index is *after* the closest stop's index.
+        // Without a shape, the stop-visit state machine's next stop beats the nearest-stop guess when available.
+        const stopVisit = busState.stopVisit && busState.stopVisit.rtId === currentRtId ? busState.stopVisit : null;
+        const isTargetAhead = alongPath
+          ? alongPath.distances[targetStopIndex] >= -STOP_DETECTION_RADIUS_METERS
+          : targetStopIndex >= (stopVisit ? stopVisit.nextStopIndex : closestStopIndex);
+        if (isTargetAhead) {
           // Calculate estimated time/distance to the target station
-          // This is a basic estimate using haversine distance and current speed along the *straight line*.
-          // A more accurate estimate would use the route path geometry between stops.
+          // Distance along the route path when available, straight-line haversine otherwise.
           const targetStopDetails = stopsOnBusSubline[targetStopIndex];
-          const distanceToTarget = haversineDistance(currentLat, currentLng, targetStopDetails.lat, targetStopDetails.lon);
+          const distanceToTarget = alongPath
+            ? Math.max(0, alongPath.distances[targetStopIndex])
+            : haversineDistance(currentLat, currentLng, targetStopDetails.lat, targetStopDetails.lon);
+          // Learned segment times blended with live speed, from the next stop the bus will reach up to the target
+          let firstIndex = stopVisit ? stopVisit.nextStopIndex : closestStopIndex;
+          if (alongPath && !stopVisit) {
+            firstIndex = alongPath.distances.findIndex(distance => distance >= 0);
+          }
+          firstIndex = Math.min(Math.max(firstIndex, 0), targetStopIndex);
+          const distanceToFirstStop = alongPath
+            ? Math.max(0, alongPath.distances[firstIndex])
+            : haversineDistance(currentLat, currentLng, stopsOnBusSubline[firstIndex].lat, stopsOnBusSubline[firstIndex].lon);
+          const secondsToTarget = estimateSecondsToStops(
+            currentRtId,
+            stopsOnBusSubline,
+            firstIndex,
+            distanceToFirstStop,
+            alongPath ? alongPath.stopDistancesAlong : null,
+            currentVel
+          )[targetStopIndex];
+
           let estimatedTimeSeconds = Infinity;
           let estimatedArrivalTime = null;
-          if (currentVel > 0.5) { // Threshold for "moving" (e.g., 0.5 m/s)
-              estimatedTimeSeconds = distanceToTarget / currentVel; // Time in seconds
+          if (secondsToTarget !== null) {
+              estimatedTimeSeconds = secondsToTarget; // Time in seconds
               estimatedArrivalTime = new Date(Date.now() + estimatedTimeSeconds * 1000);
           } else {
-              console.log(`[RealtimeProcessor] Bus ${busId} is stationary or moving slowly (< 0.5 m/s), cannot calculate arrival time to station ${targetStationId}.`);
+              console.log(`[RealtimeProcessor] Bus ${busId} is stationary or moving slowly (< ${MIN_LIVE_SPEED_MPS} m/s) and has no learned segment times, cannot calculate arrival time to station ${targetStationId}.`);
               // Depending on requirements, you might still include it with estimated_time_seconds = Infinity or null,
               // or exclude it entirely if it's not actively approaching.
               // For now, let's include it but mark the time as unavailable or infinite.
               estimatedTimeSeconds = Infinity; // Or null, depending on how the frontend handles it
               estimatedArrivalTime = null; // Or a specific string like "N/A"
           }
+          // Scheduled arrival of the bus's trip at the station, if it was matched to one
+          const trip = busState.trip && busState.trip.sublineId === currentRtId ? busState.trip : null;
+          let scheduledArrivalTime = null;
+          if (trip) {
+              try {
+                  const stopTime = await getTripStopTime(trip, targetStopDetails.order);
+                  scheduledArrivalTime = stopTime ? stopTime.arrival : null;
+              } catch (dbError) {
+                  console.error(`[RealtimeProcessor] Error fetching scheduled time of trip ${trip.cod} at station ${targetStationId}:`, dbError);
+              }
+          }
+
           // --- FETCH ADDITIONAL INFO: Main Route ID, Route Name, Subline Name ---
           let routeId = null;
           let routeName = null;
           let sublineName = null;
           let lastBusCoordinates = null;
           try {
-              // Query to get main RouteLine ID, Name, and SubLine Name using the currentRtId (SubLine.id)
-              const routeInfoQuery = `
-                SELECT rl.id AS route_line_id, rl.cod AS route_line_code, rl.nam AS route_line_name, sl.cod AS subline_code, sl.nam AS subline_name
-                FROM "SubLine" sl
-                JOIN "RouteLine" rl ON sl.lineid = rl.id
-                WHERE sl.id = $1;
-              `;
-              const routeInfoResult = await pool.query(routeInfoQuery, [currentRtId]);
-              if (routeInfoResult.rows.length > 0) {
-                  routeId = routeInfoResult.rows[0].route_line_id;
-                  routeCode = routeInfoResult.rows[0].route_line_code;
-                  routeName = routeInfoResult.rows[0].route_line_name;
-                  sublineCode = routeInfoResult.rows[0].subline_code;
-                  sublineName = routeInfoResult.rows[0].subline_name;
+              // Main RouteLine ID, Name, and SubLine Name of the currentRtId (SubLine.id), from the network cache
+              const subline = await getSubline(currentRtId);
+              if (subline) {
+                  routeId = subline.lineId;
+                  routeCode = subline.lineCod;
+                  routeName = subline.lineNam;
+                  sublineCode = subline.cod;
+                  sublineName = subline.nam;
               } else {
                   console.error(`[RealtimeProcessor] Could not find route/subline info for rt_id ${currentRtId}.`);
               }
@@ -928,6 +1610,10 @@ async function getSublinesWithBusesToStation(targetStation, numberOfDepartures)
             last_bus_coordinates: lastBusCoordinates, // Last coordinates from the history array
             estimated_arrival_at_station: estimatedArrivalTime, // ISO string or null if not calculable
             estimated_time_seconds: estimatedTimeSeconds, // Raw time in seconds (can be Infinity)
+            stale: busState.stale, // No data from the bus for a while: its position and ETA may be outdated
+            occupancy: buildBusOccupancyInfo(busState.occupancy, busState.capacity), // Passengers, capacity and occupancy status
+            trip: trip, // Scheduled trip the bus is running, or null
+            scheduled_arrival_at_station: scheduledArrivalTime, // Date from the trip's timetable, or null
             distance_to_station_meters: distanceToTarget, // Raw distance in meters
             // Add other bus-specific info if needed (e.g., passenger count if available from phone app data)
           });
@@ -962,6 +1648,34 @@ async function getSublinesWithBusesToStation(targetStation, numberOfDepartures)
     return [];
   }
 }
+// --- Occupancy Reports from the Driver App ---
+
+/**
+ * Processes an occupancy report sent by the driver app ({ type: 'occupancy', busId, boarding, alighting, passengers, occupancy }).
+ * The new occupancy is published with the bus's next 'esta-info' message, its departures and the GTFS-Realtime feed.
+ * @param {object} rawData - The report (see occupancyService.validateOccupancyReport for the fields).
+ * @returns {{error: string}|{bus: object}} An error for the driver app, or the bus's updated 'bus' block.
+ */
+function processOccupancyData(rawData) {
+  const { busId } = rawData;
+  const busState = activeBusStates.get(busId);
+  if (!busState) {
+    console.warn(`[${busId}] Occupancy report received before any location data, ignoring it.`);
+    return { error: 'Send a location update before reporting occupancy' };
+  }
+  const validationError = validateOccupancyReport(rawData);
+  if (validationError) {
+    console.warn(`[${busId}] Invalid occupancy report: ${validationError}.`, rawData);
+    return { error: validationError };
+  }
+
+  applyOccupancyReport(busState.occupancy, rawData, new Date().toISOString());
+  publishBusState(busId, busState);
+  const busInfo = buildBusOccupancyInfo(busState.occupancy, busState.capacity);
+  console.log(`[${busId}] Occupancy updated: ${busInfo.pas === null ? 'unknown' : busInfo.pas} passenger(s), status ${busInfo.occ}.`);
+  return { bus: busInfo };
+}
+
 // --- Output Broadcasting Functions (to be injected) ---
 
 /**
@@ -973,21 +1687,106 @@ function injectBroadcastFunction(broadcastFunc) {
     broadcastToRouteClientsFunction = broadcastFunc;
 }
 
+// --- Bus Removal ---
+
+/**
+ * Takes a bus out of service: broadcasts a 'close' message for its subline and removes it from activeBusStates
+ * (and so from departures and the GTFS-Realtime feeds). Used when a bus expires or its driver's session pauses or ends.
+ * @param {string|number} busId
+ * @param {string} reason - For the logs (e.g. 'bus expired', 'session ended').
+ * @returns {boolean} false if the bus was not active.
+ */
+function removeBus(busId, reason) {
+  const busState = activeBusStates.get(busId);
+  if (!busState) {
+    return false;
+  }
+  if (busState.currentSublineRtId !== null) {
+    const fallbackTimestamp = new Date(busState.lastSeenAt || Date.now()).toISOString();
+    const closeMessage = buildCloseMessage(busId, busState, busState.currentSublineRtId, busState.lat, busState.lng, fallbackTimestamp);
+    if (broadcastToRouteClientsFunction) {
+      broadcastToRouteClientsFunction(closeMessage);
+      console.log(`[${busId}] Sent 'close' message for subline rt_id ${busState.currentSublineRtId} (${reason}).`);
+    } else {
+      console.warn(`[${busId}] Broadcast function not available, cannot send 'close' message for subline rt_id ${busState.currentSublineRtId} (${reason}).`);
+    }
+  }
+  activeBusStates.delete(busId);
+  publish('bus-removed', { busId });
+  return true;
+}
+
+// --- Stale Bus Sweeper ---
+
+/**
+ * Marks buses that stopped reporting as stale, and expires them after a longer silence:
+ * a 'close' message is broadcast for their subline and they are removed from activeBusStates
+ * (and so from departures and the GTFS-Realtime feeds).
+ */
+function sweepStaleBuses() {
+  const now = Date.now();
+  for (const [busId, busState] of activeBusStates.entries()) {
+    if (busState.lastSeenAt === null) {
+      continue;
+    }
+    const silenceSeconds = (now - busState.lastSeenAt) / 1000;
+
+    if (silenceSeconds >= BUS_EXPIRE_AFTER_SECONDS) {
+      console.log(`[${busId}] No data for ${Math.round(silenceSeconds)}s, expiring bus.`);
+      removeBus(busId, 'bus expired');
+    } else if (silenceSeconds >= BUS_STALE_AFTER_SECONDS && !busState.stale) {
+      console.log(`[${busId}] No data for ${Math.round(silenceSeconds)}s, marking bus as stale.`);
+      busState.stale = true;
+      publishBusState(busId, busState);
+    }
+  }
+
+  // Buses of an instance that went away: its clients have moved, so each instance closes them for its own clients
+  for (const [busId, remoteState] of remoteBusStates.entries()) {
+    const silenceSeconds = (now - remoteState.lastSeenAt) / 1000;
+    if (silenceSeconds >= BUS_EXPIRE_AFTER_SECONDS + BUS_STALE_AFTER_SECONDS) {
+      console.log(`[${busId}] No state from instance ${remoteState.instanceId} for ${Math.round(silenceSeconds)}s, forgetting bus.`);
+      if (remoteState.currentSublineRtId !== null) {
+        const fallbackTimestamp = new Date(remoteState.lastSeenAt).toISOString();
+        publishLocal('broadcast', buildCloseMessage(busId, remoteState, remoteState.currentSublineRtId, remoteState.lat, remoteState.lng, fallbackTimestamp));
+      }
+      remoteBusStates.delete(busId);
+    } else if (silenceSeconds >= BUS_STALE_AFTER_SECONDS) {
+      remoteState.stale = true;
+    }
+  }
+}
+
 // --- Initialization and Teardown ---
 
 // --- Initialization and Teardown ---
 
+let remoteHandlersRegistered = false;
+
 function start() {
   console.log('[RealtimeProcessor] Starting real-time processor components...');
-  // Initialization logic if needed
-  console.log('[RealtimeProcessor] Real-time processor components initialized.');
+  startSegmentTimeRefresh(); // Learned stop-to-stop travel times for ETAs
+  if (!remoteHandlersRegistered) { // Buses processed by other instances (see pubsubService)
+    onEvent('bus-state', handleRemoteBusState);
+    onEvent('bus-removed', handleRemoteBusRemoved);
+    onEvent('broadcast', handleRemoteBroadcast);
+    remoteHandlersRegistered = true;
+  }
+  if (!sweeperTimer) {
+    sweeperTimer = setInterval(sweepStaleBuses, PROCESSING_INTERVAL_MS);
+  }
+  console.log(`[RealtimeProcessor] Real-time processor components initialized (buses stale after ${BUS_STALE_AFTER_SECONDS}s, expired after ${BUS_EXPIRE_AFTER_SECONDS}s).`);
 }
 
 function stop() {
   console.log('[RealtimeProcessor] Stopping real-time processor...');
-  // Teardown logic if needed (e.g., clear intervals, close connections if held here)
+  if (sweeperTimer) {
+    clearInterval(sweeperTimer);
+    sweeperTimer = null;
+  }
+  stopSegmentTimeRefresh();
   console.log('[RealtimeProcessor] Real-time processor stopped.');
 }
 
 // Export the processing function and the injection/start/stop functions
-module.exports = { processLocationData, start, stop, injectBroadcastFunction, activeBusStates, getSublinesWithBusesToStation };
\ No newline at end of file
+module.exports = { processLocationData, processOccupancyData, removeBus, start, stop, injectBroadcastFunction, activeBusStates, getAllBusStates, getSublinesWithBusesToStation };
\ No newline at end of file
@@ -0,0 +1,300 @@
+// src/services/scheduleService.js
+const { pool } = require('../config/database');
+const { formatLocalDate, serviceTimeToDate, addDays, formatGtfsTime } = require('../utils/time');
+
+// --- Configuration ---
+const TIMEZONE = process.env.GTFS_AGENCY_TIMEZONE || 'Europe/Madrid'; // Timetables are in local time (same as the GTFS feed)
+const TRIP_MATCH_WINDOW_SECONDS = parseInt(process.env.TRIP_MATCH_WINDOW_SECONDS) || 30 * 60; // Max |actual - scheduled| to match a bus to a trip
+const SCHEDULE_LOOKAHEAD_MINUTES = parseInt(process.env.SCHEDULE_LOOKAHEAD_MINUTES) || 120; // Scheduled departures listed with the realtime ones
+
+// --- Helper Functions ---
+
+/**
+ * Returns the ids of the service calendars running on a service day, applying the calendar exceptions.
+ * @param {string} serviceDate - 'YYYY-MM-DD'.
+ * @returns {Promise<Array<number>>}
+ */
+async function getActiveServiceIds(serviceDate) {
+  const query = `
+    SELECT sc.id
+    FROM "ServiceCalendar" sc
+    WHERE (
+      $1::date BETWEEN sc.start_date AND sc.end_date
+      AND CASE EXTRACT(ISODOW FROM $1::date)
+        WHEN 1 THEN sc.monday WHEN 2 THEN sc.tuesday WHEN 3 THEN sc.wednesday WHEN 4 THEN sc.thursday
+        WHEN 5 THEN sc.friday WHEN 6 THEN sc.saturday ELSE sc.sunday
+      END
+      AND NOT EXISTS (SELECT 1 FROM "ServiceCalendarDate" d WHERE d.service_id = sc.id AND d.date = $1::date AND d.exception_type = 2)
+    )
+    OR EXISTS (SELECT 1 FROM "ServiceCalendarDate" d WHERE d.service_id = sc.id AND d.date = $1::date AND d.exception_type = 1);
+  `;
+  const result = await pool.query(query, [serviceDate]);
+  return result.rows.map(row => row.id);
+}
+
+/**
+ * Lists the service days whose trips can be running at some point between two instants.
+ * Yesterday is included because trips that start late at night run past midnight.
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Array<string>} 'YYYY-MM-DD' dates.
+ */
+function getServiceDatesBetween(from, to) {
+  const dates = [];
+  const last = formatLocalDate(to, TIMEZONE);
+  for (let date = addDays(formatLocalDate(from, TIMEZONE), -1); date <= last; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * Formats a scheduled stop time row of getStopSchedule/getScheduledDepartures.
+ * @param {object} row - Query row with trip, subline, route and stop time columns.
+ * @param {string} serviceDate
+ * @returns {object}
+ */
+function formatScheduledStopTime(row, serviceDate) {
+  return {
+    trip_id: row.trip_id,
+    trip_code: row.trip_cod,
+    headsign: row.headsign,
+    service_date: serviceDate,
+    subline_id: row.sublineid,
+    subline_code: row.subline_cod,
+    subline_name: row.subline_nam,
+    route_id: row.route_id,
+    route_code: row.route_cod,
+    route_name: row.route_nam,
+    stop_order: row.stoporder,
+    arrival_time: formatGtfsTime(row.arrival_seconds), // HH:MM:SS, may exceed 24:00:00
+    departure_time: formatGtfsTime(row.departure_seconds),
+    scheduled_arrival: serviceTimeToDate(serviceDate, row.arrival_seconds, TIMEZONE),
+    scheduled_departure: serviceTimeToDate(serviceDate, row.departure_seconds, TIMEZONE),
+  };
+}
+
+// --- Schedules ---
+
+/**
+ * Returns today's service day in the agency time zone.
+ * @returns {string} 'YYYY-MM-DD'.
+ */
+function getCurrentServiceDate() {
+  return formatLocalDate(new Date(), TIMEZONE);
+}
+
+/**
+ * Returns the scheduled stop times at a stop on one service day, ordered by departure.
+ * @param {number} stopId - "Stop".id.
+ * @param {string} [serviceDate] - 'YYYY-MM-DD', defaults to today in the agency time zone.
+ * @returns {Promise<Array<object>>}
+ */
+async function getStopSchedule(stopId, serviceDate = getCurrentServiceDate()) {
+  const serviceIds = await getActiveServiceIds(serviceDate);
+  if (serviceIds.length === 0) {
+    return [];
+  }
+
+  const query = `
+    SELECT t.id AS trip_id, t.cod AS trip_cod, t.headsign, t.sublineid,
+           sl.cod AS subline_cod, sl.nam AS subline_nam,
+           rl.id AS route_id, rl.cod AS route_cod, rl.nam AS route_nam,
+           st.stoporder, st.arrival_seconds, st.departure_seconds
+    FROM "SubLineStop" sls
+    JOIN "Trip" t ON t.sublineid = sls.sublineid
+    JOIN "TripStopTime" st ON st.trip_id = t.id AND st.stoporder = sls.stoporder
+    JOIN "SubLine" sl ON sl.id = t.sublineid
+    JOIN "RouteLine" rl ON rl.id = sl.lineid
+    WHERE sls.stopid = $1 AND t.service_id = ANY($2)
+    ORDER BY st.departure_seconds, rl.cod, sl.cod;
+  `;
+  const result = await pool.query(query, [stopId, serviceIds]);
+  return result.rows.map(row => formatScheduledStopTime(row, serviceDate));
+}
+
+/**
+ * Returns the scheduled departures from a stop between two instants, across service days.
+ * @param {number} stopId - "Stop".id.
+ * @param {Date} [from] - Defaults to now.
+ * @param {Date} [to] - Defaults to SCHEDULE_LOOKAHEAD_MINUTES after from.
+ * @returns {Promise<Array<object>>} Ordered by scheduled departure.
+ */
+async function getScheduledDepartures(stopId, from = new Date(), to = new Date(from.getTime() + SCHEDULE_LOOKAHEAD_MINUTES * 60 * 1000)) {
+  const departures = [];
+  for (const serviceDate of getServiceDatesBetween(from, to)) {
+    const stopTimes = await getStopSchedule(stopId, serviceDate);
+    stopTimes
+      .filter(stopTime => stopTime.scheduled_departure >= from && stopTime.scheduled_departure <= to)
+      .forEach(stopTime => departures.push(stopTime));
+  }
+  return departures.sort((a, b) => a.scheduled_departure - b.scheduled_departure);
+}
+
+// --- Trip Matching ---
+
+/**
+ * Finds the scheduled trip a bus is running from one of its stop visits: the trip on the same subline whose
+ * scheduled time at that stop is closest to the actual time, within TRIP_MATCH_WINDOW_SECONDS.
+ * @param {number} sublineId - The subline (rt_id) the bus is on.
+ * @param {number} stopOrder - stoporder of the visited stop.
+ * @param {Date} at - When the bus was at the stop.
+ * @returns {Promise<{id: number, cod: string, serviceDate: string, sublineId: number}|null>}
+ */
+async function matchTripForStopVisit(sublineId, stopOrder, at) {
+  const windowMs = TRIP_MATCH_WINDOW_SECONDS * 1000;
+  let bestTrip = null;
+  let bestDifferenceMs = Infinity;
+
+  for (const serviceDate of getServiceDatesBetween(new Date(at.getTime() - windowMs), new Date(at.getTime() + windowMs))) {
+    const serviceIds = await getActiveServiceIds(serviceDate);
+    if (serviceIds.length === 0) {
+      continue;
+    }
+    const query = `
+      SELECT t.id, t.cod, st.arrival_seconds
+      FROM "Trip" t
+      JOIN "TripStopTime" st ON st.trip_id = t.id AND st.stoporder = $2
+      WHERE t.sublineid = $1 AND t.service_id = ANY($3);
+    `;
+    const result = await pool.query(query, [sublineId, stopOrder, serviceIds]);
+    result.rows.forEach(row => {
+      const differenceMs = Math.abs(at - serviceTimeToDate(serviceDate, row.arrival_seconds, TIMEZONE));
+      if (differenceMs <= windowMs && differenceMs < bestDifferenceMs) {
+        bestDifferenceMs = differenceMs;
+        bestTrip = { id: row.id, cod: row.cod, serviceDate, sublineId };
+      }
+    });
+  }
+  return bestTrip;
+}
+
+/**
+ * Returns the scheduled arrival and departure of a trip at one of its stops.
+ * @param {{id: number, serviceDate: string}} trip - A trip from matchTripForStopVisit.
+ * @param {number} stopOrder
+ * @returns {Promise<{arrival: Date, departure: Date}|null>} null if the trip does not serve that stop.
+ */
+async function getTripStopTime(trip, stopOrder) {
+  const result = await pool.query(
+    'SELECT arrival_seconds, departure_seconds FROM "TripStopTime" WHERE trip_id = $1 AND stoporder = $2',
+    [trip.id, stopOrder]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+  return {
+    arrival: serviceTimeToDate(trip.serviceDate, result.rows[0].arrival_seconds, TIMEZONE),
+    departure: serviceTimeToDate(trip.serviceDate, result.rows[0].departure_seconds, TIMEZONE),
+  };
+}
+
+// --- Departures ---
+
+/**
+ * Finds the scheduled entry a live bus not matched to a trip (no stop visit yet) is most likely running: the one of
+ * its subline whose scheduled arrival is closest to the bus's predicted arrival, within TRIP_MATCH_WINDOW_SECONDS.
+ * @param {object} departure - A realtime departure without trip.
+ * @param {Array<object>} stopTimes - Scheduled entries not covered by another bus yet.
+ * @returns {object|null} The scheduled entry, or null.
+ */
+function findScheduledEntryForBus(departure, stopTimes) {
+  const predicted = departure.estimated_arrival_at_station;
+  if (!predicted) {
+    return null; // No prediction to compare with the timetable
+  }
+  let bestEntry = null;
+  let bestDifferenceMs = TRIP_MATCH_WINDOW_SECONDS * 1000;
+  stopTimes
+    .filter(stopTime => stopTime.subline_id === departure.subline_id)
+    .forEach(stopTime => {
+      const differenceMs = Math.abs(predicted - stopTime.scheduled_arrival);
+      if (differenceMs <= bestDifferenceMs) {
+        bestDifferenceMs = differenceMs;
+        bestEntry = stopTime;
+      }
+    });
+  return bestEntry;
+}
+
+/**
+ * Merges realtime departures (getSublinesWithBusesToStation) with the scheduled ones at a stop.
+ * A bus replaces the scheduled entry of its trip: the trip it was matched to, or else the closest scheduled entry of
+ * its subline (see findScheduledEntryForBus). Trips with no bus stay as scheduled-only entries, whose predicted time
+ * is the scheduled time. Times are arrivals at the stop on both sides, like the live predictions.
+ * @param {Array<object>} realtimeDepartures - From getSublinesWithBusesToStation.
+ * @param {Array<object>} scheduledDepartures - From getScheduledDepartures.
+ * @param {number} limit - Max number of departures returned.
+ * @returns {Array<object>} Ordered by predicted time; each has scheduled_time, predicted_time and delay_seconds.
+ */
+function mergeDepartures(realtimeDepartures, scheduledDepartures, limit) {
+  const tripKey = (tripId, serviceDate) => `${tripId}:${serviceDate}`;
+  const coveredTrips = new Set(realtimeDepartures
+    .filter(departure => departure.trip)
+    .map(departure => tripKey(departure.trip.id, departure.trip.serviceDate)));
+  const isUncovered = stopTime => !coveredTrips.has(tripKey(stopTime.trip_id, stopTime.service_date));
+
+  // Buses without trip take the closest uncovered entry of their subline, soonest bus first
+  const entriesByBus = new Map();
+  realtimeDepartures
+    .filter(departure => !departure.trip && departure.estimated_arrival_at_station)
+    .sort((a, b) => a.estimated_arrival_at_station - b.estimated_arrival_at_station)
+    .forEach(departure => {
+      const entry = findScheduledEntryForBus(departure, scheduledDepartures.filter(isUncovered));
+      if (entry) {
+        entriesByBus.set(departure, entry);
+        coveredTrips.add(tripKey(entry.trip_id, entry.service_date));
+      }
+    });
+
+  const merged = realtimeDepartures.map(departure => {
+    const entry = entriesByBus.get(departure);
+    const predicted = departure.estimated_arrival_at_station;
+    const scheduled = entry ? entry.scheduled_arrival : (departure.scheduled_arrival_at_station || null);
+    return {
+      ...departure,
+      trip_id: departure.trip ? departure.trip.id : (entry ? entry.trip_id : null),
+      trip_code: departure.trip ? departure.trip.cod : (entry ? entry.trip_code : null),
+      scheduled_time: scheduled,
+      predicted_time: predicted,
+      delay_seconds: scheduled && predicted ? Math.round((predicted - scheduled) / 1000) : null,
+      is_realtime: true,
+    };
+  });
+
+  scheduledDepartures
+    .filter(isUncovered)
+    .forEach(stopTime => {
+      merged.push({
+        subline_id: stopTime.subline_id,
+        subline_code: stopTime.subline_code,
+        subline_name: stopTime.subline_name,
+        route_id: stopTime.route_id,
+        route_code: stopTime.route_code,
+        route_name: stopTime.route_name,
+        bus_id: null,
+        last_bus_coordinates: null,
+        distance_to_station_meters: null,
+        occupancy: null,
+        trip_id: stopTime.trip_id,
+        trip_code: stopTime.trip_code,
+        scheduled_time: stopTime.scheduled_arrival,
+        predicted_time: stopTime.scheduled_arrival, // No bus yet: the schedule is the best prediction
+        delay_seconds: null,
+        is_realtime: false,
+      });
+    });
+
+  // Departures without any time (stationary bus, no learned times, no trip) go last
+  const sortTime = departure => (departure.predicted_time || departure.scheduled_time || { getTime: () => Infinity }).getTime();
+  return merged.sort((a, b) => sortTime(a) - sortTime(b)).slice(0, limit);
+}
+
+module.exports = {
+  getCurrentServiceDate,
+  getStopSchedule,
+  getScheduledDepartures,
+  matchTripForStopVisit,
+  getTripStopTime,
+  mergeDepartures,
+};
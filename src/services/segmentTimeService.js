@@ -0,0 +1,217 @@
+// src/services/segmentTimeService.js
+const { pool } = require('../config/database');
+const { getZonedParts } = require('../utils/time');
+
+// --- Configuration ---
+const TIMEZONE = process.env.GTFS_AGENCY_TIMEZONE || 'Europe/Madrid'; // Local time used for day types and hours (same as the GTFS feed)
+const SEGMENT_HISTORY_DAYS = parseInt(process.env.SEGMENT_HISTORY_DAYS) || 28; // Stop visits older than this are not learned from, and deleted
+const SEGMENT_MIN_SAMPLES = parseInt(process.env.SEGMENT_MIN_SAMPLES) || 5; // Samples needed before a segment time is trusted
+const SEGMENT_REFRESH_INTERVAL_MS = 15 * 60 * 1000; // How often the segment times are recomputed from the stop visits
+const MAX_SEGMENT_SECONDS = 3600; // Longer gaps between two stops are breaks, not travel
+const SEGMENT_REFRESH_LOCK = 'segment-travel-times'; // Advisory lock (hashtext) of the instance rebuilding the table
+
+// --- In-Memory State ---
+// Key: "sublineId:fromStopOrder:toStopOrder:dayType:hour", Value: { samples, medianSeconds }
+let segmentTimes = new Map();
+// Key: busId, Value: { sublineId, stopId, visitId (Promise) } of the visit the bus is currently at
+const openVisits = new Map();
+let refreshTimer = null;
+
+// --- Helper Functions ---
+
+/**
+ * Returns the day type ('weekday', 'saturday' or 'sunday') and local hour of a date, in TIMEZONE.
+ * @param {Date} date
+ * @returns {{dayType: string, hour: number}}
+ */
+function getDayTypeAndHour(date) {
+  const { weekday, hour } = getZonedParts(date, TIMEZONE);
+  const dayType = weekday === 6 ? 'saturday' : weekday === 0 ? 'sunday' : 'weekday';
+  return { dayType, hour };
+}
+
+const segmentKey = (sublineId, fromStopOrder, toStopOrder, dayType, hour) => `${sublineId}:${fromStopOrder}:${toStopOrder}:${dayType}:${hour}`;
+
+// --- Stop Visit Persistence ---
+// Writes are fire-and-forget: a failed insert is logged and must never hold up realtime processing.
+
+/**
+ * Records a confirmed arrival at a stop. The row is completed by recordStopDeparture.
+ * @param {string|number} busId
+ * @param {number} sublineId - The subline (rt_id) the bus is on.
+ * @param {{id: number, order: number}} stop - The stop, with its stoporder on the subline.
+ * @param {string} arrivedAt - ISO timestamp of the arrival.
+ */
+function recordStopArrival(busId, sublineId, stop, arrivedAt) {
+  const visitId = pool.query(
+    'INSERT INTO "StopVisit" (bus_id, sublineid, stopid, stoporder, arrived_at, stopped) VALUES ($1, $2, $3, $4, $5, true) RETURNING id',
+    [String(busId), sublineId, stop.id, stop.order, arrivedAt]
+  )
+    .then(result => result.rows[0].id)
+    .catch(error => {
+      console.error(`[DB Error] Error recording arrival of bus ${busId} at stop ${stop.id}:`, error);
+      return null;
+    });
+  openVisits.set(busId, { sublineId, stopId: stop.id, visitId });
+}
+
+/**
+ * Records a departure from a stop: completes the visit opened by recordStopArrival, or records the whole
+ * visit for a drive-through.
+ * @param {string|number} busId
+ * @param {number} sublineId
+ * @param {{id: number, order: number}} stop
+ * @param {string} arrivedAt - ISO timestamp of the arrival.
+ * @param {string} departedAt - ISO timestamp of the departure.
+ * @param {boolean} stopped - Whether the bus actually stopped (false for a drive-through).
+ */
+function recordStopDeparture(busId, sublineId, stop, arrivedAt, departedAt, stopped) {
+  const openVisit = openVisits.get(busId);
+  openVisits.delete(busId);
+
+  if (openVisit && openVisit.sublineId === sublineId && openVisit.stopId === stop.id) {
+    openVisit.visitId
+      .then(visitId => visitId !== null && pool.query('UPDATE "StopVisit" SET departed_at = $1 WHERE id = $2', [departedAt, visitId]))
+      .catch(error => console.error(`[DB Error] Error recording departure of bus ${busId} from stop ${stop.id}:`, error));
+    return;
+  }
+
+  pool.query(
+    'INSERT INTO "StopVisit" (bus_id, sublineid, stopid, stoporder, arrived_at, departed_at, stopped) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+    [String(busId), sublineId, stop.id, stop.order, arrivedAt, departedAt, stopped]
+  ).catch(error => console.error(`[DB Error] Error recording visit of bus ${busId} at stop ${stop.id}:`, error));
+}
+
+// --- Segment Travel Times ---
+
+/**
+ * Deletes the stop visits past the history window and rebuilds "SegmentTravelTime" from the others.
+ * @param {object} client - A pg client inside the refresh transaction.
+ */
+async function rebuildSegmentTravelTimes(client) {
+  const deleted = await client.query('DELETE FROM "StopVisit" WHERE arrived_at < now() - make_interval(days => $1)', [SEGMENT_HISTORY_DAYS]);
+  if (deleted.rowCount > 0) {
+    console.log(`[SegmentTimes] Deleted ${deleted.rowCount} stop visit(s) older than ${SEGMENT_HISTORY_DAYS} day(s).`);
+  }
+  await client.query('DELETE FROM "SegmentTravelTime"');
+  await client.query(`
+    WITH ordered AS (
+      SELECT
+        sublineid,
+        stoporder,
+        arrived_at,
+        LEAD(stoporder) OVER w AS next_stoporder,
+        LEAD(arrived_at) OVER w AS next_arrived_at
+      FROM "StopVisit"
+      WHERE arrived_at >= now() - make_interval(days => $1)
+      WINDOW w AS (PARTITION BY bus_id, sublineid ORDER BY arrived_at)
+    ), segments AS (
+      SELECT
+        sublineid,
+        stoporder AS from_stoporder,
+        next_stoporder AS to_stoporder,
+        CASE EXTRACT(ISODOW FROM arrived_at AT TIME ZONE $2)
+          WHEN 6 THEN 'saturday'
+          WHEN 7 THEN 'sunday'
+          ELSE 'weekday'
+        END AS day_type,
+        EXTRACT(HOUR FROM arrived_at AT TIME ZONE $2)::smallint AS hour,
+        EXTRACT(EPOCH FROM next_arrived_at - arrived_at) AS seconds
+      FROM ordered
+      WHERE next_stoporder > stoporder -- A lower stoporder means the bus started a new trip
+    )
+    INSERT INTO "SegmentTravelTime" (sublineid, from_stoporder, to_stoporder, day_type, hour, samples, median_seconds, updated_at)
+    SELECT sublineid, from_stoporder, to_stoporder, day_type, hour, COUNT(*), percentile_cont(0.5) WITHIN GROUP (ORDER BY seconds), now()
+    FROM segments
+    WHERE seconds > 0 AND seconds <= $3
+    GROUP BY sublineid, from_stoporder, to_stoporder, day_type, hour
+  `, [SEGMENT_HISTORY_DAYS, TIMEZONE, MAX_SEGMENT_SECONDS]);
+}
+
+/**
+ * Recomputes "SegmentTravelTime" from the recent stop visits and reloads the in-memory copy.
+ * A segment sample is the time between a bus's arrivals at two consecutive visited stops of the same subline,
+ * so it includes the dwell time at the first stop.
+ * One instance rebuilds the table per refresh interval, under an advisory lock, and deletes the stop visits older
+ * than SEGMENT_HISTORY_DAYS; the others only reload it.
+ * @returns {Promise<number>} The number of segment buckets.
+ */
+async function refreshSegmentTravelTimes() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const lockResult = await client.query(`
+      SELECT pg_try_advisory_xact_lock(hashtext($1)) AS locked,
+             (SELECT max(updated_at) > now() - make_interval(secs => $2) FROM "SegmentTravelTime") AS fresh
+    `, [SEGMENT_REFRESH_LOCK, SEGMENT_REFRESH_INTERVAL_MS / 2000]);
+    const rebuild = lockResult.rows[0].locked && !lockResult.rows[0].fresh;
+    if (rebuild) {
+      await rebuildSegmentTravelTimes(client);
+    }
+    const result = await client.query('SELECT sublineid, from_stoporder, to_stoporder, day_type, hour, samples, median_seconds FROM "SegmentTravelTime"');
+    await client.query('COMMIT');
+
+    const newSegmentTimes = new Map();
+    result.rows.forEach(row => {
+      newSegmentTimes.set(
+        segmentKey(row.sublineid, row.from_stoporder, row.to_stoporder, row.day_type, row.hour),
+        { samples: row.samples, medianSeconds: row.median_seconds }
+      );
+    });
+    segmentTimes = newSegmentTimes;
+    console.log(`[SegmentTimes] ${rebuild ? 'Rebuilt' : 'Loaded'} ${segmentTimes.size} segment time bucket(s) from the last ${SEGMENT_HISTORY_DAYS} day(s) of stop visits.`);
+    return segmentTimes.size;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Returns the learned travel time between two consecutive stops of a subline at a given time,
+ * or null if there are fewer than SEGMENT_MIN_SAMPLES samples for that day type and hour.
+ * @param {number} sublineId
+ * @param {number} fromStopOrder - stoporder of the stop the segment starts at.
+ * @param {number} toStopOrder - stoporder of the stop the segment ends at.
+ * @param {Date} [date] - When the segment is travelled (defaults to now).
+ * @returns {number|null} Seconds.
+ */
+function getSegmentTravelSeconds(sublineId, fromStopOrder, toStopOrder, date = new Date()) {
+  const { dayType, hour } = getDayTypeAndHour(date);
+  const segment = segmentTimes.get(segmentKey(sublineId, fromStopOrder, toStopOrder, dayType, hour));
+  return segment && segment.samples >= SEGMENT_MIN_SAMPLES ? segment.medianSeconds : null;
+}
+
+// --- Initialization and Teardown ---
+
+function refreshAndLog() {
+  refreshSegmentTravelTimes().catch(error => {
+    console.error('[SegmentTimes] Error refreshing segment travel times:', error);
+  });
+}
+
+function startSegmentTimeRefresh() {
+  if (refreshTimer) {
+    return;
+  }
+  refreshAndLog();
+  refreshTimer = setInterval(refreshAndLog, SEGMENT_REFRESH_INTERVAL_MS);
+}
+
+function stopSegmentTimeRefresh() {
+  if (refreshTimer) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+}
+
+module.exports = {
+  recordStopArrival,
+  recordStopDeparture,
+  refreshSegmentTravelTimes,
+  getSegmentTravelSeconds,
+  startSegmentTimeRefresh,
+  stopSegmentTimeRefresh,
+};
@@ -0,0 +1,329 @@
+// src/services/shapeService.js
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('../config/database');
+const { parseKmlLineStrings } = require('../utils/kml');
+const { haversineDistance, simplifyPath, projectOntoPath, encodePolyline } = require('../utils/geo');
+
+// --- Configuration ---
+const ROUTE_PATHS_DIR = path.join(__dirname, '..', 'routePaths');
+const PIECE_JOIN_TOLERANCE_METERS = 5; // Max gap between the end of one KML piece and the start of the next
+const STOP_SNAP_TOLERANCE_METERS = 30; // A stop this close to the path is snapped to the first such stretch after the previous stop
+const BUS_HINT_BACKTRACK_METERS = 100; // How far behind its last known position a bus is searched for on the path
+const BUS_HINT_MAX_EXTRA_OFFSET_METERS = 50; // Accept the hinted projection unless the global one is this much closer
+
+// --- In-Memory Cache ---
+// Key: absolute KML path, Value: { mtimeMs, placemarks, shapes } - files are re-parsed only when they change on disk
+const parsedKmlCache = new Map();
+// Key: shape object, Value: Map of stop list key -> stop projections (shapes are replaced when their KML changes)
+const stopProjectionCache = new WeakMap();
+
+// --- Helper Functions ---
+
+/**
+ * Lists every .kml file under routePaths, keyed by file name without extension (e.g. "Cheria_1_1").
+ * A SubLine is associated with the file named after its code (routePaths/<line>/<subline cod>.kml).
+ * @returns {Map<string, string>} Map of base name -> absolute path.
+ */
+function listKmlFiles() {
+  const files = new Map();
+  const walk = (dir) => {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (entry.name.toLowerCase().endsWith('.kml')) {
+        files.set(path.basename(entry.name, path.extname(entry.name)), fullPath);
+      }
+    });
+  };
+  if (fs.existsSync(ROUTE_PATHS_DIR)) {
+    walk(ROUTE_PATHS_DIR);
+  }
+  return files;
+}
+
+/**
+ * Parses a KML file, using the cached entry if the file has not changed.
+ * @param {string} filePath
+ * @returns {{mtimeMs: number, placemarks: Array<object>, shapes: Map<string, object>}} The cache entry;
+ *          'shapes' memoizes the shapes built from this file, keyed by subline code.
+ */
+function readKmlFile(filePath) {
+  const { mtimeMs } = fs.statSync(filePath);
+  const cached = parsedKmlCache.get(filePath);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached;
+  }
+  const entry = { mtimeMs, placemarks: parseKmlLineStrings(fs.readFileSync(filePath, 'utf8')), shapes: new Map() };
+  parsedKmlCache.set(filePath, entry);
+  return entry;
+}
+
+/**
+ * Chains LineString pieces in document order, dropping the shared joint point between consecutive pieces.
+ * @param {Array<object>} pieces - Placemarks from parseKmlLineStrings.
+ * @returns {Array<{lat: number, lng: number}>}
+ */
+function chainPieces(pieces) {
+  const points = [];
+  pieces.forEach(piece => {
+    piece.points.forEach(point => {
+      const last = points[points.length - 1];
+      if (!last || last.lat !== point.lat || last.lng !== point.lng) {
+        points.push(point);
+      }
+    });
+  });
+  return points;
+}
+
+/**
+ * Checks whether each piece starts where the previous one ends.
+ * @param {Array<object>} pieces
+ * @returns {boolean}
+ */
+function piecesAreConnected(pieces) {
+  for (let i = 1; i < pieces.length; i++) {
+    const end = pieces[i - 1].points[pieces[i - 1].points.length - 1];
+    const start = pieces[i].points[0];
+    if (haversineDistance(end.lat, end.lng, start.lat, start.lng) > PIECE_JOIN_TOLERANCE_METERS) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Builds one continuous path from the LineStrings of a KML file.
+ * Files like 101/L101-1.kml hold the path as consecutive pieces plus an overview LineString named after
+ * the subline; the connected pieces are preferred, then the named LineString, then all pieces chained.
+ * @param {Array<object>} placemarks - Output of parseKmlLineStrings.
+ * @param {string} sublineCod
+ * @returns {Array<{lat: number, lng: number}>}
+ */
+function mergePlacemarks(placemarks, sublineCod) {
+  const named = placemarks.find(placemark => placemark.name === sublineCod);
+  const pieces = placemarks.filter(placemark => placemark !== named);
+  if (pieces.length > 0 && piecesAreConnected(pieces)) {
+    return chainPieces(pieces);
+  }
+  if (named) {
+    return named.points;
+  }
+  return chainPieces(placemarks);
+}
+
+/**
+ * Computes the cumulative distance (meters) at each point of a path.
+ * @param {Array<{lat: number, lng: number}>} points
+ * @returns {Array<number>}
+ */
+function computeCumulativeDistances(points) {
+  const distances = [0];
+  for (let i = 1; i < points.length; i++) {
+    distances.push(distances[i - 1] + haversineDistance(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng));
+  }
+  return distances;
+}
+
+// --- Public API ---
+
+/**
+ * Returns the shape of a subline given its code, read from routePaths/<line>/<subline cod>.kml.
+ * @param {string} sublineCod - The SubLine code (e.g. "Cheria_1_1", "L101-1").
+ * @returns {{cod: string, file: string, points: Array<{lat: number, lng: number}>, distances: Array<number>, lengthMeters: number}|null}
+ *          The shape, or null if no KML file exists for the subline or it holds no LineString.
+ */
+function getShapeBySublineCod(sublineCod) {
+  if (!sublineCod) {
+    return null;
+  }
+  const filePath = listKmlFiles().get(sublineCod);
+  if (!filePath) {
+    return null;
+  }
+  const kmlFile = readKmlFile(filePath);
+  if (kmlFile.shapes.has(sublineCod)) {
+    return kmlFile.shapes.get(sublineCod);
+  }
+
+  const points = mergePlacemarks(kmlFile.placemarks, sublineCod);
+  if (points.length < 2) {
+    console.warn(`[Shapes] KML file ${filePath} has no usable LineString for subline ${sublineCod}.`);
+    kmlFile.shapes.set(sublineCod, null);
+    return null;
+  }
+  const distances = computeCumulativeDistances(points);
+  const shape = {
+    cod: sublineCod,
+    file: path.relative(ROUTE_PATHS_DIR, filePath),
+    points,
+    distances,
+    lengthMeters: distances[distances.length - 1],
+  };
+  kmlFile.shapes.set(sublineCod, shape);
+  return shape;
+}
+
+/**
+ * Returns the shape of a subline given its SubLine id.
+ * @param {number} sublineId
+ * @returns {Promise<object|null>} The shape (see getShapeBySublineCod) plus sublineId, or null if the subline or its KML is unknown.
+ */
+async function getShapeForSubline(sublineId) {
+  const result = await pool.query('SELECT id, cod FROM "SubLine" WHERE id = $1', [sublineId]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+  const shape = getShapeBySublineCod(result.rows[0].cod);
+  return shape ? { sublineId: result.rows[0].id, ...shape } : null;
+}
+
+/**
+ * Projects the ordered stops of a subline onto its shape, keeping them in sequence along the path.
+ * Each stop is searched for only after the previous stop's position, so loop sublines whose first and
+ * last stop coincide get the start and the end of the path respectively.
+ * @param {object} shape - A shape from getShapeBySublineCod/getShapeForSubline.
+ * @param {Array<{id: number, lat: number, lon: number}>} stops - The subline's stops in stoporder.
+ * @returns {Array<{distanceAlong: number, offsetMeters: number, segmentIndex: number}>} One projection per stop.
+ */
+function projectStopsOntoShape(shape, stops) {
+  const key = stops.map(stop => stop.id).join(',');
+  if (!stopProjectionCache.has(shape)) {
+    stopProjectionCache.set(shape, new Map());
+  }
+  const cache = stopProjectionCache.get(shape);
+  if (cache.has(key)) {
+    return cache.get(key);
+  }
+
+  const lastSegment = shape.points.length - 2;
+  const projections = [];
+  let fromSegment = 0;
+  stops.forEach(stop => {
+    const lat = parseFloat(stop.lat);
+    const lng = parseFloat(stop.lon);
+    let projection = null;
+
+    // Prefer the first stretch of path after the previous stop that passes close to this stop
+    for (let i = fromSegment; i <= lastSegment; i++) {
+      const candidate = projectOntoPath(shape.points, shape.distances, lat, lng, { fromSegment: i, toSegment: i });
+      if (candidate.offsetMeters <= STOP_SNAP_TOLERANCE_METERS) {
+        projection = candidate;
+        // Keep following while the path keeps getting closer to the stop
+        for (let j = i + 1; j <= lastSegment; j++) {
+          const next = projectOntoPath(shape.points, shape.distances, lat, lng, { fromSegment: j, toSegment: j });
+          if (next.offsetMeters >= projection.offsetMeters) {
+            break;
+          }
+          projection = next;
+        }
+        break;
+      }
+    }
+    // Otherwise take the closest point on the rest of the path
+    if (!projection) {
+      projection = projectOntoPath(shape.points, shape.distances, lat, lng, { fromSegment });
+    }
+
+    projections.push(projection);
+    fromSegment = projection.segmentIndex;
+  });
+
+  cache.set(key, projections);
+  return projections;
+}
+
+/**
+ * Computes the distance along a subline's shape from a bus position to each of the subline's stops.
+ * @param {object} shape - The subline shape.
+ * @param {Array<object>} stops - The subline's stops in stoporder.
+ * @param {number} lat - Bus latitude.
+ * @param {number} lng - Bus longitude.
+ * @param {number|null} [previousDistanceAlong] - The bus's last known distance along this shape, used to
+ *        disambiguate stretches the path travels more than once (loops, out-and-back streets).
+ * @returns {{bus: object, closestOffsetMeters: number, stopDistancesAlong: Array<number>, distances: Array<number>}}
+ *          The bus projection, the bus's distance to the nearest point of the whole path, each stop's distance
+ *          from the start of the path, and the signed distance from the bus to each stop along the path
+ *          (negative when the stop is behind the bus).
+ */
+function getAlongPathDistances(shape, stops, lat, lng, previousDistanceAlong = null) {
+  const numLat = typeof lat === 'string' ? parseFloat(lat) : lat;
+  const numLng = typeof lng === 'string' ? parseFloat(lng) : lng;
+
+  const closest = projectOntoPath(shape.points, shape.distances, numLat, numLng);
+  let bus = closest;
+  if (previousDistanceAlong !== null && previousDistanceAlong !== undefined) {
+    const minDistance = previousDistanceAlong - BUS_HINT_BACKTRACK_METERS;
+    const fromSegment = shape.distances.findIndex((distance, index) => index < shape.distances.length - 1 && shape.distances[index + 1] >= minDistance);
+    const hinted = fromSegment === -1 ? null : projectOntoPath(shape.points, shape.distances, numLat, numLng, { fromSegment });
+    if (hinted && hinted.offsetMeters <= bus.offsetMeters + BUS_HINT_MAX_EXTRA_OFFSET_METERS) {
+      bus = hinted;
+    }
+  }
+
+  const stopDistancesAlong = projectStopsOntoShape(shape, stops).map(projection => projection.distanceAlong);
+  return {
+    bus,
+    closestOffsetMeters: closest.offsetMeters,
+    stopDistancesAlong,
+    distances: stopDistancesAlong.map(distanceAlong => distanceAlong - bus.distanceAlong),
+  };
+}
+
+/**
+ * Formats a shape as a GeoJSON Feature with a LineString geometry.
+ * @param {object} shape - Output of getShapeForSubline.
+ * @param {number} [toleranceMeters] - Optional Douglas-Peucker tolerance for server-side simplification.
+ * @returns {object} GeoJSON Feature.
+ */
+function shapeToGeoJson(shape, toleranceMeters) {
+  const points = toleranceMeters > 0 ? simplifyPath(shape.points, toleranceMeters) : shape.points;
+  return {
+    type: 'Feature',
+    geometry: {
+      type: 'LineString',
+      coordinates: points.map(point => [point.lng, point.lat]), // GeoJSON order is [lon, lat]
+    },
+    properties: {
+      subline_id: shape.sublineId,
+      subline_code: shape.cod,
+      source: shape.file,
+      length_meters: Math.round(shape.lengthMeters),
+      points: points.length,
+      original_points: shape.points.length,
+      tolerance_meters: toleranceMeters > 0 ? toleranceMeters : null,
+    },
+  };
+}
+
+/**
+ * Formats a shape as a Google encoded polyline.
+ * @param {object} shape - Output of getShapeForSubline.
+ * @param {number} [toleranceMeters] - Optional Douglas-Peucker tolerance for server-side simplification.
+ * @returns {object} Encoded polyline with metadata.
+ */
+function shapeToEncodedPolyline(shape, toleranceMeters) {
+  const points = toleranceMeters > 0 ? simplifyPath(shape.points, toleranceMeters) : shape.points;
+  return {
+    subline_id: shape.sublineId,
+    subline_code: shape.cod,
+    source: shape.file,
+    length_meters: Math.round(shape.lengthMeters),
+    points: points.length,
+    original_points: shape.points.length,
+    tolerance_meters: toleranceMeters > 0 ? toleranceMeters : null,
+    polyline: encodePolyline(points),
+  };
+}
+
+module.exports = {
+  listKmlFiles,
+  projectStopsOntoShape,
+  getAlongPathDistances,
+  getShapeBySublineCod,
+  getShapeForSubline,
+  shapeToGeoJson,
+  shapeToEncodedPolyline,
+};
@@ -0,0 +1,336 @@
+// src/services/subscriptionService.js
+const { getLine, getSubline } = require('./networkCache');
+const { getAllBusStates } = require('./realtimeProcessor');
+const { buildBusOccupancyInfo } = require('./occupancyService');
+const { INSTANCE_ID } = require('./pubsubService');
+
+// --- Configuration ---
+const MAX_TOPICS_PER_CLIENT = 50; // Keeps a single client from subscribing to the whole network stop by stop
+const REPLAY_BUFFER_SIZE = parseInt(process.env.REALTIME_REPLAY_BUFFER_SIZE) || 500; // Recent messages kept for clients resuming a stream
+
+// Topics a passenger client can subscribe to:
+//   line:<RouteLine cod>   every message of the line's buses (e.g. 'line:101')
+//   subline:<SubLine id>   every message of the buses on one subline/direction (e.g. 'subline:1011')
+//   stop:<Stop cod>        arrivals/departures at the stop, and ETAs for that stop only (e.g. 'stop:1234')
+//   bus:<bus id>           every message of one bus (e.g. 'bus:12')
+const TOPIC_TYPES = ['line', 'subline', 'stop', 'bus'];
+
+// --- In-Memory State ---
+// Key: topic, Value: Set of clients (WebSockets, or any object the broadcaster knows how to send to)
+const clientsByTopic = new Map();
+// Key: client, Value: Set of topics
+const topicsByClient = new Map();
+// Sequence number of the last message routed by this instance. Snapshots carry the sequence they were taken at, so a
+// client can discard live messages with a seq lower than or equal to its snapshot's. Only meaningful on one connection:
+// every instance numbers the messages it routes.
+let sequence = 0;
+// Messages are identified across instances by the event_id the publishing instance stamps them with (see
+// stampEventId): '<epoch>:<n>', the epoch telling instances and restarts apart. SSE streams use it as their event id.
+const EVENT_ID_EPOCH = `${INSTANCE_ID}@${Date.now().toString(36)}`;
+let publishedCount = 0;
+// Last REPLAY_BUFFER_SIZE routed messages in seq order, as { message, fullTopics } (see routeMessage)
+const replayBuffer = [];
+
+// --- Helper Functions ---
+
+/**
+ * Normalizes a topic string ('type:id'), or returns null if it is not a valid topic.
+ * @param {*} topic
+ * @returns {string|null}
+ */
+function parseTopic(topic) {
+  if (typeof topic !== 'string') {
+    return null;
+  }
+  const separator = topic.indexOf(':');
+  const type = topic.substring(0, separator).trim().toLowerCase();
+  const id = topic.substring(separator + 1).trim();
+  if (separator === -1 || !TOPIC_TYPES.includes(type) || id === '') {
+    return null;
+  }
+  if (type === 'subline' && !/^\d+$/.test(id)) {
+    return null;
+  }
+  return `${type}:${id}`;
+}
+
+/**
+ * Returns the line (RouteLine id and code) a subline belongs to.
+ * @param {number} sublineId
+ * @returns {Promise<{lineId: number, lineCod: string}|null>}
+ */
+async function getLineForSubline(sublineId) {
+  const subline = await getSubline(sublineId);
+  return subline ? { lineId: subline.lineId, lineCod: subline.lineCod } : null;
+}
+
+/**
+ * Returns the code of a RouteLine given its id (used to map the legacy /passenger-realtime-ws/{routeId} sockets to a line topic).
+ * @param {number|string} routeId
+ * @returns {Promise<string|null>}
+ */
+async function getLineCodById(routeId) {
+  const line = await getLine(routeId);
+  return line ? line.cod : null;
+}
+
+// --- Subscriptions ---
+
+/**
+ * Subscribes a client to topics.
+ * @param {object} client
+ * @param {Array<string>} topics
+ * @returns {{subscribed: Array<string>, added: Array<string>, invalid: Array<string>}} The client's topics after the change,
+ *          the ones this call added and the rejected ones.
+ */
+function subscribe(client, topics) {
+  if (!topicsByClient.has(client)) {
+    topicsByClient.set(client, new Set());
+  }
+  const clientTopics = topicsByClient.get(client);
+  const added = [];
+  const invalid = [];
+  for (const rawTopic of topics) {
+    const topic = parseTopic(rawTopic);
+    if (!topic || (!clientTopics.has(topic) && clientTopics.size >= MAX_TOPICS_PER_CLIENT)) {
+      invalid.push(rawTopic);
+      continue;
+    }
+    if (!clientTopics.has(topic)) {
+      added.push(topic);
+    }
+    clientTopics.add(topic);
+    if (!clientsByTopic.has(topic)) {
+      clientsByTopic.set(topic, new Set());
+    }
+    clientsByTopic.get(topic).add(client);
+  }
+  return { subscribed: [...clientTopics], added, invalid };
+}
+
+/**
+ * Unsubscribes a client from topics.
+ * @param {object} client
+ * @param {Array<string>} topics
+ * @returns {{subscribed: Array<string>}} The client's remaining topics.
+ */
+function unsubscribe(client, topics) {
+  const clientTopics = topicsByClient.get(client);
+  if (!clientTopics) {
+    return { subscribed: [] };
+  }
+  for (const rawTopic of topics) {
+    const topic = parseTopic(rawTopic);
+    if (!topic || !clientTopics.has(topic)) {
+      continue;
+    }
+    clientTopics.delete(topic);
+    const topicClients = clientsByTopic.get(topic);
+    topicClients.delete(client);
+    if (topicClients.size === 0) {
+      clientsByTopic.delete(topic);
+    }
+  }
+  return { subscribed: [...clientTopics] };
+}
+
+/**
+ * Removes every subscription of a client (on disconnection).
+ * @param {object} client
+ */
+function removeClient(client) {
+  const clientTopics = topicsByClient.get(client);
+  if (clientTopics) {
+    unsubscribe(client, [...clientTopics]);
+    topicsByClient.delete(client);
+  }
+}
+
+/**
+ * Returns the topics a client is subscribed to.
+ * @param {object} client
+ * @returns {Array<string>}
+ */
+function getClientTopics(client) {
+  return [...(topicsByClient.get(client) || [])];
+}
+
+// --- Message Routing ---
+
+/**
+ * Stamps a message with its event_id before it is published to the instances (see pubsubService), so every instance
+ * routes and buffers it with the same id.
+ * @param {object} message
+ * @returns {object} The message.
+ */
+function stampEventId(message) {
+  message.event_id = `${EVENT_ID_EPOCH}:${++publishedCount}`;
+  return message;
+}
+
+/**
+ * Returns the topics whose subscribers receive a message whole: its subline, line and bus, and its stop for
+ * stop-arrival/stop-departure messages.
+ * @param {object} message
+ * @returns {Promise<Array<string>>}
+ */
+async function getFullTopics(message) {
+  const fullTopics = [`subline:${message.rt_id}`];
+  const line = await getLineForSubline(message.rt_id);
+  if (line) {
+    fullTopics.push(`line:${line.lineCod}`);
+  }
+  if (message.bus_id !== undefined && message.bus_id !== null) {
+    fullTopics.push(`bus:${message.bus_id}`);
+  }
+  if (message.stop_code && (message.type === 'stop-arrival' || message.type === 'stop-departure')) {
+    fullTopics.push(`stop:${message.stop_code}`);
+  }
+  return fullTopics;
+}
+
+/**
+ * Keeps a routed message in the replay buffer (in seq order, even if its line lookup finished late).
+ * @param {object} message
+ * @param {Array<string>} fullTopics
+ */
+function bufferMessage(message, fullTopics) {
+  let index = replayBuffer.length;
+  while (index > 0 && replayBuffer[index - 1].message.seq > message.seq) {
+    index--;
+  }
+  replayBuffer.splice(index, 0, { message, fullTopics });
+  if (replayBuffer.length > REPLAY_BUFFER_SIZE) {
+    replayBuffer.shift();
+  }
+}
+
+/**
+ * Works out which clients receive a realtime message and in which form.
+ * Line, subline and bus subscribers get the whole message. Stop subscribers get stop-arrival/stop-departure
+ * messages for their stop and, for 'esta-info', a copy whose stops list only has their stop.
+ * A client matching several topics receives the message once.
+ * Every message is stamped with the next sequence number (seq) first (and with an event_id if it was only published
+ * to this instance), and kept in the replay buffer.
+ * @param {object} message - A realtime message with rt_id (and bus_id, stop_code or stops when relevant).
+ * @returns {Promise<Array<{clients: Set<object>, message: object}>>} Deliveries (empty if nobody is subscribed).
+ */
+async function routeMessage(message) {
+  message.seq = ++sequence;
+  if (!message.event_id) {
+    stampEventId(message);
+  }
+  const fullTopics = await getFullTopics(message);
+  bufferMessage(message, fullTopics);
+  if (clientsByTopic.size === 0) {
+    return [];
+  }
+
+  const fullRecipients = new Set();
+  fullTopics.forEach(topic => (clientsByTopic.get(topic) || []).forEach(client => fullRecipients.add(client)));
+  const deliveries = fullRecipients.size > 0 ? [{ clients: fullRecipients, message }] : [];
+
+  if (message.type === 'esta-info' && Array.isArray(message.stops)) {
+    message.stops.forEach(stop => {
+      const stopRecipients = new Set([...(clientsByTopic.get(`stop:${stop.stop_code}`) || [])].filter(client => !fullRecipients.has(client)));
+      if (stopRecipients.size > 0) {
+        deliveries.push({ clients: stopRecipients, message: { ...message, stops: [stop] } });
+      }
+    });
+  }
+  return deliveries;
+}
+
+/**
+ * Returns the buffered messages routed after a message, in the form a client with these topics received
+ * them from routeMessage (an 'esta-info' for stop topics only keeps those stops).
+ * @param {Array<string>} topics - Normalized topics (see parseTopic).
+ * @param {string} afterEventId - The event_id of the last message the client received, on this instance or another.
+ * @returns {Array<object>|null} The missed messages, or null if that message is not buffered here (too old, or from
+ *   before a restart): the client needs a snapshot.
+ */
+function getReplay(topics, afterEventId) {
+  const afterIndex = replayBuffer.findIndex(({ message }) => message.event_id === afterEventId);
+  if (afterIndex === -1) {
+    return null;
+  }
+  const topicSet = new Set(topics);
+  const replay = [];
+  replayBuffer.slice(afterIndex + 1).forEach(({ message, fullTopics }) => {
+    if (fullTopics.some(topic => topicSet.has(topic))) {
+      replay.push(message);
+    } else if (message.type === 'esta-info' && Array.isArray(message.stops)) {
+      message.stops
+        .filter(stop => topicSet.has(`stop:${stop.stop_code}`))
+        .forEach(stop => replay.push({ ...message, stops: [stop] }));
+    }
+  });
+  return replay;
+}
+
+// --- Snapshots ---
+
+/**
+ * Builds the current state of the buses matching some topics from getAllBusStates(), for a client that just
+ * subscribed to them: last position, velocity, subline and latest 'esta-info' of each bus (for stop topics,
+ * only the buses with an ETA for the stop, with their 'esta-info' reduced to it).
+ * @param {Array<string>} topics - Normalized topics (see parseTopic).
+ * @returns {Promise<{type: string, seq: number, event_id: string|null, topics: Array<string>, buses: Array<object>}>}
+ *   event_id is the one of the last buffered message, for SSE clients resuming after the snapshot.
+ */
+async function buildSnapshot(topics) {
+  const topicSet = new Set(topics);
+  const stopCodes = new Set(topics.filter(topic => topic.startsWith('stop:')).map(topic => topic.substring('stop:'.length)));
+
+  // Resolve the lines first: everything after this point is synchronous, so the snapshot matches seq exactly
+  const sublineIds = new Set([...getAllBusStates().values()].map(busState => busState.currentSublineRtId).filter(rtId => rtId !== null));
+  const lines = new Map();
+  for (const sublineId of sublineIds) {
+    lines.set(sublineId, await getLineForSubline(sublineId));
+  }
+
+  const buses = [];
+  for (const [busId, busState] of getAllBusStates().entries()) {
+    const rtId = busState.currentSublineRtId;
+    if (rtId === null || rtId === undefined) {
+      continue;
+    }
+    const line = lines.get(rtId);
+    const estaInfo = busState.lastEstaInfo && busState.lastEstaInfo.rt_id === rtId ? busState.lastEstaInfo : null;
+    const matchesWholeBus = topicSet.has(`subline:${rtId}`) || topicSet.has(`bus:${busId}`) || (line && topicSet.has(`line:${line.lineCod}`));
+    const stopsForTopics = estaInfo ? estaInfo.stops.filter(stop => stopCodes.has(String(stop.stop_code))) : [];
+    if (!matchesWholeBus && stopsForTopics.length === 0) {
+      continue;
+    }
+    buses.push({
+      bus_id: busId,
+      rt_id: rtId,
+      line_cod: line ? line.lineCod : null,
+      lat: busState.lat,
+      lng: busState.lng,
+      vel: busState.velocity, // km/h
+      upd: busState.lastProcessedTimestamp ? busState.lastProcessedTimestamp.replace('T', ' ').substring(0, 19).replace(/[-:]/g, '') : null, // "YYYYMMDD HHmmss"
+      off: busState.routeState ? busState.routeState.status === 'off-route' : false,
+      conf: busState.sublineAssignment ? Math.round(busState.sublineAssignment.confidence * 100) / 100 : null,
+      stale: Boolean(busState.stale),
+      bus: buildBusOccupancyInfo(busState.occupancy, busState.capacity),
+      esta: estaInfo ? (matchesWholeBus ? estaInfo : { ...estaInfo, stops: stopsForTopics }) : null, // Latest 'esta-info', or null
+    });
+  }
+  const lastBuffered = replayBuffer[replayBuffer.length - 1];
+  return { type: 'snapshot', seq: sequence, event_id: lastBuffered ? lastBuffered.message.event_id : null, topics, buses };
+}
+
+module.exports = {
+  TOPIC_TYPES,
+  parseTopic,
+  getLineCodById,
+  subscribe,
+  unsubscribe,
+  removeClient,
+  getClientTopics,
+  stampEventId,
+  routeMessage,
+  getReplay,
+  buildSnapshot,
+};
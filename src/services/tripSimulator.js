@@ -0,0 +1,214 @@
+// src/services/tripSimulator.js
+const { pool } = require('../config/database');
+const { calculateBearing } = require('../utils/geo');
+const { projectStopsOntoShape } = require('./shapeService');
+const { getSubline, getSublineShape, getStopsForSubline } = require('./networkCache');
+
+// --- Configuration ---
+const DEFAULT_SPEED_KMH = 30; // Cruising speed between stops
+const DEFAULT_DWELL_SECONDS = 20; // Time spent at each stop
+const DEFAULT_NOISE_METERS = 5; // Standard deviation of the GPS error added to each position
+const DEFAULT_INTERVAL_SECONDS = 5; // How often the driver app sends a fix
+const ACCELERATION_MPS2 = 1; // Buses speed up after and brake before each stop at this rate
+const SIMULATION_STEP_SECONDS = 1;
+const METERS_PER_DEGREE_LAT = 111320;
+
+// --- Helper Functions ---
+
+/**
+ * Returns the point at a distance along a shape, and the bearing of the segment it lies on.
+ * @param {object} shape - A shape from shapeService ({ points, distances }).
+ * @param {number} distanceAlong - Meters from the start of the shape.
+ * @returns {{lat: number, lng: number, bearing: number|null}}
+ */
+function pointAtDistance(shape, distanceAlong) {
+  const { points, distances } = shape;
+  let index = 0;
+  while (index < points.length - 2 && distances[index + 1] < distanceAlong) {
+    index++;
+  }
+  const from = points[index];
+  const to = points[index + 1];
+  const segmentLength = distances[index + 1] - distances[index];
+  const fraction = segmentLength > 0 ? Math.min(1, Math.max(0, (distanceAlong - distances[index]) / segmentLength)) : 0;
+  return {
+    lat: from.lat + (to.lat - from.lat) * fraction,
+    lng: from.lng + (to.lng - from.lng) * fraction,
+    bearing: calculateBearing(from.lat, from.lng, to.lat, to.lng),
+  };
+}
+
+/**
+ * Moves a position by a random GPS error (normal distribution, Box-Muller).
+ * @param {{lat: number, lng: number}} point
+ * @param {number} noiseMeters - Standard deviation; 0 leaves the point as is.
+ * @returns {{lat: number, lng: number}}
+ */
+function addNoise(point, noiseMeters) {
+  if (!(noiseMeters > 0)) {
+    return { lat: point.lat, lng: point.lng };
+  }
+  const radius = noiseMeters * Math.sqrt(-2 * Math.log(1 - Math.random()));
+  const angle = 2 * Math.PI * Math.random();
+  return {
+    lat: point.lat + radius * Math.cos(angle) / METERS_PER_DEGREE_LAT,
+    lng: point.lng + radius * Math.sin(angle) / (METERS_PER_DEGREE_LAT * Math.cos(point.lat * Math.PI / 180)),
+  };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// --- Simulated Trips ---
+
+/**
+ * Loads what a simulated trip of a subline follows: its KML shape and its stops.
+ * @param {string|number} sublineRef - SubLine id or code (e.g. "Cheria_1_1").
+ * @returns {Promise<{subline: object, shape: object, stops: Array<object>}>}
+ * @throws {Error} If the subline is unknown or has no KML shape.
+ */
+async function loadSublineForSimulation(sublineRef) {
+  const result = await pool.query('SELECT id FROM "SubLine" WHERE cod = $1 OR id::text = $1 ORDER BY cod = $1 DESC LIMIT 1', [String(sublineRef)]);
+  if (result.rows.length === 0) {
+    throw new Error(`Unknown subline ${sublineRef}.`);
+  }
+  const sublineId = result.rows[0].id;
+  const shape = await getSublineShape(sublineId);
+  if (!shape) {
+    throw new Error(`Subline ${sublineRef} has no KML shape under src/routePaths.`);
+  }
+  return { subline: await getSubline(sublineId), shape, stops: await getStopsForSubline(sublineId) };
+}
+
+/**
+ * Generates the fixes a driver app would send while driving a subline: the bus follows the shape at speedKmh,
+ * braking to a halt and waiting dwellSeconds at each stop, and the reported positions carry a random GPS error.
+ * @param {object} shape - The subline's shape (see loadSublineForSimulation).
+ * @param {Array<object>} stops - The subline's stops in stoporder; none drives the shape without stopping.
+ * @param {object} [options]
+ * @param {number} [options.speedKmh=DEFAULT_SPEED_KMH]
+ * @param {number} [options.dwellSeconds=DEFAULT_DWELL_SECONDS]
+ * @param {number} [options.noiseMeters=DEFAULT_NOISE_METERS]
+ * @param {number} [options.intervalSeconds=DEFAULT_INTERVAL_SECONDS]
+ * @param {number} [options.startMs=Date.now()] - Timestamp of the first fix.
+ * @returns {Array<{lat: number, lng: number, timestamp: number, velocity: number, heading: number|null, accuracy: number}>}
+ *   Location data in the driver app's format, oldest first.
+ */
+function generateSublineTrip(shape, stops, {
+  speedKmh = DEFAULT_SPEED_KMH,
+  dwellSeconds = DEFAULT_DWELL_SECONDS,
+  noiseMeters = DEFAULT_NOISE_METERS,
+  intervalSeconds = DEFAULT_INTERVAL_SECONDS,
+  startMs = Date.now(),
+} = {}) {
+  const cruiseSpeed = speedKmh / 3.6;
+  const stopDistances = stops.length > 0 ? projectStopsOntoShape(shape, stops).map(projection => projection.distanceAlong) : [];
+  const fixes = [];
+  let elapsedSeconds = 0;
+  let nextFixSeconds = 0;
+  let distanceAlong = 0;
+  let speed = 0;
+  let dwellLeft = 0;
+  let nextStop = 0;
+  let lastBearing = null;
+
+  while (distanceAlong < shape.lengthMeters || dwellLeft > 0 || nextStop < stopDistances.length) {
+    if (dwellLeft > 0) {
+      dwellLeft -= SIMULATION_STEP_SECONDS;
+    } else {
+      const target = nextStop < stopDistances.length ? stopDistances[nextStop] : shape.lengthMeters;
+      const remaining = target - distanceAlong;
+      if (remaining <= 0) {
+        // At a stop (the end of the shape is not one unless a stop lies there)
+        if (nextStop < stopDistances.length) {
+          speed = 0;
+          dwellLeft = dwellSeconds;
+          nextStop++;
+          continue;
+        }
+        break;
+      }
+      // Accelerate up to the cruising speed, and slow down early enough to halt at the target
+      speed = Math.min(speed + ACCELERATION_MPS2 * SIMULATION_STEP_SECONDS, cruiseSpeed, Math.sqrt(2 * ACCELERATION_MPS2 * remaining));
+      distanceAlong += Math.min(speed * SIMULATION_STEP_SECONDS, remaining);
+    }
+
+    elapsedSeconds += SIMULATION_STEP_SECONDS;
+    if (elapsedSeconds >= nextFixSeconds) {
+      const point = pointAtDistance(shape, Math.min(distanceAlong, shape.lengthMeters));
+      lastBearing = point.bearing === null ? lastBearing : point.bearing;
+      const moving = dwellLeft <= 0 && speed > 0;
+      fixes.push({
+        ...addNoise(point, noiseMeters),
+        timestamp: startMs + elapsedSeconds * 1000,
+        velocity: moving ? speed : 0,
+        heading: lastBearing,
+        accuracy: Math.max(5, Math.round(2 * noiseMeters)),
+      });
+      nextFixSeconds += intervalSeconds;
+    }
+  }
+  return fixes;
+}
+
+// --- Recorded Trips ---
+
+/**
+ * Loads the positions recorded for a bus between two dates (see positionHistoryService), as the driver app sent them.
+ * @param {string|number} busId
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Promise<Array<object>>} Location data ({ busId, routeId, driverId, lat, lng, timestamp, velocity, accuracy,
+ *   heading, altitude }), oldest first.
+ */
+async function loadRecordedTrip(busId, from, to) {
+  const result = await pool.query(`
+    SELECT bus_id, route_id, driver_id, lat, lng, velocity, accuracy, heading, altitude, recorded_at
+    FROM "VehiclePosition"
+    WHERE bus_id = $1 AND recorded_at >= $2 AND recorded_at < $3
+    ORDER BY recorded_at
+  `, [String(busId), from, to]);
+  return result.rows.map(row => ({
+    busId: row.bus_id,
+    routeId: row.route_id,
+    driverId: row.driver_id,
+    lat: row.lat,
+    lng: row.lng,
+    timestamp: row.recorded_at.getTime(),
+    velocity: row.velocity,
+    accuracy: row.accuracy,
+    heading: row.heading,
+    altitude: row.altitude,
+  }));
+}
+
+// --- Playback ---
+
+/**
+ * Hands fixes to a handler one after the other, spaced like their timestamps.
+ * @param {Array<{timestamp: number}>} fixes - Oldest first.
+ * @param {Function} handler - Called with each fix; awaited before the next one.
+ * @param {object} [options]
+ * @param {number} [options.rate=1] - Playback speed: 1 is real time, 10 ten times faster, Infinity without waiting.
+ * @returns {Promise<void>}
+ */
+async function playTrip(fixes, handler, { rate = 1 } = {}) {
+  if (fixes.length === 0) {
+    return;
+  }
+  const startedAt = Date.now();
+  const firstTimestamp = fixes[0].timestamp;
+  for (const fix of fixes) {
+    const wait = startedAt + (fix.timestamp - firstTimestamp) / rate - Date.now();
+    if (wait > 0) {
+      await sleep(wait);
+    }
+    await handler(fix);
+  }
+}
+
+module.exports = {
+  loadSublineForSimulation,
+  generateSublineTrip,
+  loadRecordedTrip,
+  playTrip,
+};
@@ -0,0 +1,109 @@
+// src/utils/csv.js
+
+/**
+ * Parses RFC 4180 CSV text (as used by GTFS .txt files) into an array of row objects keyed by header.
+ * Handles quoted fields, escaped quotes ("") and CRLF line endings, and strips a leading UTF-8 BOM.
+ * @param {string} text - The raw CSV content.
+ * @returns {Array<object>} Array of objects, one per data row. Missing trailing fields become ''.
+ */
+function parseCsv(text) {
+  if (!text) {
+    return [];
+  }
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text; // Strip BOM
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"'; // Escaped quote
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++; // Treat CRLF as a single line break
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // Flush the last record if the file does not end with a newline
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  if (records.length === 0) {
+    return [];
+  }
+
+  const headers = records[0].map(header => header.trim());
+  const rows = [];
+  for (let r = 1; r < records.length; r++) {
+    const values = records[r];
+    // Skip blank lines
+    if (values.length === 1 && values[0].trim() === '') {
+      continue;
+    }
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = values[index] !== undefined ? values[index].trim() : '';
+    });
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Quotes a single CSV field when it contains a comma, quote or line break.
+ * @param {*} value
+ * @returns {string}
+ */
+function formatCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes row objects to CSV text with a header line, in the given column order.
+ * @param {Array<object>} rows
+ * @param {Array<string>} columns
+ * @returns {string}
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => formatCsvField(row[column])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsv };
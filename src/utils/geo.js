@@ -0,0 +1,211 @@
+// src/utils/geo.js
+
+/**
+ * Calculates distance between two lat/lon points using Haversine formula.
+ * @param {number} lat1
+ * @param {number} lon1
+ * @param {number} lat2
+ * @param {number} lon2
+ * @returns {number} Distance in meters
+ */
+function haversineDistance(lat1, lon1, lat2, lon2) {
+  // Validate inputs to prevent NaN - CONVERT TO NUMBER FIRST if they might be strings
+  const numLat1 = typeof lat1 === 'string' ? parseFloat(lat1) : lat1;
+  const numLon1 = typeof lon1 === 'string' ? parseFloat(lon1) : lon1;
+  const numLat2 = typeof lat2 === 'string' ? parseFloat(lat2) : lat2;
+  const numLon2 = typeof lon2 === 'string' ? parseFloat(lon2) : lon2;
+
+  if (typeof numLat1 !== 'number' || typeof numLon1 !== 'number' || typeof numLat2 !== 'number' || typeof numLon2 !== 'number' ||
+      isNaN(numLat1) || isNaN(numLon1) || isNaN(numLat2) || isNaN(numLon2)) {
+    console.error('Invalid coordinates for haversineDistance (after conversion):', { lat1, lon1, lat2, lon2 });
+    console.error('Converted values:', { numLat1, numLon1, numLat2, numLon2 });
+    return NaN; // Or throw an error if preferred
+  }
+
+  const R = 6371e3; // Earth's radius in meters
+  const φ1 = numLat1 * Math.PI / 180;
+  const φ2 = numLat2 * Math.PI / 180;
+  const Δφ = (numLat2 - numLat1) * Math.PI / 180;
+  const Δλ = (numLon2 - numLon1) * Math.PI / 180;
+
+  const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+          Math.cos(φ1) * Math.cos(φ2) *
+          Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+  return R * c; // Distance in meters
+}
+
+/**
+ * Calculates the initial bearing (forward azimuth) from point 1 to point 2.
+ * @param {number} lat1
+ * @param {number} lon1
+ * @param {number} lat2
+ * @param {number} lon2
+ * @returns {number|null} Bearing in degrees (0-360) or null if invalid coordinates
+ */
+function calculateBearing(lat1, lon1, lat2, lon2) {
+  // Convert to numbers if strings
+  const numLat1 = typeof lat1 === 'string' ? parseFloat(lat1) : lat1;
+  const numLon1 = typeof lon1 === 'string' ? parseFloat(lon1) : lon1;
+  const numLat2 = typeof lat2 === 'string' ? parseFloat(lat2) : lat2;
+  const numLon2 = typeof lon2 === 'string' ? parseFloat(lon2) : lon2;
+
+  // Validate inputs
+  if (typeof numLat1 !== 'number' || typeof numLon1 !== 'number' || typeof numLat2 !== 'number' || typeof numLon2 !== 'number' ||
+      isNaN(numLat1) || isNaN(numLon1) || isNaN(numLat2) || isNaN(numLon2)) {
+    console.error('Invalid coordinates for calculateBearing (after conversion):', { lat1, lon1, lat2, lon2 });
+    console.error('Converted values:', { numLat1, numLon1, numLat2, numLon2 });
+    return null;
+  }
+
+  const φ1 = numLat1 * Math.PI / 180;
+  const φ2 = numLat2 * Math.PI / 180;
+  const Δλ = (numLon2 - numLon1) * Math.PI / 180;
+
+  const y = Math.sin(Δλ) * Math.cos(φ2);
+  const x = Math.cos(φ1) * Math.sin(φ2) -
+          Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+  const θ = Math.atan2(y, x);
+  let bearing = (θ * 180 / Math.PI + 360) % 360;
+  return bearing;
+}
+
+/**
+ * Projects a point to local planar coordinates (meters) around a reference latitude
+ * (equirectangular approximation, accurate enough over the extent of a bus route).
+ * @param {{lat: number, lng: number}} point
+ * @param {number} refLat - Reference latitude in degrees.
+ * @returns {{x: number, y: number}}
+ */
+function toLocalMeters(point, refLat) {
+  const R = 6371e3;
+  return {
+    x: point.lng * Math.PI / 180 * R * Math.cos(refLat * Math.PI / 180),
+    y: point.lat * Math.PI / 180 * R,
+  };
+}
+
+/**
+ * Simplifies a path with the Douglas-Peucker algorithm.
+ * @param {Array<{lat: number, lng: number}>} points - The path.
+ * @param {number} toleranceMeters - Maximum distance a removed point may lie from the simplified path.
+ * @returns {Array<{lat: number, lng: number}>} The simplified path (first and last points are always kept).
+ */
+function simplifyPath(points, toleranceMeters) {
+  if (points.length <= 2 || !(toleranceMeters > 0)) {
+    return points.slice();
+  }
+  const refLat = points[0].lat;
+  const projected = points.map(point => toLocalMeters(point, refLat));
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  // Iterative to avoid deep recursion on long KML paths
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    const a = projected[first];
+    const b = projected[last];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+
+    let maxDistance = 0;
+    let maxIndex = -1;
+    for (let i = first + 1; i < last; i++) {
+      const p = projected[i];
+      let t = lengthSq > 0 ? ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq : 0;
+      t = Math.max(0, Math.min(1, t));
+      const distance = Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        maxIndex = i;
+      }
+    }
+
+    if (maxIndex !== -1 && maxDistance > toleranceMeters) {
+      keep[maxIndex] = true;
+      stack.push([first, maxIndex], [maxIndex, last]);
+    }
+  }
+
+  return points.filter((point, index) => keep[index]);
+}
+
+/**
+ * Projects a point onto a path and returns where it falls along it.
+ * @param {Array<{lat: number, lng: number}>} points - The path.
+ * @param {Array<number>} distances - Cumulative distance (meters) at each point of the path.
+ * @param {number} lat
+ * @param {number} lng
+ * @param {object} [options]
+ * @param {number} [options.fromSegment=0] - First segment index to consider.
+ * @param {number} [options.toSegment] - Last segment index to consider (defaults to the last segment).
+ * @returns {{distanceAlong: number, offsetMeters: number, segmentIndex: number, lat: number, lng: number}|null}
+ *          Distance along the path to the projected point, perpendicular distance from the path,
+ *          the segment it falls on and the snapped coordinates; null if the path is empty.
+ */
+function projectOntoPath(points, distances, lat, lng, { fromSegment = 0, toSegment = points.length - 2 } = {}) {
+  if (points.length < 2) {
+    return null;
+  }
+  const refLat = points[0].lat;
+  const p = toLocalMeters({ lat, lng }, refLat);
+  let best = null;
+
+  for (let i = Math.max(0, fromSegment); i <= Math.min(toSegment, points.length - 2); i++) {
+    const a = toLocalMeters(points[i], refLat);
+    const b = toLocalMeters(points[i + 1], refLat);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    let t = lengthSq > 0 ? ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq : 0;
+    t = Math.max(0, Math.min(1, t));
+    const offset = Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+
+    if (best === null || offset < best.offsetMeters) {
+      best = {
+        distanceAlong: distances[i] + t * (distances[i + 1] - distances[i]),
+        offsetMeters: offset,
+        segmentIndex: i,
+        lat: points[i].lat + t * (points[i + 1].lat - points[i].lat),
+        lng: points[i].lng + t * (points[i + 1].lng - points[i].lng),
+      };
+    }
+  }
+  return best;
+}
+
+/**
+ * Encodes a path with Google's encoded polyline algorithm (precision 5).
+ * @param {Array<{lat: number, lng: number}>} points
+ * @returns {string}
+ */
+function encodePolyline(points) {
+  let previousLat = 0;
+  let previousLng = 0;
+  let encoded = '';
+
+  const encodeValue = (value) => {
+    let v = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = '';
+    while (v >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    return chunk + String.fromCharCode(v + 63);
+  };
+
+  points.forEach(point => {
+    const lat = Math.round(point.lat * 1e5);
+    const lng = Math.round(point.lng * 1e5);
+    encoded += encodeValue(lat - previousLat) + encodeValue(lng - previousLng);
+    previousLat = lat;
+    previousLng = lng;
+  });
+  return encoded;
+}
+
+module.exports = { haversineDistance, calculateBearing, toLocalMeters, simplifyPath, projectOntoPath, encodePolyline };
@@ -0,0 +1,22 @@
+// src/utils/gpx.js
+const { escapeXml } = require('./kml');
+
+/**
+ * Builds a GPX 1.1 document containing a single track with one segment.
+ * @param {string} name - The track name.
+ * @param {Array<{lat: number, lng: number, time?: Date, altitude?: number|null}>} points - Ordered points of the track.
+ * @returns {string} The GPX document as a string.
+ */
+function buildTrackGpx(name, points) {
+  const trackPoints = points.map(point => {
+    const elevation = typeof point.altitude === 'number' ? `<ele>${point.altitude}</ele>` : '';
+    const time = point.time ? `<time>${point.time.toISOString()}</time>` : '';
+    return `<trkpt lat="${point.lat}" lon="${point.lng}">${elevation}${time}</trkpt>`;
+  }).join('\n');
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<gpx version="1.1" creator="tracking-api" xmlns="http://www.topografix.com/GPX/1/1">\n' +
+    `<trk><name>${escapeXml(name)}</name><trkseg>\n${trackPoints}\n</trkseg></trk>\n` +
+    '</gpx>';
+}
+
+module.exports = { buildTrackGpx };
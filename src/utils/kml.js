@@ -0,0 +1,72 @@
+// src/utils/kml.js
+
+/**
+ * Escapes text for inclusion in XML element content or attribute values.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Builds a KML document containing a single LineString Placemark, in the same layout as the
+ * hand-made files under src/routePaths (e.g. Cheria_1/Cheria_1_1.kml).
+ * @param {string} name - The Placemark name (normally the SubLine code, e.g. "Cheria_1_1").
+ * @param {Array<{lat: number, lng: number}>} points - Ordered points of the path.
+ * @param {string} [placemarkId] - Optional Placemark id attribute.
+ * @returns {string} The KML document as a string.
+ */
+function buildLineStringKml(name, points, placemarkId = name) {
+  const coordinates = points.map(point => `${point.lng},${point.lat}`).join('\n');
+  return '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>\n' +
+    `<Placemark id="${escapeXml(placemarkId)}">\n` +
+    `<name>${escapeXml(name)}</name>\n` +
+    `  <LineString><coordinates>${coordinates}</coordinates></LineString></Placemark></Document></kml>`;
+}
+
+/**
+ * Extracts every LineString Placemark from a KML document, in document order.
+ * Point Placemarks (e.g. the address markers in 101/L101-1.kml) are ignored.
+ * @param {string} kmlText - The KML document.
+ * @returns {Array<{id: string|null, name: string|null, points: Array<{lat: number, lng: number}>}>}
+ */
+function parseKmlLineStrings(kmlText) {
+  const placemarks = [];
+  const placemarkRegex = /<Placemark\b([^>]*)>([\s\S]*?)<\/Placemark>/g;
+  let match;
+  while ((match = placemarkRegex.exec(kmlText)) !== null) {
+    const [, attributes, body] = match;
+    const coordinatesMatch = body.match(/<LineString\b[^>]*>[\s\S]*?<coordinates>([\s\S]*?)<\/coordinates>/);
+    if (!coordinatesMatch) {
+      continue;
+    }
+    const idMatch = attributes.match(/\bid="([^"]*)"/);
+    const nameMatch = body.match(/<name>([\s\S]*?)<\/name>/);
+
+    // KML coordinates are "lon,lat[,alt]" tuples separated by whitespace
+    const points = coordinatesMatch[1]
+      .trim()
+      .split(/\s+/)
+      .map(tuple => {
+        const [lng, lat] = tuple.split(',').map(parseFloat);
+        return { lat, lng };
+      })
+      .filter(point => !isNaN(point.lat) && !isNaN(point.lng));
+
+    if (points.length > 0) {
+      placemarks.push({
+        id: idMatch ? idMatch[1] : null,
+        name: nameMatch ? nameMatch[1].trim() : null,
+        points,
+      });
+    }
+  }
+  return placemarks;
+}
+
+module.exports = { buildLineStringKml, parseKmlLineStrings, escapeXml };
@@ -0,0 +1,99 @@
+// src/utils/time.js
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const formatterCache = new Map(); // Key: time zone, Value: Intl.DateTimeFormat
+
+/**
+ * Returns the calendar and clock fields of a date as seen in a time zone.
+ * @param {Date} date
+ * @param {string} timeZone - IANA time zone (e.g. 'Europe/Madrid').
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ *          month is 1-12, weekday is 0 (Sunday) to 6 (Saturday).
+ */
+function getZonedParts(date, timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric',
+      weekday: 'short', hourCycle: 'h23',
+    }));
+  }
+  const parts = {};
+  formatterCache.get(timeZone).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour) % 24,
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+/**
+ * Formats the local calendar date of a date in a time zone as 'YYYY-MM-DD'.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+function formatLocalDate(date, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Converts a GTFS-style time on a service day to an instant. As in GTFS, times are measured from
+ * "noon minus 12h" of the service day, so they may exceed 24:00:00 and stay correct across DST changes.
+ * @param {string} serviceDate - Local service day as 'YYYY-MM-DD'.
+ * @param {number} secondsSinceMidnight - Seconds since the start of the service day.
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function serviceTimeToDate(serviceDate, secondsSinceMidnight, timeZone) {
+  const [year, month, day] = serviceDate.split('-').map(part => parseInt(part));
+  // Find the instant of local noon: start from noon UTC and correct by the zone's offset at that time
+  const noonUtc = Date.UTC(year, month - 1, day, 12);
+  const local = getZonedParts(new Date(noonUtc), timeZone);
+  const offsetMs = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) - noonUtc;
+  const localNoon = noonUtc - offsetMs;
+  return new Date(localNoon - 12 * 3600 * 1000 + secondsSinceMidnight * 1000);
+}
+
+/**
+ * Adds a number of days to a 'YYYY-MM-DD' date.
+ * @param {string} serviceDate
+ * @param {number} days - May be negative.
+ * @returns {string}
+ */
+function addDays(serviceDate, days) {
+  const [year, month, day] = serviceDate.split('-').map(part => parseInt(part));
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().substring(0, 10);
+}
+
+/**
+ * Formats a number of seconds since midnight as a GTFS time (HH:MM:SS, hours may exceed 24).
+ * @param {number} totalSeconds
+ * @returns {string}
+ */
+function formatGtfsTime(totalSeconds) {
+  const seconds = Math.round(totalSeconds);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Parses a GTFS time (HH:MM:SS) into seconds since midnight.
+ * @param {string} value
+ * @returns {number}
+ */
+function parseGtfsTime(value) {
+  const [hours, minutes, seconds] = value.split(':').map(part => parseInt(part) || 0);
+  return hours * 3600 + minutes * 60 + seconds;
+}
+
+module.exports = { getZonedParts, formatLocalDate, serviceTimeToDate, addDays, formatGtfsTime, parseGtfsTime };